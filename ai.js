@@ -1,33 +1,25 @@
 import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
 import { createPlayerPawn } from './playerPawn.js';
-import { createShipPawn } from './shipPawn.js';
-// Calculate ocean surface normal at given x,z coordinates for ship tilting
-function calculateOceanSurfaceNormal(x, z, sampleDistance = 0.1) {
-    const heightCenter = calculateOceanHeight(x, z);
-    const heightRight = calculateOceanHeight(x + sampleDistance, z);
-    const heightForward = calculateOceanHeight(x, z + sampleDistance);
-    const vectorRight = new THREE.Vector3(sampleDistance, heightRight - heightCenter, 0);
-    const vectorForward = new THREE.Vector3(0, heightForward - heightCenter, sampleDistance);
-    const normal = new THREE.Vector3();
-    normal.crossVectors(vectorForward, vectorRight);
-    normal.normalize();
-    if (normal.y < 0) normal.negate();
-    return normal;
-}
-
-// Calculate ocean surface height at given x,z coordinates (matches game.js exactly)
-function calculateOceanHeight(x, z) {
-    const globalOceanTime = window.globalOceanTime || 0;
-    let height = 20.0;
-    const t = globalOceanTime;
-    height += Math.sin(0.08 * x + t * 0.6) * 1.0;
-    height += Math.cos(0.07 * z + t * 0.4) * 0.8;
-    height += Math.sin(0.06 * (x + z) + t * 0.2) * 0.5;
-    return height;
-}
-
-export function createAIPlayer(onLoad) {
+import { createShipPawn, getShipWaterline, getWaterDepth, SHIP_DRAFT } from './shipPawn.js';
+import { updateBuoyancy } from './buoyancy.js';
+import { sweepHullAgainstTerrain, resolveTerrainImpact } from './terrainCollision.js';
+import { waveField } from './waveField.js';
+import { currentField } from './currentField.js';
+import { windSystem, NO_GO_ANGLE, CLOSE_HAULED_ANGLE } from './windSystem.js';
+import { stepShipDynamics } from './shipDynamics.js';
+import { pickRandomShipClass } from './shipClasses.js';
+import { getGroundingDamage, applyDamageVisuals } from './hullHealth.js';
+import { updateShipSails } from './sailRig.js';
+
+// Every AI ship gets an id that stays with it, so clients can match replicants to the host's
+// ships however the host's lists change
+let nextAIShipId = 1;
+
+// AI ships spawn as a mix of classes unless one is given
+export function createAIPlayer(onLoad, shipClassId = pickRandomShipClass()) {
     createShipPawn(true, null, false, (aiPawn) => {
+        aiPawn.aiId = nextAIShipId++;
+
         // Basic random spawn
         const randX = (Math.random() - 0.5) * 40;
         const randZ = (Math.random() - 0.5) * 40;
@@ -36,16 +28,26 @@ export function createAIPlayer(onLoad) {
         // Add forward vector and rotationY like the player
         aiPawn.forwardVector = new THREE.Vector3(0, 0, -1); // Forward is negative Z
         aiPawn.rotationY = Math.random() * Math.PI * 2; // Random initial rotation
+        aiPawn.sailMode = 'halfSail'; // Shown on the rig; aiSpeed below is about half sail
 
         // AI controller: pick a new target rotation every few seconds
         let decisionTimer = 0;
         let changeDirectionInterval = 5 + Math.random() * 5; // Change direction less often (5-10s)
         let targetRotationY = aiPawn.rotationY;
-        const turnSpeed = 0.7; // Turn slower for less turning
+        const rudderGain = 1.5; // Rudder per radian of heading error (gentle, so AI turns wide)
         const aiSpeed = 3.5; // Match player sail speed
 
-        function chooseNewDirection() {
-            targetRotationY = Math.random() * Math.PI * 2;
+        function chooseNewDirection(preferredRotationY = Math.random() * Math.PI * 2) {
+            targetRotationY = preferredRotationY;
+            // Headings inside the no-go zone are impossible: sail close hauled on the nearer tack instead
+            const angleToWind = windSystem.getAngleToWind(aiPawn.position.x, aiPawn.position.z, -Math.sin(targetRotationY), -Math.cos(targetRotationY));
+            if (angleToWind < NO_GO_ANGLE) {
+                const upwind = windSystem.direction + Math.PI;
+                const heading = Math.atan2(-Math.cos(targetRotationY), -Math.sin(targetRotationY));
+                const side = Math.sin(heading - upwind) >= 0 ? 1 : -1;
+                const tack = upwind + side * CLOSE_HAULED_ANGLE;
+                targetRotationY = (Math.atan2(-Math.cos(tack), -Math.sin(tack)) + Math.PI * 2) % (Math.PI * 2);
+            }
             decisionTimer = 0;
             changeDirectionInterval = 5 + Math.random() * 5;
         }
@@ -57,48 +59,89 @@ export function createAIPlayer(onLoad) {
                 chooseNewDirection();
             }
 
-            // Smoothly rotate towards targetRotationY
+            // Steer towards targetRotationY with the rudder
             let angleDiff = targetRotationY - aiPawn.rotationY;
-            angleDiff = ((angleDiff + Math.PI) % (2 * Math.PI)) - Math.PI;
-            const maxStep = turnSpeed * deltaTime;
-            if (Math.abs(angleDiff) < maxStep) {
-                aiPawn.rotationY = targetRotationY;
-            } else {
-                aiPawn.rotationY += Math.sign(angleDiff) * maxStep;
+            angleDiff = Math.atan2(Math.sin(angleDiff), Math.cos(angleDiff));
+            const rudder = Math.max(-1, Math.min(1, angleDiff * rudderGain));
+
+            // Same points of sail as the player: drive follows the angle to the wind
+            const start = { x: aiPawn.position.x, z: aiPawn.position.z, heading: aiPawn.rotationY };
+            const forwardX = -Math.sin(aiPawn.rotationY);
+            const forwardZ = -Math.cos(aiPawn.rotationY);
+            // Shallow water drags on the hull (same as the player)
+            const shallowFactor = waveField.getShallowWaterSpeedFactor(aiPawn.position.x, aiPawn.position.z);
+            const windFactor = windSystem.getSailFactor(aiPawn.position.x, aiPawn.position.z, forwardX, forwardZ);
+
+            // Same momentum model as the player ship
+            const next = stepShipDynamics({
+                x: aiPawn.position.x,
+                z: aiPawn.position.z,
+                heading: aiPawn.rotationY,
+                speed: aiPawn.speed,
+                yawRate: aiPawn.yawRate
+            }, {
+                drive: aiSpeed * aiPawn.sailPower * windFactor * shallowFactor * aiPawn.hull.speedFactor,
+                rudder: aiPawn.hull.sinking ? 0 : rudder
+            }, deltaTime, aiPawn.dynamics);
+            aiPawn.position.x = next.x;
+            aiPawn.position.z = next.z;
+            aiPawn.rotationY = next.heading;
+            aiPawn.speed = next.speed;
+            aiPawn.yawRate = next.yawRate;
+
+            // Caught in irons (e.g. after a wind shift): bear away onto a new heading
+            if (windFactor === 0 && Math.abs(angleDiff) < 0.05) {
+                chooseNewDirection();
+            }
+
+            // Ocean currents carry AI ships too
+            currentField.applyDrift(aiPawn.position, deltaTime);
+
+            // Terrain contact: same sweep and response as the player, then steer away
+            aiPawn.terrainContact = false;
+            const scrapeSpeed = aiPawn.speed; // Way on her before any contact stops her
+            const contact = sweepHullAgainstTerrain(aiPawn.hullProfile, SHIP_DRAFT, start, { x: aiPawn.position.x, z: aiPawn.position.z, heading: aiPawn.rotationY }, getWaterDepth);
+            if (contact) {
+                const impact = resolveTerrainImpact(contact, contact.x, contact.z, contact.heading, aiPawn.speed);
+                aiPawn.position.x = contact.x;
+                aiPawn.position.z = contact.z;
+                aiPawn.rotationY = contact.heading;
+                aiPawn.speed = impact.bounceSpeed;
+                aiPawn.yawRate = 0;
+                aiPawn.terrainContact = impact.grounded;
+                aiPawn.takeDamage(impact.damage, 'terrain');
+                // Head away from whatever was hit
+                const awayX = contact.x - contact.pointX;
+                const awayZ = contact.z - contact.pointZ;
+                chooseNewDirection((Math.atan2(-awayX, -awayZ) + Math.PI * 2) % (Math.PI * 2));
             }
 
-            // Move forward using rotated forwardVector (like player)
-            const worldForward = aiPawn.forwardVector.clone();
-            worldForward.applyEuler(new THREE.Euler(0, aiPawn.rotationY, 0));
-            worldForward.normalize();
-            aiPawn.position.x += worldForward.x * aiSpeed * deltaTime;
-            aiPawn.position.z += worldForward.z * aiSpeed * deltaTime;
-
-            // Floating logic
-            let oceanY = calculateOceanHeight(aiPawn.position.x, aiPawn.position.z);
-            const shipFloatHeight = 0.625;
-            aiPawn.position.y = oceanY + shipFloatHeight;
-            if (aiPawn.position.y < 18.0) aiPawn.position.y = 18.0;
-
-            // Tilting/leaning logic (match player)
-            const surfaceNormal = calculateOceanSurfaceNormal(aiPawn.position.x, aiPawn.position.z);
+            // Multi-point hull buoyancy, same as the player (rests on the seabed when the tide leaves it aground)
+            aiPawn.buoyancy = updateBuoyancy(aiPawn.buoyancy, aiPawn.hullProfile, aiPawn.position.x, aiPawn.position.z, aiPawn.rotationY, deltaTime, getShipWaterline);
+            aiPawn.isAground = aiPawn.terrainContact || waveField.getWaterDepth(aiPawn.position.x, aiPawn.position.z) < SHIP_DRAFT;
+
+            // Hull damage, flooding and sinking, same as the player
+            if (aiPawn.isAground) {
+                aiPawn.takeDamage(getGroundingDamage(scrapeSpeed, deltaTime), 'grounding');
+            }
+            aiPawn.hull.update(deltaTime);
+            aiPawn.position.y = aiPawn.buoyancy.heave + aiPawn.hullProfile.waterline - aiPawn.hull.getWaterlineDrop(aiPawn.hullProfile.waterline);
             if (aiPawn.shipModel) {
-                aiPawn.shipModel.position.y = -0.375;
-                // Calculate pitch (rotation around X axis) from Z component of normal
-                const pitch = Math.asin(-surfaceNormal.z);
-                // Calculate roll (rotation around Z axis) from X component of normal
-                const roll = Math.asin(surfaceNormal.x);
-                // Damping for smooth tilt
-                const dampingFactor = 0.1;
-                aiPawn.shipModel.rotation.x += (pitch - aiPawn.shipModel.rotation.x) * dampingFactor;
-                aiPawn.shipModel.rotation.z += (roll - aiPawn.shipModel.rotation.z) * dampingFactor;
-                // Yaw from movement
-                aiPawn.shipModel.rotation.y = aiPawn.rotationY;
+                aiPawn.shipModel.position.y = aiPawn.modelOffset;
+                // Yaw from movement; pitch and roll in the ship's own frame (hence YXZ order)
+                aiPawn.shipModel.rotation.order = 'YXZ';
+                aiPawn.shipModel.rotation.set(
+                    aiPawn.buoyancy.pitch + aiPawn.hull.getPitchOffset(),
+                    aiPawn.rotationY,
+                    aiPawn.buoyancy.roll + aiPawn.hull.getRollOffset()
+                );
+                applyDamageVisuals(aiPawn.shipModel, aiPawn.hull.damageState);
             }
+            updateShipSails(aiPawn, deltaTime);
         };
 
         if (onLoad) {
             onLoad(aiPawn);
         }
-    });
+    }, shipClassId);
 }
\ No newline at end of file
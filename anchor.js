@@ -0,0 +1,133 @@
+// anchor.js - Anchoring and swinging on the rode
+// A ship can drop anchor where the water is deep enough to float over but shallow enough for
+// the anchor to reach the bottom. Anchored, the sails and rudder do nothing: wind and current
+// push the ship around and the rode holds its bow, so it swings to lie bow-on to the anchor,
+// downwind and downstream of it. The anchor point is replicated with the rest of the player
+// state so everyone sees the ship riding to it.
+import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
+import { waveField } from './waveField.js';
+import { tideSystem } from './tideSystem.js';
+import { windSystem } from './windSystem.js';
+import { HULL_PROFILES, DEFAULT_HULL_PROFILE } from './buoyancy.js';
+import { getShipHeading } from './shipCollision.js';
+
+export const MIN_ANCHOR_DEPTH = 2.0; // Enough water at low tide to swing without touching the bottom
+export const MAX_ANCHOR_DEPTH = 30.0; // Deepest water the rode reaches the bottom in
+const RODE_SCOPE = 2.5; // Rode paid out per unit of depth
+const MIN_RODE = 6.0;
+export const ANCHOR_DRAG = 2.0; // Per-second decay of the ship's own way once the anchor holds
+const WINDAGE = 0.04; // Drift from the wind on hull and rigging (fraction of the wind speed)
+const SWING_RATE = 0.6; // Per-second rate the bow turns to the anchor with the rode taut
+const _wind = new THREE.Vector2();
+
+// Distance from the ship origin to the bow (the rode leads from there)
+function getBowDistance(pawn) {
+    const profile = pawn.hullProfile || HULL_PROFILES[DEFAULT_HULL_PROFILE];
+    return -Math.min(...profile.points.map(point => point.z));
+}
+
+// Can a ship anchor at x,z? { allowed, depth, reason }. The ship stays through the tides, so the
+// water must still be deep enough at low water, not just now.
+export function getAnchorCheck(x, z) {
+    const depth = waveField.getWaterDepth(x, z);
+    const lowWaterDepth = depth - waveField.tideOffset - tideSystem.getLowWaterOffset();
+    if (lowWaterDepth < MIN_ANCHOR_DEPTH) {
+        return { allowed: false, depth: depth, reason: `too shallow at low tide (${lowWaterDepth.toFixed(1)})` };
+    }
+    if (depth > MAX_ANCHOR_DEPTH) return { allowed: false, depth: depth, reason: 'too deep' };
+    return { allowed: true, depth: depth, reason: null };
+}
+
+// Let go the anchor under the bow. Returns the check, with pawn.anchor set if it was allowed.
+export function dropAnchor(pawn, heading) {
+    const bow = getBowDistance(pawn);
+    const x = pawn.position.x - Math.sin(heading) * bow;
+    const z = pawn.position.z - Math.cos(heading) * bow;
+    const check = getAnchorCheck(x, z);
+    if (check.allowed) {
+        pawn.anchor = {
+            x: x,
+            z: z,
+            depth: check.depth,
+            rodeLength: Math.max(MIN_RODE, check.depth * RODE_SCOPE)
+        };
+    }
+    return check;
+}
+
+export function raiseAnchor(pawn) {
+    pawn.anchor = null;
+}
+
+// Ride to the anchor for one step: wind pushes the ship, the rode holds the bow within reach of
+// the anchor and turns the ship to face it. Moves pawn.position; returns the new heading.
+export function updateAnchoredShip(pawn, heading, deltaTime) {
+    const anchor = pawn.anchor;
+    const wind = windSystem.getWindAt(pawn.position.x, pawn.position.z, _wind);
+    pawn.position.x += wind.x * WINDAGE * deltaTime;
+    pawn.position.z += wind.y * WINDAGE * deltaTime;
+
+    // The rode can't stretch: pull the bow back to its length
+    const bow = getBowDistance(pawn);
+    const forwardX = -Math.sin(heading);
+    const forwardZ = -Math.cos(heading);
+    const bowX = pawn.position.x + forwardX * bow;
+    const bowZ = pawn.position.z + forwardZ * bow;
+    const dx = bowX - anchor.x;
+    const dz = bowZ - anchor.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    if (distance > anchor.rodeLength) {
+        const pull = (distance - anchor.rodeLength) / distance;
+        pawn.position.x -= dx * pull;
+        pawn.position.z -= dz * pull;
+    }
+
+    // Taut rode swings the bow round toward the anchor
+    const toAnchorX = anchor.x - pawn.position.x;
+    const toAnchorZ = anchor.z - pawn.position.z;
+    if (toAnchorX * toAnchorX + toAnchorZ * toAnchorZ < bow * bow) return heading; // Lying over it
+    const desired = Math.atan2(-toAnchorX, -toAnchorZ);
+    let error = desired - heading;
+    error = Math.atan2(Math.sin(error), Math.cos(error));
+    const tension = Math.min(1, distance / anchor.rodeLength);
+    return heading + error * Math.min(1, SWING_RATE * tension * deltaTime);
+}
+
+// Rode lines from each anchored ship's bow down to its anchor on the seabed
+export class AnchorRodeView {
+    constructor(scene) {
+        this.scene = scene;
+        this.material = new THREE.LineBasicMaterial({ color: 0x3b2f20 });
+        this.lines = new Map(); // Map<ship Object3D, THREE.Line>
+    }
+
+    update(ships) {
+        const seen = new Set();
+        for (const ship of ships) {
+            if (!ship || !ship.anchor || !ship.parent) continue;
+            seen.add(ship);
+            let line = this.lines.get(ship);
+            if (!line) {
+                const geometry = new THREE.BufferGeometry();
+                geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(6), 3));
+                line = new THREE.Line(geometry, this.material);
+                line.frustumCulled = false;
+                this.scene.add(line);
+                this.lines.set(ship, line);
+            }
+            const heading = getShipHeading(ship);
+            const bow = getBowDistance(ship);
+            const position = line.geometry.attributes.position;
+            position.setXYZ(0, ship.position.x - Math.sin(heading) * bow, ship.position.y, ship.position.z - Math.cos(heading) * bow);
+            position.setXYZ(1, ship.anchor.x, waveField.baseLevel - ship.anchor.depth, ship.anchor.z);
+            position.needsUpdate = true;
+        }
+        for (const [ship, line] of this.lines) {
+            if (!seen.has(ship)) {
+                this.scene.remove(line);
+                line.geometry.dispose();
+                this.lines.delete(ship);
+            }
+        }
+    }
+}
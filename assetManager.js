@@ -0,0 +1,106 @@
+// assetManager.js - Shared, cached model loading
+// Each GLTF file is fetched and parsed once. Everyone who asks for it gets a clone of the cached
+// scene with its own materials, so per-ship tints don't leak between ships. Progress across all
+// files in flight is written to the loading screen text (see setProgressElement).
+import { GLTFLoader } from 'https://cdn.skypack.dev/three@0.134.0/examples/jsm/loaders/GLTFLoader.js';
+
+export class AssetManager {
+    constructor() {
+        this.loader = new GLTFLoader();
+        this.models = new Map(); // Map<url, { status: 'loading' | 'loaded' | 'failed', scene, error, waiting, loaded, total }>
+        this.progressElement = null;
+        this.progressLabel = '';
+    }
+
+    // Show aggregate loading progress in element ("<its current text> 42%")
+    setProgressElement(element) {
+        this.progressElement = element;
+        this.progressLabel = element ? element.textContent : '';
+        this.updateProgress();
+    }
+
+    // Bytes loaded over bytes expected for every model requested so far
+    getProgress() {
+        let loaded = 0, total = 0;
+        for (const entry of this.models.values()) {
+            if (entry.status === 'loading') {
+                loaded += entry.loaded;
+                total += entry.total;
+            }
+        }
+        return { loaded: loaded, total: total, fraction: total > 0 ? loaded / total : 1 };
+    }
+
+    updateProgress() {
+        if (!this.progressElement) return;
+        const percent = Math.round(this.getProgress().fraction * 100);
+        this.progressElement.textContent = `${this.progressLabel} ${percent}%`;
+    }
+
+    // Copy of a cached scene: shared geometry, but materials of its own
+    cloneModel(scene) {
+        const model = scene.clone(true);
+        model.traverse((child) => {
+            if (child.isMesh && child.material) {
+                child.material = Array.isArray(child.material)
+                    ? child.material.map(material => material.clone())
+                    : child.material.clone();
+            }
+        });
+        return model;
+    }
+
+    // Get a model: onLoad(model) with a fresh clone, or onError(error) if the file can't be loaded.
+    // Callbacks always run asynchronously (even from the cache), like a fresh load would.
+    loadModel(url, onLoad, onError = null) {
+        let entry = this.models.get(url);
+        if (!entry) {
+            entry = { status: 'loading', scene: null, error: null, waiting: [], loaded: 0, total: 0 };
+            this.models.set(url, entry);
+            this.fetchModel(url, entry);
+        }
+
+        if (entry.status === 'loading') {
+            entry.waiting.push({ onLoad: onLoad, onError: onError });
+        } else if (entry.status === 'loaded') {
+            Promise.resolve().then(() => onLoad(this.cloneModel(entry.scene)));
+        } else if (onError) {
+            Promise.resolve().then(() => onError(entry.error));
+        }
+    }
+
+    fetchModel(url, entry) {
+        this.loader.load(
+            url,
+            (gltf) => {
+                entry.status = 'loaded';
+                entry.scene = gltf.scene;
+                this.updateProgress();
+                const waiting = entry.waiting;
+                entry.waiting = [];
+                for (const request of waiting) {
+                    request.onLoad(this.cloneModel(entry.scene));
+                }
+            },
+            (progress) => {
+                entry.loaded = progress.loaded;
+                entry.total = progress.total || progress.loaded; // total is 0 without a Content-Length
+                this.updateProgress();
+            },
+            (error) => {
+                console.error(`[AssetManager] Failed to load ${url}:`, error);
+                entry.status = 'failed';
+                entry.error = error;
+                this.updateProgress();
+                const waiting = entry.waiting;
+                entry.waiting = [];
+                for (const request of waiting) {
+                    if (request.onError) request.onError(error);
+                }
+            }
+        );
+    }
+}
+
+// Shared instance used by every ship
+export const assetManager = new AssetManager();
@@ -0,0 +1,95 @@
+// buoyancy.js - Multi-point hull buoyancy
+// Each hull profile lists sample points around the hull (bow, stern, port, starboard, ...).
+// The water surface is sampled under every point and a plane is fitted through the samples;
+// its height, fore-aft slope and side slope are where the hull wants to sit. Heave, pitch and
+// roll then follow those targets as damped springs, so the ship has inertia: a long hull
+// bridges short chop, rides up and over long swells and keeps rocking briefly after a wave.
+// Everything here is a pure function of its inputs; the water sampler is passed in.
+//
+// Ship space: bow toward -Z, starboard toward +X (same as the ship pawns).
+
+export const HULL_PROFILES = {
+    sloop: {
+        points: [
+            { x: 0, z: -3.0 }, // Bow
+            { x: 0, z: 3.0 }, // Stern
+            { x: -1.4, z: 0 }, // Port
+            { x: 1.4, z: 0 } // Starboard
+        ],
+        waterline: 0.625, // Pawn origin above the fitted water plane (3/8 of the hull underwater)
+        heave: { stiffness: 12.0, damping: 4.0 }, // Spring (1/s^2) and damping (1/s) per axis
+        pitch: { stiffness: 8.0, damping: 3.4 },
+        roll: { stiffness: 6.0, damping: 2.0 } // Hulls roll more freely than they pitch
+    }
+};
+
+export const DEFAULT_HULL_PROFILE = 'sloop';
+
+const MAX_SUBSTEP = 1 / 60;
+const SNAP_DISTANCE = 5.0; // Targets further than this away (spawns, teleports) are snapped to
+
+export function createBuoyancyState() {
+    // heave is null until the first sample, so a new ship starts on the water instead of falling to it
+    return { heave: null, heaveVelocity: 0, pitch: 0, pitchVelocity: 0, roll: 0, rollVelocity: 0 };
+}
+
+// Fit a plane through the water under the hull points of a ship at x,z with the given heading.
+// sampleSurface(x, z) returns the surface height the hull rests on at a world point.
+// Returns { heave, pitch, roll } targets (pitch > 0 raises the bow, roll > 0 raises starboard).
+export function sampleHull(profile, x, z, heading, sampleSurface) {
+    const cos = Math.cos(heading);
+    const sin = Math.sin(heading);
+
+    // Least-squares plane h = a + b * px + c * pz in ship space
+    let n = 0, sx = 0, sz = 0, sxx = 0, szz = 0, sxz = 0, sh = 0, sxh = 0, szh = 0;
+    for (const point of profile.points) {
+        const h = sampleSurface(x + point.x * cos + point.z * sin, z - point.x * sin + point.z * cos);
+        n++;
+        sx += point.x;
+        sz += point.z;
+        sxx += point.x * point.x;
+        szz += point.z * point.z;
+        sxz += point.x * point.z;
+        sh += h;
+        sxh += point.x * h;
+        szh += point.z * h;
+    }
+
+    // Solve the 3x3 normal equations (Cramer's rule)
+    const det = n * (sxx * szz - sxz * sxz) - sx * (sx * szz - sxz * sz) + sz * (sx * sxz - sxx * sz);
+    if (Math.abs(det) < 1e-9) return { heave: sh / n, pitch: 0, roll: 0 }; // Degenerate layout: no tilt
+    const a = (sh * (sxx * szz - sxz * sxz) - sx * (sxh * szz - sxz * szh) + sz * (sxh * sxz - sxx * szh)) / det;
+    const b = (n * (sxh * szz - sxz * szh) - sh * (sx * szz - sxz * sz) + sz * (sx * szh - sxh * sz)) / det;
+    const c = (n * (sxx * szh - sxh * sxz) - sx * (sx * szh - sxh * sz) + sh * (sx * sxz - sxx * sz)) / det;
+
+    return { heave: a, pitch: Math.atan(-c), roll: Math.atan(b) };
+}
+
+// Advance the heave/pitch/roll springs toward a target and return the new state (pure)
+export function stepBuoyancy(state, target, dt, profile) {
+    if (state.heave === null || Math.abs(target.heave - state.heave) > SNAP_DISTANCE) {
+        return { heave: target.heave, heaveVelocity: 0, pitch: target.pitch, pitchVelocity: 0, roll: target.roll, rollVelocity: 0 };
+    }
+
+    let { heave, heaveVelocity, pitch, pitchVelocity, roll, rollVelocity } = state;
+    let remaining = Math.max(0, dt);
+    while (remaining > 0) {
+        const h = Math.min(remaining, MAX_SUBSTEP);
+        remaining -= h;
+
+        // Semi-implicit Euler: update velocity from the spring, then position from the new velocity
+        heaveVelocity += (profile.heave.stiffness * (target.heave - heave) - profile.heave.damping * heaveVelocity) * h;
+        heave += heaveVelocity * h;
+        pitchVelocity += (profile.pitch.stiffness * (target.pitch - pitch) - profile.pitch.damping * pitchVelocity) * h;
+        pitch += pitchVelocity * h;
+        rollVelocity += (profile.roll.stiffness * (target.roll - roll) - profile.roll.damping * rollVelocity) * h;
+        roll += rollVelocity * h;
+    }
+
+    return { heave, heaveVelocity, pitch, pitchVelocity, roll, rollVelocity };
+}
+
+// Sample the hull and advance the springs in one go
+export function updateBuoyancy(state, profile, x, z, heading, dt, sampleSurface) {
+    return stepBuoyancy(state, sampleHull(profile, x, z, heading, sampleSurface), dt, profile);
+}
@@ -0,0 +1,343 @@
+// cannons.js - Broadside cannons
+// Each ship carries a row of guns down either side (per class, see shipClasses.js). A broadside
+// fires every gun on one side at once and that side then has to reload. Cannonballs fly a
+// ballistic arc under gravity until they strike a ship, the sea (splash) or land.
+//
+// Authority: every peer flies every cannonball so shots look the same everywhere, but only the
+// host (or a single player) decides hits. The host applies the hull damage and tells everyone
+// where the ball struck (see onHit / applyRemoteHit in game.js).
+import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
+import { waveField } from './waveField.js';
+import { getShipHeading, getHullDistance } from './shipCollision.js';
+
+export const CANNON_GRAVITY = 9.8;
+export const MUZZLE_SPEED = 40.0;
+export const MIN_ELEVATION = 0.02; // Gun elevation range (radians)
+export const MAX_ELEVATION = 0.3;
+export const BALL_DAMAGE = 8.0; // Hull damage per cannonball
+const DEFAULT_BROADSIDE = { guns: 3, reload: 5.0 }; // Ships without a class
+const GUN_SPREAD = 0.6; // Fraction of the hull length the guns are spread along
+const GUN_HEIGHT = 0.5; // Gun deck above the ship origin (scaled with the class)
+const AIM_JITTER = 0.015; // Random error per gun (radians)
+const HIT_HEIGHT = 2.5; // A ball below this height above a ship's origin (scaled) can hit its hull
+const BALL_LIFETIME = 8.0; // Seconds before a ball that never came down is dropped
+const BALL_RADIUS = 0.18;
+const PREVIEW_STEP = 0.05; // Seconds between aiming arc points
+const PREVIEW_POINTS = 120;
+
+// Impact effects: one particle pool for muzzle smoke, splashes and splinters
+const MAX_EFFECT_PARTICLES = 600;
+const EFFECT_LIFETIME = 1.2;
+const EFFECTS = {
+    smoke: { count: 6, color: 0xbbbbbb, speed: 1.5, up: 1.0, gravity: -0.5 },
+    splash: { count: 14, color: 0xffffff, speed: 2.0, up: 6.0, gravity: 9.8 },
+    hit: { count: 18, color: 0x8b5a2b, speed: 4.0, up: 4.0, gravity: 9.8 },
+    land: { count: 10, color: 0x777055, speed: 2.0, up: 3.0, gravity: 9.8 }
+};
+
+// Broadside layout for a ship (guns per side and reload time)
+export function getBroadside(pawn) {
+    return (pawn.shipClassDef && pawn.shipClassDef.broadside) || DEFAULT_BROADSIDE;
+}
+
+// Gun elevation that lands a ball at distance on flat water (clamped to the gun's range)
+export function getElevationForRange(distance) {
+    const ratio = Math.min(1, distance * CANNON_GRAVITY / (MUZZLE_SPEED * MUZZLE_SPEED));
+    return Math.max(MIN_ELEVATION, Math.min(MAX_ELEVATION, 0.5 * Math.asin(ratio)));
+}
+
+// Which side (if any) has a target at x,z within range and close enough to abeam to hit
+export function getBroadsideSide(pawn, x, z, range, maxOffBeam = 0.35) {
+    const dx = x - pawn.position.x;
+    const dz = z - pawn.position.z;
+    const distance = Math.hypot(dx, dz);
+    if (distance > range || distance < 1e-6) return null;
+    const heading = getShipHeading(pawn);
+    const rightX = Math.cos(heading);
+    const rightZ = -Math.sin(heading);
+    const across = (dx * rightX + dz * rightZ) / distance; // 1 = straight out to starboard
+    if (Math.abs(across) < Math.cos(maxOffBeam)) return null;
+    return across > 0 ? 'starboard' : 'port';
+}
+
+// Muzzle positions and velocities for one side's guns. Pure, so the aiming preview and the shot
+// agree; jitter adds per-gun aiming error to a real broadside.
+export function getBroadsideShots(pawn, side, elevation, jitter = 0) {
+    const shipClass = pawn.shipClassDef;
+    const scale = shipClass ? shipClass.scale : 1.0;
+    const length = shipClass ? shipClass.hull.length : 6.0;
+    const beam = shipClass ? shipClass.hull.beam : 2.8;
+    const guns = getBroadside(pawn).guns;
+    const heading = getShipHeading(pawn);
+    const forwardX = -Math.sin(heading);
+    const forwardZ = -Math.cos(heading);
+    const sideSign = side === 'starboard' ? 1 : -1;
+    const outX = Math.cos(heading) * sideSign;
+    const outZ = -Math.sin(heading) * sideSign;
+    const speed = pawn.speed || 0; // The ship's own way carries into the shot
+
+    const shots = [];
+    for (let i = 0; i < guns; i++) {
+        const along = guns > 1 ? (i / (guns - 1) - 0.5) * length * GUN_SPREAD : 0;
+        const aimElevation = elevation + (Math.random() * 2 - 1) * jitter;
+        const aimYaw = (Math.random() * 2 - 1) * jitter;
+        const dirX = outX * Math.cos(aimYaw) + forwardX * Math.sin(aimYaw);
+        const dirZ = outZ * Math.cos(aimYaw) + forwardZ * Math.sin(aimYaw);
+        const horizontal = Math.cos(aimElevation) * MUZZLE_SPEED;
+        shots.push({
+            x: pawn.position.x + forwardX * along + outX * beam / 2,
+            y: pawn.position.y + GUN_HEIGHT * scale,
+            z: pawn.position.z + forwardZ * along + outZ * beam / 2,
+            vx: dirX * horizontal + forwardX * speed,
+            vy: Math.sin(aimElevation) * MUZZLE_SPEED,
+            vz: dirZ * horizontal + forwardZ * speed
+        });
+    }
+    return shots;
+}
+
+// What lies under a point: the sea surface, or land where the seabed is above it
+function getGround(x, z) {
+    const water = waveField.getHeight(x, z);
+    const seabed = waveField.baseLevel - waveField.getWaterDepth(x, z);
+    return seabed > water ? { height: seabed, effect: 'land' } : { height: water, effect: 'splash' };
+}
+
+export class CannonSystem {
+    constructor(scene) {
+        this.scene = scene;
+        this.projectiles = []; // { id, owner, x, y, z, vx, vy, vz, age, mesh }
+        this.reloads = new WeakMap(); // Map<pawn, { port, starboard }> - seconds until loaded
+        this.idPrefix = 'local'; // Set to our peer ID in multiplayer so projectile ids are unique
+        this.nextId = 1;
+        this.onHit = null; // (hit) => void - hits are only resolved when update is asked to
+
+        this.ballGeometry = new THREE.SphereGeometry(BALL_RADIUS, 8, 6);
+        this.ballMaterial = new THREE.MeshLambertMaterial({ color: 0x222222 });
+
+        // Aiming arc, drawn for one side at a time
+        this.previewPositions = new Float32Array(PREVIEW_POINTS * 3);
+        this.previewGeometry = new THREE.BufferGeometry();
+        this.previewGeometry.setAttribute('position', new THREE.BufferAttribute(this.previewPositions, 3));
+        this.previewMaterial = new THREE.LineDashedMaterial({ color: 0xffd700, dashSize: 0.8, gapSize: 0.5, transparent: true, opacity: 0.8 });
+        this.preview = new THREE.Line(this.previewGeometry, this.previewMaterial);
+        this.preview.frustumCulled = false;
+        this.preview.visible = false;
+        this.scene.add(this.preview);
+
+        // Effect particle pool
+        this.effectPositions = new Float32Array(MAX_EFFECT_PARTICLES * 3);
+        this.effectVelocities = new Float32Array(MAX_EFFECT_PARTICLES * 3);
+        this.effectColors = new Float32Array(MAX_EFFECT_PARTICLES * 3);
+        this.effectGravity = new Float32Array(MAX_EFFECT_PARTICLES);
+        this.effectAges = new Float32Array(MAX_EFFECT_PARTICLES).fill(EFFECT_LIFETIME);
+        for (let i = 0; i < MAX_EFFECT_PARTICLES; i++) {
+            this.effectPositions[i * 3 + 1] = -10000; // Unused particles wait far below the sea
+        }
+        this.effectNext = 0;
+        this.effectGeometry = new THREE.BufferGeometry();
+        this.effectGeometry.setAttribute('position', new THREE.BufferAttribute(this.effectPositions, 3));
+        this.effectGeometry.setAttribute('color', new THREE.BufferAttribute(this.effectColors, 3));
+        this.effectMaterial = new THREE.PointsMaterial({
+            size: 0.4,
+            vertexColors: true,
+            transparent: true,
+            opacity: 0.85,
+            depthWrite: false
+        });
+        this.effects = new THREE.Points(this.effectGeometry, this.effectMaterial);
+        this.effects.frustumCulled = false; // Particles move every frame; bounds are never recomputed
+        this.scene.add(this.effects);
+        this._color = new THREE.Color();
+    }
+
+    getReloadState(pawn) {
+        let reload = this.reloads.get(pawn);
+        if (!reload) {
+            reload = { port: 0, starboard: 0 };
+            this.reloads.set(pawn, reload);
+        }
+        return reload;
+    }
+
+    // Seconds until a side is loaded (0 = ready)
+    getReload(pawn, side) {
+        return this.getReloadState(pawn)[side];
+    }
+
+    canFire(pawn, side) {
+        return this.getReload(pawn, side) <= 0 && !(pawn.hull && pawn.hull.sinking);
+    }
+
+    // Fire a broadside. Returns the shots (with ids) to send to other peers, or null if that side
+    // isn't loaded.
+    fire(pawn, side, elevation) {
+        if (!this.canFire(pawn, side)) return null;
+        this.getReloadState(pawn)[side] = getBroadside(pawn).reload;
+        const shots = getBroadsideShots(pawn, side, elevation, AIM_JITTER).map(shot => ({
+            id: `${this.idPrefix}-${this.nextId++}`,
+            ...shot
+        }));
+        this.spawnShots(shots, pawn);
+        return shots;
+    }
+
+    // Start flying shots (our own, or fired by another peer)
+    spawnShots(shots, owner = null) {
+        for (const shot of shots) {
+            const mesh = new THREE.Mesh(this.ballGeometry, this.ballMaterial);
+            mesh.position.set(shot.x, shot.y, shot.z);
+            this.scene.add(mesh);
+            this.projectiles.push({ ...shot, owner: owner, age: 0, mesh: mesh });
+            this.emitEffect('smoke', shot.x, shot.y, shot.z);
+        }
+    }
+
+    removeProjectile(index) {
+        const projectile = this.projectiles[index];
+        this.scene.remove(projectile.mesh);
+        this.projectiles.splice(index, 1);
+    }
+
+    // Host-resolved hit from the network: stop that ball and show the impact
+    applyRemoteHit(message) {
+        const index = this.projectiles.findIndex(projectile => projectile.id === message.projectileId);
+        if (index !== -1) this.removeProjectile(index);
+        if (message.point) this.emitEffect('hit', message.point.x, message.point.y, message.point.z);
+    }
+
+    // Fly every ball. With resolveHits, balls that reach a ship in ships are reported to onHit
+    // ({ projectile, pawn, point, damage }); without it they fly on until the host's hit arrives.
+    update(deltaTime, ships, resolveHits) {
+        const reloadStep = (reload) => {
+            reload.port = Math.max(0, reload.port - deltaTime);
+            reload.starboard = Math.max(0, reload.starboard - deltaTime);
+        };
+        for (const ship of ships) {
+            if (ship && this.reloads.has(ship)) reloadStep(this.reloads.get(ship));
+        }
+
+        for (let i = this.projectiles.length - 1; i >= 0; i--) {
+            const projectile = this.projectiles[i];
+            projectile.age += deltaTime;
+            projectile.vy -= CANNON_GRAVITY * deltaTime;
+            projectile.x += projectile.vx * deltaTime;
+            projectile.y += projectile.vy * deltaTime;
+            projectile.z += projectile.vz * deltaTime;
+            projectile.mesh.position.set(projectile.x, projectile.y, projectile.z);
+
+            if (resolveHits) {
+                const target = this.findHit(projectile, ships);
+                if (target) {
+                    const point = { x: projectile.x, y: projectile.y, z: projectile.z };
+                    this.emitEffect('hit', point.x, point.y, point.z);
+                    this.removeProjectile(i);
+                    if (typeof this.onHit === 'function') {
+                        this.onHit({ projectile: projectile, pawn: target, point: point, damage: BALL_DAMAGE });
+                    }
+                    continue;
+                }
+            }
+
+            const ground = getGround(projectile.x, projectile.z);
+            if (projectile.y <= ground.height) {
+                this.emitEffect(ground.effect, projectile.x, ground.height, projectile.z);
+                this.removeProjectile(i);
+            } else if (projectile.age > BALL_LIFETIME) {
+                this.removeProjectile(i);
+            }
+        }
+
+        this.updateEffects(deltaTime);
+    }
+
+    // First ship (not the one that fired) whose hull the ball is inside
+    findHit(projectile, ships) {
+        for (const ship of ships) {
+            if (!ship || ship === projectile.owner || (ship.hull && ship.hull.sinking)) continue;
+            const scale = ship.shipClassDef ? ship.shipClassDef.scale : 1.0;
+            if (projectile.y > ship.position.y + HIT_HEIGHT * scale) continue;
+            if (getHullDistance(ship, projectile.x, projectile.z) <= BALL_RADIUS) return ship;
+        }
+        return null;
+    }
+
+    // Aiming arc for one side's middle gun (side null hides it). Drawn dimmer while reloading.
+    updatePreview(pawn, side, elevation) {
+        if (!pawn || !side) {
+            this.preview.visible = false;
+            return;
+        }
+        const shots = getBroadsideShots(pawn, side, elevation);
+        const shot = shots[Math.floor(shots.length / 2)];
+        let { x, y, z, vx, vy, vz } = shot;
+        let count = 0;
+        for (; count < PREVIEW_POINTS; count++) {
+            this.previewPositions.set([x, y, z], count * 3);
+            if (count > 0 && y <= getGround(x, z).height) {
+                count++;
+                break;
+            }
+            vy -= CANNON_GRAVITY * PREVIEW_STEP;
+            x += vx * PREVIEW_STEP;
+            y += vy * PREVIEW_STEP;
+            z += vz * PREVIEW_STEP;
+        }
+        this.previewGeometry.setDrawRange(0, Math.min(count, PREVIEW_POINTS));
+        this.previewGeometry.attributes.position.needsUpdate = true;
+        this.preview.computeLineDistances();
+        this.previewMaterial.opacity = this.canFire(pawn, side) ? 0.8 : 0.25;
+        this.preview.visible = true;
+    }
+
+    emitEffect(type, x, y, z) {
+        const effect = EFFECTS[type];
+        this._color.set(effect.color);
+        for (let n = 0; n < effect.count; n++) {
+            const i = this.effectNext;
+            this.effectNext = (this.effectNext + 1) % MAX_EFFECT_PARTICLES;
+            const angle = Math.random() * Math.PI * 2;
+            const speed = effect.speed * (0.5 + Math.random() * 0.5);
+            this.effectPositions.set([x, y, z], i * 3);
+            this.effectVelocities.set([
+                Math.cos(angle) * speed,
+                effect.up * (0.6 + Math.random() * 0.4),
+                Math.sin(angle) * speed
+            ], i * 3);
+            this.effectColors.set([this._color.r, this._color.g, this._color.b], i * 3);
+            this.effectGravity[i] = effect.gravity;
+            this.effectAges[i] = 0;
+        }
+        this.effectGeometry.attributes.color.needsUpdate = true;
+    }
+
+    updateEffects(deltaTime) {
+        for (let i = 0; i < MAX_EFFECT_PARTICLES; i++) {
+            if (this.effectAges[i] >= EFFECT_LIFETIME) continue;
+            this.effectAges[i] += deltaTime;
+            const p = i * 3;
+            if (this.effectAges[i] >= EFFECT_LIFETIME) {
+                this.effectPositions[p + 1] = -10000; // Park dead particles far below the sea
+                continue;
+            }
+            this.effectVelocities[p + 1] -= this.effectGravity[i] * deltaTime;
+            this.effectPositions[p] += this.effectVelocities[p] * deltaTime;
+            this.effectPositions[p + 1] += this.effectVelocities[p + 1] * deltaTime;
+            this.effectPositions[p + 2] += this.effectVelocities[p + 2] * deltaTime;
+        }
+        this.effectGeometry.attributes.position.needsUpdate = true;
+    }
+
+    // Cleanup method
+    remove() {
+        for (let i = this.projectiles.length - 1; i >= 0; i--) this.removeProjectile(i);
+        this.scene.remove(this.preview);
+        this.scene.remove(this.effects);
+        this.previewGeometry.dispose();
+        this.previewMaterial.dispose();
+        this.effectGeometry.dispose();
+        this.effectMaterial.dispose();
+        this.ballGeometry.dispose();
+        this.ballMaterial.dispose();
+    }
+}
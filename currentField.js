@@ -0,0 +1,233 @@
+// currentField.js - Deterministic ocean currents
+// Steady surface currents built from the terrain seed and the seabed, so every peer computes the
+// same flow without sending it over the network:
+//   - large gyres: slow rotating cells laid out on a coarse seeded grid
+//   - coastal currents: flow that follows the depth contours around islands and land masses
+//   - channel flows: currents speed up where they squeeze between two shoals
+// Ships add the current to their own motion; the debug overlay draws it as arrows (F3).
+import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
+import { seededRandom } from './seededRandom.js';
+import { waveField } from './waveField.js';
+
+// Gyres
+const GYRE_CELL_SIZE = 6000;
+const GYRE_MIN_RADIUS = 1500;
+const GYRE_MAX_RADIUS = 3000;
+const GYRE_MIN_SPEED = 0.4;
+const GYRE_MAX_SPEED = 1.4;
+const GYRE_REACH = GYRE_CELL_SIZE * 1.2; // Gyres fade to zero here, so a 3x3 cell search sees every gyre in reach
+
+// Coastal currents
+const COASTAL_DEPTH = 20.0; // Water shallower than this runs along the coast
+const COASTAL_SPEED = 1.2;
+const GRADIENT_STEP = 40.0; // Finite-difference step for the seabed slope (wide, to follow the coast rather than rocks)
+const SHORE_TAPER_DEPTH = 2.0; // Currents die out over the last bit of water at the beach
+
+// Channels
+const CHANNEL_PROBE = 120; // How far to look to each side for a shoal
+const CHANNEL_SHALLOW = 4.0; // Sides this shallow are full channel walls...
+const CHANNEL_OPEN = 12.0; // ...and sides this deep don't squeeze the flow at all
+const CHANNEL_BOOST = 2.2;
+
+// Deterministic integer hash for gyre cells (same mixing as the terrain hash)
+function hashGyreCell(seed, cellX, cellZ) {
+    let h = seed ^ (cellX * 374761393) ^ (cellZ * 668265263);
+    h = (h ^ (h >> 13)) * 1274126177;
+    h = h ^ (h >> 16);
+    return h >>> 0;
+}
+
+export class CurrentField {
+    constructor() {
+        this.terrain = null; // Seabed provider (UnifiedTerrain)
+        this._gyres = new Map(); // Gyre parameters per cell for the current seed
+        this._gyreSeed = null;
+        this._flow = new THREE.Vector2();
+    }
+
+    // Attach the terrain the currents are derived from (its seed and seabed)
+    setTerrain(terrain) {
+        this.terrain = terrain;
+        this._gyres.clear();
+    }
+
+    // Gyre in a grid cell for the current terrain seed
+    getGyre(cellX, cellZ) {
+        const seed = this.terrain.terrainSeed;
+        if (seed !== this._gyreSeed) {
+            this._gyres.clear();
+            this._gyreSeed = seed;
+        }
+        const key = `${cellX},${cellZ}`;
+        let gyre = this._gyres.get(key);
+        if (!gyre) {
+            const rand = seededRandom(hashGyreCell(seed ^ 0x6E7E5, cellX, cellZ) || 1);
+            gyre = {
+                x: (cellX + 0.2 + rand() * 0.6) * GYRE_CELL_SIZE,
+                z: (cellZ + 0.2 + rand() * 0.6) * GYRE_CELL_SIZE,
+                radius: GYRE_MIN_RADIUS + rand() * (GYRE_MAX_RADIUS - GYRE_MIN_RADIUS),
+                speed: GYRE_MIN_SPEED + rand() * (GYRE_MAX_SPEED - GYRE_MIN_SPEED),
+                spin: rand() < 0.5 ? 1 : -1
+            };
+            this._gyres.set(key, gyre);
+        }
+        return gyre;
+    }
+
+    // Water depth at world x,z
+    getDepth(x, z) {
+        return waveField.baseLevel - this.terrain.getSeabedHeight(x, z);
+    }
+
+    // Current velocity (world units per second) at world x,z, written into target.x / target.y (= z)
+    getCurrentAt(x, z, target = new THREE.Vector2()) {
+        target.set(0, 0);
+        if (!this.terrain || !this.terrain.terrainSeed) return target;
+
+        const depth = this.getDepth(x, z);
+        if (depth <= 0) return target; // On land
+
+        // Gyres from the surrounding cells
+        const cellX = Math.floor(x / GYRE_CELL_SIZE);
+        const cellZ = Math.floor(z / GYRE_CELL_SIZE);
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dz = -1; dz <= 1; dz++) {
+                const gyre = this.getGyre(cellX + dx, cellZ + dz);
+                const rx = x - gyre.x;
+                const rz = z - gyre.z;
+                const dist = Math.sqrt(rx * rx + rz * rz);
+                if (dist >= GYRE_REACH || dist < 1e-6) continue;
+                // Solid-body rotation in the core, peaking at the radius and fading outside it
+                const r = dist / gyre.radius;
+                const reach = 1 - (dist / GYRE_REACH) ** 2;
+                const speed = gyre.speed * Math.exp(0.5 * (1 - r * r)) * reach * reach;
+                target.x += -rz / gyre.radius * speed * gyre.spin;
+                target.y += rx / gyre.radius * speed * gyre.spin;
+            }
+        }
+
+        if (depth < COASTAL_DEPTH) {
+            // Seabed slope points uphill, toward the shore
+            const slopeX = (this.terrain.getSeabedHeight(x + GRADIENT_STEP, z) - this.terrain.getSeabedHeight(x - GRADIENT_STEP, z)) / (2 * GRADIENT_STEP);
+            const slopeZ = (this.terrain.getSeabedHeight(x, z + GRADIENT_STEP) - this.terrain.getSeabedHeight(x, z - GRADIENT_STEP)) / (2 * GRADIENT_STEP);
+            const slope = Math.sqrt(slopeX * slopeX + slopeZ * slopeZ);
+            if (slope > 1e-4) {
+                const shoreX = slopeX / slope;
+                const shoreZ = slopeZ / slope;
+                const nearShore = 1 - depth / COASTAL_DEPTH;
+
+                // Water can't flow into the beach: remove the onshore part of the open-sea flow
+                const onshore = target.x * shoreX + target.y * shoreZ;
+                if (onshore > 0) {
+                    target.x -= shoreX * onshore * nearShore;
+                    target.y -= shoreZ * onshore * nearShore;
+                }
+
+                // Along-shore current (every island is circled the same way), strongest mid-way across the shelf
+                const coastal = COASTAL_SPEED * Math.sin(Math.PI * nearShore);
+                target.x += shoreZ * coastal;
+                target.y += -shoreX * coastal;
+            }
+        }
+
+        // Channels: flow squeezed between shoals on both sides speeds up
+        const speed = target.length();
+        if (speed > 0.01) {
+            const sideX = -target.y / speed * CHANNEL_PROBE;
+            const sideZ = target.x / speed * CHANNEL_PROBE;
+            const squeeze = this.getChannelWall(this.getDepth(x + sideX, z + sideZ))
+                * this.getChannelWall(this.getDepth(x - sideX, z - sideZ))
+                * (1 - this.getChannelWall(depth));
+            target.multiplyScalar(1 + (CHANNEL_BOOST - 1) * squeeze);
+        }
+
+        // Taper to still water at the waterline
+        if (depth < SHORE_TAPER_DEPTH) {
+            target.multiplyScalar(depth / SHORE_TAPER_DEPTH);
+        }
+        return target;
+    }
+
+    // How much water of this depth acts as a channel wall (1 = shoal, 0 = open water)
+    getChannelWall(depth) {
+        return Math.max(0, Math.min(1, (CHANNEL_OPEN - depth) / (CHANNEL_OPEN - CHANNEL_SHALLOW)));
+    }
+
+    // Move an object along with the current for deltaTime seconds
+    applyDrift(position, deltaTime) {
+        const flow = this.getCurrentAt(position.x, position.z, this._flow);
+        position.x += flow.x * deltaTime;
+        position.z += flow.y * deltaTime;
+        return flow;
+    }
+}
+
+// Debug overlay: a grid of arrows around the viewer showing the current (toggled with F3)
+export class CurrentOverlay {
+    constructor(scene, field, gridSize = 24, spacing = 40) {
+        this.scene = scene;
+        this.field = field;
+        this.gridSize = gridSize;
+        this.spacing = spacing;
+        this.visible = false;
+        this._gridKey = null; // Currents are steady, so arrows only refresh when the grid moves
+        this._flow = new THREE.Vector2();
+        this._direction = new THREE.Vector3();
+
+        this.group = new THREE.Group();
+        this.group.visible = false;
+        this.arrows = [];
+        for (let i = 0; i < gridSize * gridSize; i++) {
+            const arrow = new THREE.ArrowHelper(new THREE.Vector3(1, 0, 0), new THREE.Vector3(), 1, 0xffff00, 3, 2);
+            this.group.add(arrow);
+            this.arrows.push(arrow);
+        }
+        this.scene.add(this.group);
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+        this.group.visible = this.visible;
+        this._gridKey = null; // Refresh right away
+        console.log('[CurrentOverlay]', this.visible ? 'Shown' : 'Hidden');
+    }
+
+    update(deltaTime, viewerPosition) {
+        if (!this.visible) return;
+
+        // Snap the grid so arrows stay put while the viewer moves
+        const half = (this.gridSize - 1) / 2;
+        const originX = Math.round(viewerPosition.x / this.spacing) * this.spacing;
+        const originZ = Math.round(viewerPosition.z / this.spacing) * this.spacing;
+        const seed = this.field.terrain ? this.field.terrain.terrainSeed : 0;
+        // Sea level moves with the tide, so refresh in quarter-unit steps rather than every frame
+        const key = `${originX},${originZ}:${seed}:${Math.round(waveField.baseLevel * 4)}`;
+        if (key === this._gridKey) return;
+        this._gridKey = key;
+        const y = waveField.baseLevel + 3;
+        const color = new THREE.Color();
+
+        for (let gz = 0; gz < this.gridSize; gz++) {
+            for (let gx = 0; gx < this.gridSize; gx++) {
+                const arrow = this.arrows[gz * this.gridSize + gx];
+                const x = originX + (gx - half) * this.spacing;
+                const z = originZ + (gz - half) * this.spacing;
+                const flow = this.field.getCurrentAt(x, z, this._flow);
+                const speed = flow.length();
+                if (speed < 0.02) {
+                    arrow.visible = false;
+                    continue;
+                }
+                arrow.visible = true;
+                arrow.position.set(x, y, z);
+                arrow.setDirection(this._direction.set(flow.x / speed, 0, flow.y / speed));
+                arrow.setLength(Math.min(this.spacing * 0.9, 6 + speed * 12), 3, 2);
+                // Slow currents yellow, fast currents red
+                arrow.setColor(color.setHSL(0.16 * (1 - Math.min(1, speed / 3)), 1, 0.5));
+            }
+        }
+    }
+}
+
+// Shared instance used by every ship
+export const currentField = new CurrentField();
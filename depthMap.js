@@ -0,0 +1,99 @@
+// depthMap.js - Seabed height grid around the viewer for shoaling waves
+// One node per terrain lattice point, so the grid holds exactly the heights the terrain mesh and
+// UnifiedTerrain.getSeabedHeight are built from. The ocean shader reads it as a float texture (see
+// WaveField.getSeabedTexture) and the CPU wave model samples it the same way, so ships float on the
+// sea that is drawn. Lattice points outside loaded chunks are generated (getLatticeHeight), so the
+// grid doesn't depend on which chunks this peer happens to have loaded.
+
+const SNAP_CELLS = 8; // Recenter in steps of 8 cells
+
+export class DepthMap {
+    constructor(terrain, nodes = 257) {
+        this.terrain = terrain;
+        this.nodes = nodes; // Grid nodes per side (257 lattice points = 1600 units at 6.25)
+        this.cellSize = terrain.chunkSize / terrain.chunkResolution;
+        this.seabedOffset = terrain.seabedOffset; // Added after filtering, as the terrain does
+
+        // Lattice index and world position of grid node (0, 0)
+        this.baseIx = 0;
+        this.baseIz = 0;
+        this.originX = 0;
+        this.originZ = 0;
+
+        this.heights = new Float32Array(nodes * nodes); // Generated lattice heights (no seabedOffset)
+        this.hasData = false; // Nothing to sample until the terrain has a seed
+        this.version = 0; // Bumped on every rebuild so the shader texture is re-uploaded
+        this._buildKey = null;
+        this._builtSeed = null;
+    }
+
+    // Recenter on the viewer and rebuild when the center or the terrain seed changed
+    update(viewerPosition) {
+        const half = (this.nodes - 1) / 2;
+        const baseIx = Math.round(viewerPosition.x / (this.cellSize * SNAP_CELLS)) * SNAP_CELLS - half;
+        const baseIz = Math.round(viewerPosition.z / (this.cellSize * SNAP_CELLS)) * SNAP_CELLS - half;
+        const seed = this.terrain.terrainSeed;
+        const key = `${baseIx},${baseIz}:${seed}`;
+        if (key === this._buildKey) return;
+
+        // Same seed: the nodes still in range keep their heights
+        const reuse = this.hasData && seed === this._builtSeed;
+        this._buildKey = key;
+        this._builtSeed = seed;
+        this.rebuild(baseIx, baseIz, reuse);
+    }
+
+    // Fill the grid from the terrain lattice, copying the nodes the old grid already held when
+    // reuse is set, so recentring only generates the strips that came into range
+    rebuild(baseIx, baseIz, reuse) {
+        const nodes = this.nodes;
+        const previous = reuse ? this.heights.slice() : null;
+        const shiftX = baseIx - this.baseIx;
+        const shiftZ = baseIz - this.baseIz;
+        this.baseIx = baseIx;
+        this.baseIz = baseIz;
+        this.originX = baseIx * this.cellSize;
+        this.originZ = baseIz * this.cellSize;
+        this.hasData = !!this.terrain.terrainSeed;
+        this.version++;
+        if (!this.hasData) return;
+
+        for (let z = 0; z < nodes; z++) {
+            const oldZ = z + shiftZ;
+            for (let x = 0; x < nodes; x++) {
+                const oldX = x + shiftX;
+                this.heights[z * nodes + x] = previous && oldX >= 0 && oldX < nodes && oldZ >= 0 && oldZ < nodes
+                    ? previous[oldZ * nodes + oldX]
+                    : this.terrain.getLatticeHeight(baseIx + x, baseIz + z);
+            }
+        }
+    }
+
+    // Seabed height at world x,z from the grid, or undefined off the grid. CPU twin of the shader's
+    // waveSeabedHeight; it indexes by lattice point like UnifiedTerrain.getSeabedHeight, so the two
+    // agree exactly wherever the grid reaches.
+    sampleSeabed(x, z) {
+        if (!this.hasData) return undefined;
+        const gx = x / this.cellSize;
+        const gz = z / this.cellSize;
+        const ix = Math.floor(gx);
+        const iz = Math.floor(gz);
+        const nx = ix - this.baseIx;
+        const nz = iz - this.baseIz;
+        if (nx < 0 || nz < 0 || nx >= this.nodes - 1 || nz >= this.nodes - 1) return undefined;
+        const fx = gx - ix;
+        const fz = gz - iz;
+        const row = nz * this.nodes + nx;
+        const h00 = this.heights[row];
+        const h10 = this.heights[row + 1];
+        const h01 = this.heights[row + this.nodes];
+        const h11 = this.heights[row + this.nodes + 1];
+        const height = (h00 * (1 - fx) + h10 * fx) * (1 - fz) + (h01 * (1 - fx) + h11 * fx) * fz;
+        return height + this.seabedOffset;
+    }
+
+    // Exact seabed height anywhere (for ship physics, not limited to the grid)
+    getSeabedHeight(x, z) {
+        return this.terrain.getSeabedHeight(x, z);
+    }
+}
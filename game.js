@@ -3,23 +3,34 @@
 
 import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
 import { createPlayerPawn } from './playerPawn.js';
-import { createShipPawn } from './shipPawn.js';
+import { createShipPawn, getShipFloatHeight } from './shipPawn.js';
+import { SHIP_CLASSES, DEFAULT_SHIP_CLASS } from './shipClasses.js'; // Ship class registry (models, stats, handling)
+import { assetManager } from './assetManager.js'; // Loads each model once and shares it
 import { SpectatorPawn } from './spectatorPawn.js'; // Import SpectatorPawn
-import { OceanChunkSystem } from './oceanChunkSystem.js'; // Import new ocean system
+import { OceanChunkSystem, WATER_MODES } from './oceanChunkSystem.js'; // Import new ocean system
+import { waveField, SEA_STATES } from './waveField.js'; // Shared wave model for ocean mesh and ship physics
+import { currentField, CurrentOverlay } from './currentField.js'; // Shared ocean currents that push ships
+import { tideSystem, TIDE_PERIODS } from './tideSystem.js'; // Tidal rise and fall of the shared sea level
+import { WakeSystem } from './wakeSystem.js'; // Ship wakes and bow spray drawn into the ocean
+import { windSystem, getPointOfSail, getPolarFactor } from './windSystem.js'; // Host-synced wind that drives the sails
+import { ShipCollisionSystem } from './shipCollision.js'; // Ship-to-ship contacts
+import { createBuoyancyState } from './buoyancy.js';
+import { updateShipSails } from './sailRig.js'; // Sails that furl, set and fill with the wind
+import { dropAnchor, raiseAnchor, AnchorRodeView, MIN_ANCHOR_DEPTH, MAX_ANCHOR_DEPTH } from './anchor.js'; // Anchoring
+import { CannonSystem, getBroadsideSide, getElevationForRange, MIN_ELEVATION, MAX_ELEVATION } from './cannons.js'; // Broadside cannons
+import { getCollisionDamage, getDamageStateColor, applyDamageVisuals } from './hullHealth.js'; // Hull health, flooding and sinking
+import { inputManager, GAMEPAD_BUTTONS } from './input.js'; // Keyboard, mouse and gamepad
+import { keyBindings, KeyBindingsMenu, getEventKey } from './keyBindings.js'; // Rebindable keys (F2 menu)
 
 // --- GLOBAL OCEAN SYSTEM ---
 let oceanChunkSystem = null; // New chunk-based ocean system
 let globalOceanStartTime = Date.now(); // Absolute timestamp when ocean simulation began
 let globalOceanTime = 0; // Current ocean time (calculated from start time)
-let globalOceanWaveState = {
-    amp: 1.0, // Simple wave amplitude
-    speed: 1.0 // Simple wave speed
-};
 
 // Make ocean variables globally accessible for ship synchronization
 window.globalOceanTime = globalOceanTime;
 window.globalOceanStartTime = globalOceanStartTime;
-window.globalOceanWaveState = globalOceanWaveState;
+window.waveField = waveField;
 import { createAIPlayer } from './ai.js';
 import { TerrainPlane } from './terrainPlane.js';
 import { TerrainGenerator } from './terrainGenerator.js'; // Import the new class
@@ -31,8 +42,15 @@ const menu = document.getElementById('menu');
 const pauseMenu = document.getElementById('pauseMenu');
 const closeMenuButton = document.getElementById('closeMenu');
 const instructions = document.getElementById('instructions');
+const navigationHelp = document.getElementById('navigationHelp');
 const thetaSensitivityInput = document.getElementById('thetaSensitivity');
 const phiSensitivityInput = document.getElementById('phiSensitivity');
+const stickDeadZoneInput = document.getElementById('stickDeadZone');
+const triggerDeadZoneInput = document.getElementById('triggerDeadZone');
+const seaStateSelect = document.getElementById('seaState');
+const tidePeriodSelect = document.getElementById('tidePeriod');
+const waterModeSelect = document.getElementById('waterMode');
+const shipClassSelect = document.getElementById('shipClass');
 const loadingScreen = document.getElementById('loadingScreen');
 
 // Global state
@@ -66,17 +84,98 @@ document.addEventListener('DOMContentLoaded', () => {
             loadingText.textContent = 'Loading Open Waters...';
             loadingText.style.color = '#FFD700';
             loadingText.style.textShadow = '0 0 16px #FFD700';
+            assetManager.setProgressElement(loadingText); // Model download progress
         }
         initGame();
     });
 });
 
+// Ship class the player last picked
+function getSavedShipClass() {
+    const savedShipClass = localStorage.getItem('shipClass');
+    return SHIP_CLASSES[savedShipClass] ? savedShipClass : DEFAULT_SHIP_CLASS;
+}
+
+// Controls help (instructions overlay and pause menu), written from the live key bindings
+function getControlsHelp() {
+    const key = (action) => keyBindings.describe(action);
+    return [
+        `${key('sail_up')}/${key('sail_down')} - Increase/Decrease Sail Mode`,
+        `${key('steer_left')}/${key('steer_right')} - Steer Left/Right`,
+        'Mouse - Look around',
+        `${key('pause')} - Pause/Network menu`,
+        `${key('sail_down')} (when no sail) - Manual reverse`,
+        `${key('fire_port')}/${key('fire_starboard')} - Fire port/starboard broadside (look to a side to aim)`,
+        `${key('anchor')} - Drop/raise anchor (water up to ${MAX_ANCHOR_DEPTH} deep, at least ${MIN_ANCHOR_DEPTH} deep at low tide)`,
+        'Click to lock mouse cursor',
+        `${key('toggle_instructions')} - Toggle instructions`,
+        `${key('toggle_settings')} - Game settings`,
+        `${key('toggle_currents')} - Toggle current arrows`,
+        `${key('toggle_spectator')} - Toggle spectator mode`,
+        `Spectator: ${key('spectator_forward')}/${key('spectator_left')}/${key('spectator_backward')}/${key('spectator_right')} fly, ${key('spectator_up')}/${key('spectator_down')} up/down`
+    ];
+}
+
+const GAMEPAD_HELP = [
+    'Left stick - Rudder (spectator: fly)',
+    'RT/LT - Sail throttle up/down, LT with no sail - reverse (spectator: climb/descend)',
+    'D-pad up/down - Step sail mode',
+    'Right stick - Orbit camera / look',
+    'LB/RB - Fire port/starboard, X - Anchor, Start - Pause, Back - Spectator'
+];
+
+function renderControlsHelp() {
+    const appendLines = (title, lines) => {
+        const heading = document.createElement('strong');
+        heading.textContent = title;
+        instructions.appendChild(heading);
+        instructions.appendChild(document.createElement('br'));
+        for (const line of lines) {
+            instructions.appendChild(document.createTextNode(line));
+            instructions.appendChild(document.createElement('br'));
+        }
+    };
+    instructions.innerHTML = '';
+    appendLines('Ship Navigation Controls:', getControlsHelp());
+    appendLines('Gamepad:', GAMEPAD_HELP);
+
+    if (navigationHelp) {
+        navigationHelp.innerHTML = '';
+        for (const line of getControlsHelp().concat('Gamepad - Left stick steers, RT/LT sail throttle, right stick camera')) {
+            const item = document.createElement('li');
+            item.textContent = line;
+            navigationHelp.appendChild(item);
+        }
+    }
+}
+keyBindings.onChange(renderControlsHelp);
+keyBindings.load();
+
 // Load saved settings on page load
 function loadSettings() {
     const savedTheta = localStorage.getItem('thetaSensitivity');
     const savedPhi = localStorage.getItem('phiSensitivity');
     if (savedTheta) thetaSensitivityInput.value = savedTheta;
     if (savedPhi) phiSensitivityInput.value = savedPhi;
+    inputManager.loadSettings();
+    stickDeadZoneInput.value = inputManager.stickDeadZone;
+    triggerDeadZoneInput.value = inputManager.triggerDeadZone;
+    shipClassSelect.value = getSavedShipClass();
+    const savedWaterMode = localStorage.getItem('waterMode');
+    if (savedWaterMode && WATER_MODES.includes(savedWaterMode)) {
+        waterModeSelect.value = savedWaterMode;
+        if (oceanChunkSystem) oceanChunkSystem.setWaterMode(savedWaterMode);
+    }
+    const savedSeaState = localStorage.getItem('seaState');
+    if (savedSeaState && SEA_STATES[savedSeaState]) {
+        seaStateSelect.value = savedSeaState;
+        waveField.setSeaState(savedSeaState);
+    }
+    const savedTidePeriod = localStorage.getItem('tidePeriod');
+    if (savedTidePeriod && TIDE_PERIODS[savedTidePeriod] !== undefined) {
+        tidePeriodSelect.value = savedTidePeriod;
+        tideSystem.setPeriod(savedTidePeriod);
+    }
 }
 
 let spectatorPawn = null; // Declare spectatorPawn variable
@@ -108,6 +207,10 @@ function initGame() {
     // Add global animated ocean mesh (wireframe, ripple effect)
     oceanChunkSystem = new OceanChunkSystem(scene);
     window.oceanChunkSystem = oceanChunkSystem; // Make globally accessible for ship physics
+    oceanChunkSystem.setSunLight(directionalLight); // Sun highlight for the shaded water mode
+    // Ship wakes are drawn into the ocean surface
+    const wakeSystem = new WakeSystem(scene);
+    oceanChunkSystem.setWakeSource(wakeSystem);
     // ...existing code...
     // Increase far plane to 5000 and near plane to 1.0 for large world and high ocean
     const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 1.0, 5000);
@@ -123,6 +226,119 @@ function initGame() {
 
         // Initialize networked player manager for multiplayer replication
         const networkedPlayerManager = new NetworkedPlayerManager(scene);
+
+        // Ship-to-ship collisions (exposed so other systems can subscribe with onCollision)
+        const shipCollisionSystem = new ShipCollisionSystem();
+        window.shipCollisionSystem = shipCollisionSystem;
+        // Host: collisions between two remote players are resolved here and each owner gets its share
+        shipCollisionSystem.onRemoteResponse = (pawn, other, message) => {
+            if (!window.Network || !pawn.peerId) return;
+            window.Network.sendToPeer(pawn.peerId, {
+                type: 'ship_collision',
+                peerId: window.Network.myPeerId,
+                targetPeerId: pawn.peerId,
+                otherPeerId: other.peerId || null,
+                normal: message.normal,
+                depth: message.depth,
+                impactSpeed: message.impactSpeed,
+                point: message.point,
+                response: message.response
+            });
+        };
+        shipCollisionSystem.onCollision((event) => {
+            if (event.a === playerPawn || event.b === playerPawn) {
+                console.log('[ShipCollision] Player ship collided at speed', event.impactSpeed.toFixed(2));
+            }
+
+            // Hull damage, the heavier ship taking the smaller share. Each peer damages the ships it
+            // simulates (clients' reports reach the host through damageHandler); the host also
+            // damages both ships of a remote pair it resolved. Clients never act on 'host' events.
+            const isHost = !!(window.Network && window.Network.isBase);
+            if (event.authority === 'host' && !isHost) return;
+            const massA = event.a.dynamics ? event.a.dynamics.mass : 1;
+            const massB = event.b.dynamics ? event.b.dynamics.mass : 1;
+            const damageShip = (pawn, isLocal, massShare) => {
+                const amount = getCollisionDamage(event.impactSpeed, massShare);
+                if (amount <= 0) return;
+                if (isLocal && pawn.takeDamage) {
+                    pawn.takeDamage(amount, 'collision');
+                } else if (event.authority === 'host' && pawn.hull) {
+                    pawn.hull.damage(amount, 'collision');
+                }
+            };
+            damageShip(event.a, event.aLocal, massB / (massA + massB));
+            damageShip(event.b, event.bLocal, massA / (massA + massB));
+        });
+
+        // Hull health is owned by the host. A client's damage is batched and sent to the host, and
+        // the result comes back in the host's player_state (playerHulls).
+        const HULL_DAMAGE_SEND_INTERVAL = 200; // ms
+        let pendingHullDamage = 0;
+        let pendingHullDamageSource = null;
+        let lastHullDamageSent = 0;
+        const isHullAuthority = () => !window.Network || !window.Network.isInitialized || window.Network.isBase || !window.Network.getHostPeerId();
+        playerPawn.damageHandler = (amount, source) => {
+            if (isHullAuthority()) {
+                playerPawn.hull.damage(amount, source);
+                return;
+            }
+            pendingHullDamage += amount;
+            pendingHullDamageSource = source;
+        };
+        function flushHullDamage() {
+            const now = Date.now();
+            if (pendingHullDamage <= 0 || now - lastHullDamageSent < HULL_DAMAGE_SEND_INTERVAL) return;
+            const hostPeerId = window.Network.getHostPeerId();
+            window.Network.sendToPeer(hostPeerId, {
+                type: 'hull_damage',
+                peerId: window.Network.myPeerId,
+                targetPeerId: hostPeerId,
+                amount: pendingHullDamage,
+                source: pendingHullDamageSource
+            });
+            pendingHullDamage = 0;
+            lastHullDamageSent = now;
+        }
+
+        // Broadside cannons. Everyone flies every shot; hits are decided by whoever owns hull
+        // health (the host, or us when playing alone) and sent out as 'hit' events.
+        const cannonSystem = new CannonSystem(scene);
+        window.cannonSystem = cannonSystem;
+        const MAX_SHOTS_PER_MESSAGE = 32; // Ignore anything bigger than a broadside from the network
+        const AI_GUN_RANGE = 60.0;
+        const AI_FIRE_RATE = 0.5; // Chance per second an AI fires once loaded and on target
+        let onPlayerHullHit = null; // Set once the HUD exists
+
+        function fireBroadside(pawn, side, elevation) {
+            const shots = cannonSystem.fire(pawn, side, elevation);
+            if (shots && window.Network && window.Network.isInitialized) {
+                window.Network.broadcastEvent({
+                    type: 'projectile',
+                    owner: pawn === playerPawn ? 'player' : 'ai',
+                    shots: shots
+                });
+            }
+            return shots;
+        }
+
+        cannonSystem.onHit = (hit) => {
+            const pawn = hit.pawn;
+            if (typeof pawn.takeDamage === 'function') {
+                pawn.takeDamage(hit.damage, 'cannon');
+            } else if (pawn.hull) {
+                pawn.hull.damage(hit.damage, 'cannon'); // Remote player's ship (host-owned hull)
+            }
+            if (pawn === playerPawn && onPlayerHullHit) onPlayerHullHit();
+            if (window.Network && window.Network.isInitialized) {
+                window.Network.broadcastEvent({
+                    type: 'hit',
+                    projectileId: hit.projectile.id,
+                    point: hit.point,
+                    damage: hit.damage,
+                    targetPeerId: pawn === playerPawn ? window.Network.myPeerId : (pawn.peerId || null)
+                });
+            }
+        };
         
         // === NETWORKING SETUP - Refactored for clean architecture ===
         
@@ -144,39 +360,119 @@ function initGame() {
                 // --- Networked AI Replicants ---
                 // Store networked AI replicants on the client
                 let networkedAIReplicants = [];
-                let pendingReplicantCreations = 0;
+                this.networkedAIReplicants = networkedAIReplicants; // Exposed so every ship gets a wake
+                let replicatedAIIds = new Set(); // Ids of the AI ships in the host's latest state
+                const pendingReplicantIds = new Set(); // Replicants whose models are still loading
+
+                // Collision responses the host resolved for our ship against another remote player
+                this.network.callbacks.handleShipCollision = (data) => {
+                    const other = data.otherPeerId ? this.playerManager.networkedPlayers.get(data.otherPeerId) : null;
+                    shipCollisionSystem.applyHostResponse(playerPawn, data, other ? other.pawn : null);
+                };
+
+                cannonSystem.idPrefix = this.network.myPeerId || cannonSystem.idPrefix;
+
+                // Cannon shots fired by another peer: fly them here too
+                this.network.callbacks.handleProjectile = (data) => {
+                    if (!Array.isArray(data.shots) || data.shots.length > MAX_SHOTS_PER_MESSAGE) return;
+                    const shooter = data.owner === 'player' ? this.playerManager.networkedPlayers.get(data.peerId) : null;
+                    cannonSystem.spawnShots(data.shots, shooter ? shooter.pawn : null);
+                };
+
+                // Cannonball hits resolved by the host (the damage itself arrives with the hull state)
+                this.network.callbacks.handleHit = (data) => {
+                    if (this.network.isBase) return;
+                    cannonSystem.applyRemoteHit(data);
+                    if (data.targetPeerId === this.network.myPeerId && onPlayerHullHit) {
+                        onPlayerHullHit();
+                    }
+                };
+
+                // Host: a client reports damage to its own ship
+                this.network.callbacks.handleHullDamage = (data) => {
+                    const networkedPlayer = this.playerManager.networkedPlayers.get(data.peerId);
+                    if (networkedPlayer && typeof data.amount === 'number') {
+                        networkedPlayer.hull.damage(data.amount, data.source);
+                    }
+                };
+
+                // Host: a client's ship went down and it wants a fresh hull
+                this.network.callbacks.handleShipRespawn = (data) => {
+                    const networkedPlayer = this.playerManager.networkedPlayers.get(data.peerId);
+                    if (networkedPlayer) {
+                        networkedPlayer.hull.repair();
+                        console.log(`[Hull] Respawned ship of ${data.peerId}`);
+                    }
+                };
 
                 // Handle incoming player state updates from other clients
                 this.network.callbacks.handlePlayerState = (peerId, state) => {
                     this.playerManager.updatePlayer(peerId, state);
 
+                    // --- Hull health: the host's state is authoritative ---
+                    if (!this.network.isBase) {
+                        const sender = this.playerManager.networkedPlayers.get(peerId);
+                        if (sender && state.hull) {
+                            sender.hull.setState(state.hull);
+                        }
+                        if (state.playerHulls) {
+                            for (const [hullPeerId, hullState] of Object.entries(state.playerHulls)) {
+                                if (hullPeerId === this.network.myPeerId) {
+                                    playerPawn.hull.setState(hullState);
+                                } else if (this.playerManager.networkedPlayers.has(hullPeerId)) {
+                                    this.playerManager.networkedPlayers.get(hullPeerId).hull.setState(hullState);
+                                }
+                            }
+                        }
+                    }
+
                     // --- AI Replication: Only on client, only if host sends aiStates ---
                     if (!this.network.isBase && state.aiStates && Array.isArray(state.aiStates)) {
-                        // Remove extra replicants if needed
-                        while (networkedAIReplicants.length > state.aiStates.length) {
-                            const aiReplicant = networkedAIReplicants.pop();
-                            scene.remove(aiReplicant);
+                        // Match replicants to the host's ships by id: ships sink out of the middle
+                        // of the host's lists, so positions in the list don't stay with a ship
+                        replicatedAIIds = new Set(state.aiStates.map(aiState => aiState.id));
+                        for (let i = networkedAIReplicants.length - 1; i >= 0; i--) {
+                            if (!replicatedAIIds.has(networkedAIReplicants[i].aiId)) {
+                                scene.remove(networkedAIReplicants[i]);
+                                networkedAIReplicants.splice(i, 1);
+                            }
                         }
-                        // Create missing replicants (but don't loop if waiting for callback)
-                        while ((networkedAIReplicants.length + pendingReplicantCreations) < state.aiStates.length) {
-                            pendingReplicantCreations++;
+                        const replicantsById = new Map(networkedAIReplicants.map(aiReplicant => [aiReplicant.aiId, aiReplicant]));
+                        // Create missing replicants (once per id while its model loads)
+                        for (const aiState of state.aiStates) {
+                            if (replicantsById.has(aiState.id) || pendingReplicantIds.has(aiState.id)) continue;
+                            pendingReplicantIds.add(aiState.id);
                             createShipPawn(true, 0x888888, false, (aiReplicant) => {
+                                pendingReplicantIds.delete(aiState.id);
+                                if (!replicatedAIIds.has(aiState.id)) return; // Sank while loading
+                                aiReplicant.aiId = aiState.id;
                                 scene.add(aiReplicant);
                                 networkedAIReplicants.push(aiReplicant);
-                                pendingReplicantCreations--;
                             });
                         }
                         // Update each replicant's state (only if exists)
-                        state.aiStates.forEach((aiState, idx) => {
-                            const aiReplicant = networkedAIReplicants[idx];
+                        state.aiStates.forEach((aiState) => {
+                            const aiReplicant = replicantsById.get(aiState.id);
                             if (aiReplicant) {
+                                if (aiState.shipClass && aiState.shipClass !== aiReplicant.shipClass) {
+                                    aiReplicant.setShipClass(aiState.shipClass);
+                                }
+                                // Float replicants on the local ocean surface so they match the visible water
                                 aiReplicant.position.set(
                                     aiState.position.x,
-                                    aiState.position.y,
+                                    getShipFloatHeight(aiState.position.x, aiState.position.z, aiReplicant.hullProfile.waterline),
                                     aiState.position.z
                                 );
                                 aiReplicant.rotationY = aiState.rotationY || 0;
+                                aiReplicant.sailMode = aiState.sailMode || aiReplicant.sailMode;
+                                if (aiState.hull) {
+                                    aiReplicant.hull.setState(aiState.hull);
+                                    aiReplicant.position.y -= aiReplicant.hull.getWaterlineDrop(aiReplicant.hullProfile.waterline);
+                                    aiReplicant.visible = !aiReplicant.hull.sunk;
+                                    applyDamageVisuals(aiReplicant.shipModel, aiReplicant.hull.damageState);
+                                }
                                 if (aiReplicant.shipModel && aiState.shipModelRotation) {
+                                    aiReplicant.shipModel.rotation.order = 'YXZ'; // Same order as the host's AI (pitch/roll in ship frame)
                                     aiReplicant.shipModel.rotation.x = aiState.shipModelRotation.x;
                                     aiReplicant.shipModel.rotation.y = aiState.shipModelRotation.y;
                                     aiReplicant.shipModel.rotation.z = aiState.shipModelRotation.z;
@@ -199,6 +495,18 @@ function initGame() {
                         // Client receives ocean timing from host
                         globalOceanStartTime = state.oceanSync.startTime;
                         window.globalOceanStartTime = globalOceanStartTime;
+                        // Use the host's wave parameters for this session
+                        if (state.oceanSync.waveConfig && waveField.configure(state.oceanSync.waveConfig)) {
+                            seaStateSelect.value = waveField.seaState;
+                        }
+                        // ...and the host's tide, which runs off the same start time
+                        if (state.oceanSync.tideConfig && tideSystem.configure(state.oceanSync.tideConfig)) {
+                            tidePeriodSelect.value = tideSystem.period;
+                        }
+                        // ...and the host's wind
+                        if (state.oceanSync.windConfig) {
+                            windSystem.configure(state.oceanSync.windConfig);
+                        }
                         // Optional: Log sync events for debugging (remove in production)
                         // ...existing code...
                     }
@@ -326,6 +634,14 @@ function initGame() {
         const terrainGenerator = new TerrainGenerator(scene, planeSize, planeGeometry, planeMaterial);
         // Expose terrainGenerator globally for networking callbacks
         window.terrainGenerator = terrainGenerator;
+        // Storms roughen the shared wave field locally; shallows make waves shoal and break
+        waveField.setStormField(terrainGenerator.stormSystem);
+        windSystem.setStormField(terrainGenerator.stormSystem);
+        waveField.setDepthField(terrainGenerator.depthMap);
+
+        // Currents follow the terrain seed and seabed; F3 shows them as arrows
+        currentField.setTerrain(terrainGenerator.unifiedTerrain);
+        const currentOverlay = new CurrentOverlay(scene, currentField);
 
 
         // === TERRAIN SEED NETWORKING ===
@@ -338,7 +654,7 @@ function initGame() {
                 // ...existing code...
             }
             if (window.terrainGenerator && window.terrainGenerator.unifiedTerrain) {
-                window.terrainGenerator.unifiedTerrain.onHostSeedReceived(hostSeed, 0);
+                window.terrainGenerator.unifiedTerrain.onHostSeedReceived(hostSeed);
             } else {
                 // ...existing code...
             }
@@ -356,10 +672,8 @@ function initGame() {
         let theta = Math.atan2(initialOffset.x, initialOffset.z);
         let phi = Math.atan2(initialOffset.y, Math.sqrt(initialOffset.x ** 2 + initialOffset.z ** 2));
 
-        // Mouse controls with Pointer Lock
+        // Mouse controls with Pointer Lock (movement is collected by the input manager)
         let isPointerLocked = false;
-        let mouseX = 0;
-        let mouseY = 0;
         let thetaSensitivity = parseFloat(thetaSensitivityInput.value);
         let phiSensitivity = parseFloat(phiSensitivityInput.value);
 
@@ -375,21 +689,7 @@ function initGame() {
             isPointerLocked = document.pointerLockElement === canvas;
         });
 
-        document.addEventListener('mousemove', (e) => {
-            if (isPointerLocked) {
-                const movementX = e.movementX || e.mozMovementX || 0;
-                const movementY = e.movementY || e.mozMovementY || 0;
-                
-                if (isSpectatorMode) {
-                    // Pass mouse movement to spectator pawn
-                    spectatorPawn.handleMouseMovement(movementX, movementY);
-                } else {
-                    // Regular camera mouse input
-                    mouseX = movementX;
-                    mouseY = movementY;
-                }
-            }
-        });
+        inputManager.attach(canvas);
 
         // Update and save sensitivity from sliders
         thetaSensitivityInput.addEventListener('input', (e) => {
@@ -400,91 +700,150 @@ function initGame() {
             phiSensitivity = parseFloat(e.target.value);
             localStorage.setItem('phiSensitivity', phiSensitivity);
         });
+        // Gamepad dead zones (saved by the input manager)
+        stickDeadZoneInput.addEventListener('input', (e) => {
+            inputManager.setStickDeadZone(e.target.value);
+        });
+        triggerDeadZoneInput.addEventListener('input', (e) => {
+            inputManager.setTriggerDeadZone(e.target.value);
+        });
+        // Ship class (replicated to other players with our state)
+        shipClassSelect.addEventListener('change', (e) => {
+            playerPawn.setShipClass(e.target.value);
+            localStorage.setItem('shipClass', playerPawn.shipClass);
+        });
+        // Water rendering mode (local only - wireframe or shaded)
+        waterModeSelect.addEventListener('change', (e) => {
+            oceanChunkSystem.setWaterMode(e.target.value);
+            localStorage.setItem('waterMode', e.target.value);
+        });
+        // Sea state selection (clients are overridden by the host's oceanSync)
+        seaStateSelect.addEventListener('change', (e) => {
+            waveField.setSeaState(e.target.value);
+            localStorage.setItem('seaState', e.target.value);
+        });
+        // Tide period selection (clients are overridden by the host's oceanSync)
+        tidePeriodSelect.addEventListener('change', (e) => {
+            tideSystem.setPeriod(e.target.value);
+            localStorage.setItem('tidePeriod', e.target.value);
+        });
 
         // Load settings when the page loads
         loadSettings();
 
-        // Movement controls
-        const moveState = { forward: false, backward: false, left: false, right: false };
+        // Movement controls (the rudder is analog, from the input manager each frame)
+        const moveState = { forward: false, backward: false, left: false, right: false, rudder: 0 };
+        let keyboardReverse = false; // S held with no sail set
+        let sailThrottle = 0; // Gamepad throttle lever, 0 (no sail) .. 1 (full sail)
+        const SAIL_THROTTLE_RATE = 0.8; // Lever travel per second at full trigger
+        const CAMERA_STICK_SPEED = 2.5; // Orbit rate at full right stick (radians per second)
         const playerSpeed = 5.0;
         let lastTime = performance.now();
         let isMenuOpen = false;
         let animationTime = 0;
 
+        // Controls list in the settings menu (its key capture has to run before the handlers below)
+        new KeyBindingsMenu(
+            document.getElementById('keyBindingsList'),
+            document.getElementById('keyBindingsStatus'),
+            document.getElementById('resetKeyBindings')
+        );
+
         document.addEventListener('keydown', (e) => {
-            const key = e.key.toLowerCase();
+            const key = getEventKey(e);
 
             // Global hotkeys
-            if (key === 'escape' || key === 'n') {
-                isGamePaused = !isGamePaused;
-                pauseMenu.style.display = isGamePaused ? 'block' : 'none';
-                if (isGamePaused && isPointerLocked) {
-                    document.exitPointerLock();
-                } else if (!isGamePaused && !isPointerLocked) {
-                    canvas.requestPointerLock();
-                }
+            if (keyBindings.matches(key, 'pause')) {
+                togglePause();
             }
 
-            if (key === 'f1') {
+            if (keyBindings.matches(key, 'toggle_instructions')) {
+                e.preventDefault(); // Browser help
                 isInstructionsVisible = !isInstructionsVisible;
                 instructions.classList.toggle('hidden', !isInstructionsVisible);
             }
 
-            if (key === 'f2') {
+            if (keyBindings.matches(key, 'toggle_settings')) {
                 isSettingsOpen = !isSettingsOpen;
                 menu.style.display = isSettingsOpen ? 'block' : 'none';
             }
 
+            if (keyBindings.matches(key, 'toggle_currents')) {
+                e.preventDefault(); // Browser find
+                currentOverlay.toggle();
+            }
+
             // Movement controls only when not paused, not in settings, and not in spectator mode
             if (!isGamePaused && !isSettingsOpen && !isSpectatorMode) {
-                if (key === 'w') {
-                    // W key increases sail mode
+                if (keyBindings.matches(key, 'sail_up')) {
                     toggleSailMode('w');
                 }
-                if (key === 's') {
-                    // S key can decrease sail mode OR provide manual reverse
+                if (keyBindings.matches(key, 'sail_down')) {
+                    // Decreases sail mode OR provides manual reverse
                     if (currentSailMode === 'noSail') {
-                        moveState.backward = true; // Manual reverse when no sail
+                        keyboardReverse = true; // Manual reverse when no sail
                     } else {
                         toggleSailMode('s'); // Decrease sail mode
                     }
                 }
-                if (key === 'a') {
-                    moveState.left = true;
+                if (keyBindings.matches(key, 'anchor') && !e.repeat) {
+                    toggleAnchor();
                 }
-                if (key === 'd') {
-                    moveState.right = true;
+                if (keyBindings.matches(key, 'fire_port') && !e.repeat) {
+                    fireBroadside(playerPawn, 'port', getAimElevation());
                 }
-            }
-
-            // --- Spectator mode controls: handle spacebar locally for spectatorPawn only ---
-            if (isSpectatorMode && key === ' ') {
-                // Only affect local spectator pawn, do not change global state or network
-                if (spectatorPawn && typeof spectatorPawn.handleSpacebar === 'function') {
-                    spectatorPawn.handleSpacebar();
+                if (keyBindings.matches(key, 'fire_starboard') && !e.repeat) {
+                    fireBroadside(playerPawn, 'starboard', getAimElevation());
                 }
-                // Prevent default browser behavior
-                e.preventDefault();
-                e.stopPropagation();
             }
         });
 
         document.addEventListener('keyup', (e) => {
-            const key = e.key.toLowerCase();
             // Only process movement key releases if not in spectator mode
-            if (!isSpectatorMode) {
-                if (key === 's') {
-                    moveState.backward = false; // Stop manual reverse
-                }
-                if (key === 'a') {
-                    moveState.left = false;
-                }
-                if (key === 'd') {
-                    moveState.right = false;
-                }
+            if (!isSpectatorMode && keyBindings.matches(getEventKey(e), 'sail_down')) {
+                keyboardReverse = false; // Stop manual reverse
             }
         });
 
+        function togglePause() {
+            isGamePaused = !isGamePaused;
+            pauseMenu.style.display = isGamePaused ? 'block' : 'none';
+            if (isGamePaused && isPointerLocked) {
+                document.exitPointerLock();
+            } else if (!isGamePaused && !isPointerLocked) {
+                canvas.requestPointerLock();
+            }
+        }
+
+        // Gamepad buttons (read once per frame, after the input manager polls the pad)
+        function handleGamepadButtons() {
+            if (inputManager.wasButtonPressed(GAMEPAD_BUTTONS.START)) togglePause();
+            if (inputManager.wasButtonPressed(GAMEPAD_BUTTONS.BACK)) toggleSpectatorMode();
+            if (isGamePaused || isSettingsOpen || isSpectatorMode) return;
+            if (inputManager.wasButtonPressed(GAMEPAD_BUTTONS.DPAD_UP) && currentSailMode !== 'fullSail') toggleSailMode('w');
+            if (inputManager.wasButtonPressed(GAMEPAD_BUTTONS.DPAD_DOWN) && currentSailMode !== 'noSail') toggleSailMode('s');
+            if (inputManager.wasButtonPressed(GAMEPAD_BUTTONS.X)) toggleAnchor();
+            if (inputManager.wasButtonPressed(GAMEPAD_BUTTONS.LB)) fireBroadside(playerPawn, 'port', getAimElevation());
+            if (inputManager.wasButtonPressed(GAMEPAD_BUTTONS.RB)) fireBroadside(playerPawn, 'starboard', getAimElevation());
+        }
+
+        // Triggers work the sails like a throttle lever: the lever moves while a trigger is held
+        // and the sails follow it notch by notch. Holding LT with the sails furled backs them.
+        function updateSailThrottle(deltaTime) {
+            const throttle = inputManager.getThrottle();
+            if (throttle === 0) return false;
+            const sailModeKeys = Object.keys(sailModes);
+            const notches = sailModeKeys.length - 1;
+            if (throttle < 0 && currentSailMode === 'noSail') {
+                sailThrottle = 0;
+                return true;
+            }
+            sailThrottle = Math.max(0, Math.min(1, sailThrottle + throttle * SAIL_THROTTLE_RATE * deltaTime));
+            const mode = sailModeKeys[Math.round(sailThrottle * notches)];
+            if (mode !== currentSailMode) setSailMode(mode);
+            return false;
+        }
+
         closeMenuButton.addEventListener('click', () => {
             isSettingsOpen = false;
             menu.style.display = 'none';
@@ -496,9 +855,9 @@ function initGame() {
         // Initialize SpectatorPawn
         spectatorPawn = new SpectatorPawn(scene, camera);
 
-        // Add keybinding for F8 with capture phase
+        // Spectator toggle (F8 by default) with capture phase
         window.addEventListener('keydown', (event) => {
-            if (event.code === 'F8') {
+            if (keyBindings.matches(getEventKey(event), 'toggle_spectator')) {
                 event.preventDefault();
                 event.stopPropagation();
                 toggleSpectatorMode();
@@ -521,9 +880,12 @@ function initGame() {
                 moveState.backward = false;
                 moveState.left = false;
                 moveState.right = false;
+                moveState.rudder = 0;
+                keyboardReverse = false;
                 
                 spectatorPawn.activate();
                 isSpectatorMode = true;
+                spectatorIndicator.textContent = `🕵️ SPECTATOR MODE - Press ${keyBindings.describe('toggle_spectator')} to exit`;
                 spectatorIndicator.style.display = 'block';
                 // Removed spectator mode logging for performance
             }
@@ -553,6 +915,210 @@ function initGame() {
         sailModeDisplay.textContent = `Sail Mode: ${currentSailMode}`;
         document.body.appendChild(sailModeDisplay);
 
+        // Warning shown while the ship sits on the seabed (e.g. stranded by a falling tide)
+        const groundingDisplay = document.createElement('div');
+        groundingDisplay.id = 'groundingDisplay';
+        groundingDisplay.style.position = 'absolute';
+        groundingDisplay.style.bottom = '60px';
+        groundingDisplay.style.left = '10px';
+        groundingDisplay.style.padding = '10px';
+        groundingDisplay.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+        groundingDisplay.style.color = '#FF4444';
+        groundingDisplay.style.fontSize = '16px';
+        groundingDisplay.style.borderRadius = '5px';
+        groundingDisplay.style.zIndex = '1000';
+        groundingDisplay.style.display = 'none';
+        groundingDisplay.textContent = 'AGROUND - wait for the tide or back off into deeper water';
+        document.body.appendChild(groundingDisplay);
+
+        // Hard terrain impacts and cannon hits flash a damage warning in the same spot
+        let impactWarningTimer = 0;
+        let impactWarningText = '';
+        playerPawn.onTerrainImpact = (impact) => {
+            console.log('[Collision] Struck terrain at speed', impact.impactSpeed.toFixed(2), '- hull damage', impact.damage.toFixed(1));
+            impactWarningTimer = 2.0;
+            impactWarningText = 'HULL DAMAGED - struck the rocks';
+        };
+        onPlayerHullHit = () => {
+            impactWarningTimer = 1.5;
+            impactWarningText = 'HIT - taking cannon fire';
+        };
+
+        // Hull health above the grounding warning; coloured by damage state
+        const hullDisplay = document.createElement('div');
+        hullDisplay.id = 'hullDisplay';
+        hullDisplay.style.position = 'absolute';
+        hullDisplay.style.bottom = '110px';
+        hullDisplay.style.left = '10px';
+        hullDisplay.style.padding = '10px';
+        hullDisplay.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+        hullDisplay.style.color = getDamageStateColor('intact');
+        hullDisplay.style.fontSize = '16px';
+        hullDisplay.style.borderRadius = '5px';
+        hullDisplay.style.zIndex = '1000';
+        document.body.appendChild(hullDisplay);
+
+        function updateHullDisplay() {
+            const hull = playerPawn.hull;
+            let text;
+            if (hull.sinking) {
+                text = hull.sunk ? 'SUNK - respawning...' : 'SINKING - abandon ship!';
+            } else {
+                text = `Hull ${Math.round(hull.fraction * 100)}% (${hull.damageState})`;
+                if (hull.flooding > 0.01) text += ` - taking water ${Math.round(hull.flooding * 100)}%`;
+            }
+            if (hullDisplay.textContent !== text) hullDisplay.textContent = text;
+            hullDisplay.style.color = getDamageStateColor(hull.damageState);
+        }
+
+        // Gun readiness per side, above the hull display
+        const cannonDisplay = document.createElement('div');
+        cannonDisplay.id = 'cannonDisplay';
+        cannonDisplay.style.position = 'absolute';
+        cannonDisplay.style.bottom = '160px';
+        cannonDisplay.style.left = '10px';
+        cannonDisplay.style.padding = '10px';
+        cannonDisplay.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+        cannonDisplay.style.color = 'white';
+        cannonDisplay.style.fontSize = '16px';
+        cannonDisplay.style.borderRadius = '5px';
+        cannonDisplay.style.zIndex = '1000';
+        document.body.appendChild(cannonDisplay);
+
+        function updateCannonDisplay() {
+            const sideText = (side) => {
+                const reload = cannonSystem.getReload(playerPawn, side);
+                return reload > 0 ? `reloading ${reload.toFixed(1)}s` : 'ready';
+            };
+            const text = `Guns - Port (${keyBindings.describe('fire_port')}): ${sideText('port')} | Starboard (${keyBindings.describe('fire_starboard')}): ${sideText('starboard')}`;
+            if (cannonDisplay.textContent !== text) cannonDisplay.textContent = text;
+        }
+
+        // Guns are aimed with the camera: look toward a side to see its arc, and lower the view
+        // (looking out to the horizon) to raise the guns for a longer shot
+        function getAimElevation() {
+            const t = Math.max(0, Math.min(1, (phi - 0.1) / (1.2 - 0.1)));
+            return MAX_ELEVATION - t * (MAX_ELEVATION - MIN_ELEVATION);
+        }
+
+        function getAimSide() {
+            const lookX = -Math.sin(theta);
+            const lookZ = -Math.cos(theta);
+            const across = lookX * Math.cos(playerPawn.rotation.y) - lookZ * Math.sin(playerPawn.rotation.y);
+            if (Math.abs(across) < 0.5) return null; // Looking fore or aft
+            return across > 0 ? 'starboard' : 'port';
+        }
+
+        // AI ships we simulate fire on the nearest player ship that comes abeam within range
+        function updateAIGunnery(deltaTime, aiShips) {
+            const targets = [playerPawn, ...networkedPlayerManager.getAllPawns()]
+                .filter(target => target.parent && !(target.hull && target.hull.sinking));
+            for (const aiPawn of aiShips) {
+                let nearest = null;
+                let nearestDistance = AI_GUN_RANGE;
+                for (const target of targets) {
+                    const distance = Math.hypot(target.position.x - aiPawn.position.x, target.position.z - aiPawn.position.z);
+                    if (distance < nearestDistance) {
+                        nearest = target;
+                        nearestDistance = distance;
+                    }
+                }
+                if (!nearest) continue;
+                const side = getBroadsideSide(aiPawn, nearest.position.x, nearest.position.z, AI_GUN_RANGE);
+                if (side && cannonSystem.canFire(aiPawn, side) && Math.random() < AI_FIRE_RATE * deltaTime) {
+                    fireBroadside(aiPawn, side, getElevationForRange(nearestDistance));
+                }
+            }
+        }
+
+        // Sunk ships: AI ships we simulate are removed for good; our own ship respawns where it
+        // went down with a fresh hull (from the host in multiplayer) after a short wait
+        const RESPAWN_DELAY = 5000; // ms
+        let playerSunkAt = 0;
+        let respawnRequested = false;
+
+        function removeSunkAI(list) {
+            for (let i = list.length - 1; i >= 0; i--) {
+                if (list[i].hull && list[i].hull.sunk) {
+                    console.log(`[Hull] AI ship (${list[i].shipClass}) sank`);
+                    scene.remove(list[i]);
+                    list.splice(i, 1);
+                }
+            }
+        }
+
+        function updatePlayerSinking() {
+            const now = Date.now();
+            if (playerPawn.hull.sunk && !playerSunkAt) {
+                playerSunkAt = now;
+                scene.remove(playerPawn);
+                console.log('[Hull] Player ship sank (last damage: ' + playerPawn.hull.lastSource + ')');
+            }
+            if (!playerSunkAt) return;
+            if (!respawnRequested && now - playerSunkAt >= RESPAWN_DELAY) {
+                respawnRequested = true;
+                if (isHullAuthority()) {
+                    playerPawn.hull.repair();
+                } else {
+                    const hostPeerId = window.Network.getHostPeerId();
+                    pendingHullDamage = 0; // Damage to the wreck doesn't carry over
+                    window.Network.sendToPeer(hostPeerId, {
+                        type: 'ship_respawn',
+                        peerId: window.Network.myPeerId,
+                        targetPeerId: hostPeerId
+                    });
+                }
+            }
+            // Back afloat once the hull is repaired (by us, or by the host's replicated state)
+            if (!playerPawn.hull.sinking) {
+                playerSunkAt = 0;
+                respawnRequested = false;
+                playerPawn.speed = 0;
+                playerPawn.buoyancy = createBuoyancyState(); // Start on the surface, not from the seabed
+                setSailMode('noSail');
+                raiseAnchor(playerPawn);
+                scene.add(playerPawn);
+                console.log('[Hull] Player ship respawned');
+            }
+        }
+
+        // Wind indicator: the arrow shows where the wind blows relative to the camera view
+        const windDisplay = document.createElement('div');
+        windDisplay.id = 'windDisplay';
+        windDisplay.style.position = 'absolute';
+        windDisplay.style.top = '10px';
+        windDisplay.style.right = '10px';
+        windDisplay.style.padding = '10px';
+        windDisplay.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+        windDisplay.style.color = 'white';
+        windDisplay.style.fontSize = '16px';
+        windDisplay.style.borderRadius = '5px';
+        windDisplay.style.zIndex = '1000';
+        windDisplay.style.textAlign = 'center';
+        const windArrow = document.createElement('div');
+        windArrow.textContent = '\u2191';
+        windArrow.style.fontSize = '32px';
+        windArrow.style.color = '#FFD700';
+        const windText = document.createElement('div');
+        windDisplay.appendChild(windArrow);
+        windDisplay.appendChild(windText);
+        document.body.appendChild(windDisplay);
+        const windAtPlayer = new THREE.Vector2();
+        const cameraDirection = new THREE.Vector3();
+
+        function updateWindDisplay() {
+            const wind = windSystem.getWindAt(playerPawn.position.x, playerPawn.position.z, windAtPlayer);
+            camera.getWorldDirection(cameraDirection);
+            const relative = Math.atan2(wind.y, wind.x) - Math.atan2(cameraDirection.z, cameraDirection.x);
+            windArrow.style.transform = `rotate(${(relative * 180 / Math.PI).toFixed(1)}deg)`;
+
+            const forwardX = -Math.sin(playerPawn.rotation.y);
+            const forwardZ = -Math.cos(playerPawn.rotation.y);
+            const angleToWind = windSystem.getAngleToWind(playerPawn.position.x, playerPawn.position.z, forwardX, forwardZ);
+            const text = `Wind ${wind.length().toFixed(1)} - ${getPointOfSail(angleToWind)} (${Math.round(getPolarFactor(angleToWind) * 100)}%)`;
+            if (windText.textContent !== text) windText.textContent = text;
+        }
+
         // Update toggleSailMode to handle 'w' for increase and 's' for decrease
         // Ship now moves independently based on sail mode, not tied to key states
         function toggleSailMode(key) {
@@ -560,21 +1126,71 @@ function initGame() {
             const currentIndex = sailModeKeys.indexOf(currentSailMode);
 
             if (key === 'w') {
-                currentSailMode = sailModeKeys[(currentIndex + 1) % sailModeKeys.length];
+                setSailMode(sailModeKeys[(currentIndex + 1) % sailModeKeys.length]);
             } else if (key === 's') {
-                currentSailMode = sailModeKeys[(currentIndex - 1 + sailModeKeys.length) % sailModeKeys.length];
+                setSailMode(sailModeKeys[(currentIndex - 1 + sailModeKeys.length) % sailModeKeys.length]);
             }
+        }
 
-            const sailSpeed = sailModes[currentSailMode];
+        function setSailMode(mode) {
+            const sailModeKeys = Object.keys(sailModes);
+            currentSailMode = mode;
+            sailThrottle = sailModeKeys.indexOf(mode) / (sailModeKeys.length - 1); // Keep the lever in step
+            playerPawn.sailMode = currentSailMode; // Furls or sets the canvas (see sailRig.js)
             // Removed sail mode logging for performance
-            sailModeDisplay.textContent = `Sail Mode: ${currentSailMode} (Speed: ${sailSpeed})`;
+            updateSailModeDisplay();
+        }
+
+        function updateSailModeDisplay() {
+            const sailSpeed = sailModes[currentSailMode];
+            sailModeDisplay.textContent = `Sail Mode: ${currentSailMode} (Speed: ${sailSpeed})` + (playerPawn.anchor ? ' - ANCHORED' : '');
+        }
+
+        // The anchor key drops or weighs the anchor; it only holds where the bottom is in reach
+        const anchorRodeView = new AnchorRodeView(scene);
+        function toggleAnchor() {
+            if (playerPawn.anchor) {
+                raiseAnchor(playerPawn);
+                console.log('[Anchor] Anchor weighed');
+            } else {
+                const check = dropAnchor(playerPawn, playerPawn.rotation.y);
+                if (check.allowed) {
+                    console.log('[Anchor] Anchored in', check.depth.toFixed(1), 'of water, rode', playerPawn.anchor.rodeLength.toFixed(1));
+                } else {
+                    impactWarningTimer = 2.0;
+                    impactWarningText = `Can't anchor here - ${check.reason} (depth ${check.depth.toFixed(1)})`;
+                }
+            }
+            updateSailModeDisplay();
         }
 
         // Animation loop
         // --- Background update loop for AI/network when tab is hidden ---
         let backgroundInterval = null;
         function runGameFrame(deltaTime) {
+            // Advance the synced ocean clock and storms first so ships sample this frame's sea
+            globalOceanTime = (Date.now() - globalOceanStartTime) / 1000.0 * 2.0;
+            window.globalOceanTime = globalOceanTime;
+            window.globalOceanStartTime = globalOceanStartTime;
+            waveField.setTime(globalOceanTime);
+            waveField.setTideOffset(tideSystem.update((Date.now() - globalOceanStartTime) / 1000.0));
+            windSystem.update((Date.now() - globalOceanStartTime) / 1000.0);
+            if (terrainGenerator && typeof terrainGenerator.updateStormSystem === 'function') {
+                terrainGenerator.updateStormSystem(deltaTime, playerPawn.position);
+            }
+            if (terrainGenerator && typeof terrainGenerator.updateDepthMap === 'function') {
+                terrainGenerator.updateDepthMap(camera.position);
+            }
+            currentOverlay.update(deltaTime, playerPawn.position);
+
             // ...existing code from animate body...
+            inputManager.update();
+            handleGamepadButtons();
+            if (!isGamePaused && !isSettingsOpen && !isSpectatorMode) {
+                const throttleReverse = updateSailThrottle(deltaTime);
+                moveState.rudder = inputManager.getRudder();
+                moveState.backward = keyboardReverse || throttleReverse;
+            }
             const sailSpeed = sailModes[currentSailMode];
             if (!isGamePaused && !isSettingsOpen) {
                 if (!isSpectatorMode) {
@@ -586,6 +1202,17 @@ function initGame() {
             } else {
                 playerPawn.update(deltaTime, animationTime);
             }
+            impactWarningTimer = Math.max(0, impactWarningTimer - deltaTime);
+            if (impactWarningTimer > 0) {
+                groundingDisplay.textContent = impactWarningText;
+            } else {
+                groundingDisplay.textContent = 'AGROUND - wait for the tide or back off into deeper water';
+            }
+            groundingDisplay.style.display = playerPawn.isAground || impactWarningTimer > 0 ? 'block' : 'none';
+            updatePlayerSinking();
+            updateHullDisplay();
+            updateCannonDisplay();
+            updateWindDisplay();
 
             if (aiPlayers && aiPlayers.length > 0) {
                 aiPlayers.forEach((aiPawn, idx) => {
@@ -602,13 +1229,36 @@ function initGame() {
                 });
             }
 
+            removeSunkAI(aiPlayers);
+            removeSunkAI(hostedClientAIPlayers);
+
+            // Cannons: AI return fire (wherever hulls are decided), then fly every ball
+            const resolveHits = isHullAuthority();
+            if (resolveHits && !isGamePaused) {
+                updateAIGunnery(deltaTime, [...aiPlayers, ...hostedClientAIPlayers]);
+            }
+            cannonSystem.update(deltaTime, [
+                playerPawn,
+                ...aiPlayers,
+                ...hostedClientAIPlayers,
+                ...(gameNetworking.networkedAIReplicants || []),
+                ...networkedPlayerManager.getAllPawns()
+            ], resolveHits);
+            cannonSystem.updatePreview(playerPawn, isSpectatorMode || playerPawn.hull.sinking ? null : getAimSide(), getAimElevation());
+
+            // Ship-to-ship collisions: we move the ships we simulate, remote ships are moved by their owners
+            const isHost = !!(window.Network && window.Network.isBase);
+            shipCollisionSystem.update(deltaTime, [
+                playerPawn,
+                ...aiPlayers,
+                ...(isHost ? hostedClientAIPlayers : [])
+            ], [
+                ...(gameNetworking.networkedAIReplicants || []),
+                ...networkedPlayerManager.getAllPawns()
+            ], isHost);
+
             if (oceanChunkSystem && playerPawn) {
-                const currentRealTime = Date.now();
-                globalOceanTime = (currentRealTime - globalOceanStartTime) / 1000.0 * 2.0;
-                window.globalOceanTime = globalOceanTime;
-                window.globalOceanStartTime = globalOceanStartTime;
-                window.globalOceanWaveState = globalOceanWaveState;
-                oceanChunkSystem.update(deltaTime, playerPawn.position);
+                oceanChunkSystem.update(deltaTime, camera.position);
             }
 
             const playerState = {
@@ -633,19 +1283,31 @@ function initGame() {
                     z: playerPawn.shipModel.position.z
                 } : null,
                 surgeActive: playerPawn.surgeActive || false,
+                shipClass: playerPawn.shipClass,
+                sailMode: playerPawn.sailMode,
+                anchor: playerPawn.anchor,
+                hull: gameNetworking.getNetworkInfo().isHost ? playerPawn.hull.getState() : null,
+                playerHulls: gameNetworking.getNetworkInfo().isHost ? networkedPlayerManager.getHullStates() : null,
                 oceanSync: gameNetworking.getNetworkInfo().isHost ? {
                     startTime: globalOceanStartTime,
-                    currentTime: globalOceanTime
+                    currentTime: globalOceanTime,
+                    waveConfig: waveField.getConfig(),
+                    tideConfig: tideSystem.getConfig(),
+                    windConfig: windSystem.getConfig()
                 } : null,
-                aiStates: (gameNetworking.getNetworkInfo().isHost && (aiPlayers.length > 0 || hostedClientAIPlayers.length > 0))
+                aiStates: gameNetworking.getNetworkInfo().isHost // Empty once every AI ship has sunk, so clients drop the last replicant
                     ? [
                         ...aiPlayers.map(aiPawn => ({
+                            id: aiPawn.aiId,
                             position: {
                                 x: aiPawn.position.x,
                                 y: aiPawn.position.y,
                                 z: aiPawn.position.z
                             },
                             rotationY: aiPawn.rotationY || 0,
+                            shipClass: aiPawn.shipClass,
+                            sailMode: aiPawn.sailMode,
+                            hull: aiPawn.hull.getState(),
                             shipModelRotation: aiPawn.shipModel ? {
                                 x: aiPawn.shipModel.rotation.x,
                                 y: aiPawn.shipModel.rotation.y,
@@ -658,12 +1320,16 @@ function initGame() {
                             } : null
                         })),
                         ...hostedClientAIPlayers.map(aiPawn => ({
+                            id: aiPawn.aiId,
                             position: {
                                 x: aiPawn.position.x,
                                 y: aiPawn.position.y,
                                 z: aiPawn.position.z
                             },
                             rotationY: aiPawn.rotationY || 0,
+                            shipClass: aiPawn.shipClass,
+                            sailMode: aiPawn.sailMode,
+                            hull: aiPawn.hull.getState(),
                             shipModelRotation: aiPawn.shipModel ? {
                                 x: aiPawn.shipModel.rotation.x,
                                 y: aiPawn.shipModel.rotation.y,
@@ -686,13 +1352,24 @@ function initGame() {
                 }
             }
 
+            flushHullDamage();
             networkedPlayerManager.update(deltaTime, animationTime);
-            window.playerPosition = playerPawn.position.clone();
-
-            if (terrainGenerator && typeof terrainGenerator.updateStormSystem === 'function') {
-                terrainGenerator.updateStormSystem(deltaTime, playerPawn.position);
+            anchorRodeView.update([playerPawn, ...networkedPlayerManager.getAllPawns()]);
+            // Replicated AI ships only move on network updates; their sails animate every frame
+            for (const aiReplicant of gameNetworking.networkedAIReplicants || []) {
+                updateShipSails(aiReplicant, deltaTime);
             }
 
+            // Wakes follow every ship we can see: ours, AI (hosted or replicated) and remote players
+            wakeSystem.update(deltaTime, [
+                playerPawn,
+                ...aiPlayers,
+                ...hostedClientAIPlayers,
+                ...(gameNetworking.networkedAIReplicants || []),
+                ...networkedPlayerManager.getAllPawns()
+            ]);
+            window.playerPosition = playerPawn.position.clone();
+
             if (terrainGenerator && terrainGenerator.planes && typeof window.updateExclusionZoneEveryFrame === 'function') {
                 window.updateExclusionZoneEveryFrame(Array.from(terrainGenerator.planes.values()), terrainGenerator);
             }
@@ -704,13 +1381,17 @@ function initGame() {
                 }
             }
 
-            if (isPointerLocked && (mouseX !== 0 || mouseY !== 0) && !isSpectatorMode) {
-                theta -= mouseX * thetaSensitivity;
-                phi -= mouseY * phiSensitivity;
+            // Camera: pointer-locked mouse and the right stick both orbit (or look, when spectating)
+            const mouse = inputManager.consumeMouseDelta();
+            const look = inputManager.getLook();
+            if (isSpectatorMode) {
+                if (mouse.x !== 0 || mouse.y !== 0) spectatorPawn.handleMouseMovement(mouse.x, mouse.y);
+                spectatorPawn.handleGamepadInput(inputManager.getMove(), look, deltaTime);
+            } else if (mouse.x !== 0 || mouse.y !== 0 || look.x !== 0 || look.y !== 0) {
+                theta -= mouse.x * thetaSensitivity + look.x * CAMERA_STICK_SPEED * deltaTime;
+                phi -= mouse.y * phiSensitivity + look.y * CAMERA_STICK_SPEED * deltaTime;
                 phi = Math.max(0.1, Math.min(1.2, phi));
                 theta = ((theta % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
-                mouseX = 0;
-                mouseY = 0;
             }
 
             if (!isSpectatorMode) {
@@ -773,19 +1454,31 @@ function initGame() {
                             z: playerPawn.shipModel.position.z
                         } : null,
                         surgeActive: playerPawn.surgeActive || false,
+                        shipClass: playerPawn.shipClass,
+                        sailMode: playerPawn.sailMode,
+                        anchor: playerPawn.anchor,
+                        hull: gameNetworking.getNetworkInfo().isHost ? playerPawn.hull.getState() : null,
+                        playerHulls: gameNetworking.getNetworkInfo().isHost ? networkedPlayerManager.getHullStates() : null,
                         oceanSync: gameNetworking.getNetworkInfo().isHost ? {
                             startTime: globalOceanStartTime,
-                            currentTime: globalOceanTime
+                            currentTime: globalOceanTime,
+                            waveConfig: waveField.getConfig(),
+                            tideConfig: tideSystem.getConfig(),
+                            windConfig: windSystem.getConfig()
                         } : null,
-                        aiStates: (gameNetworking.getNetworkInfo().isHost && (aiPlayers.length > 0 || hostedClientAIPlayers.length > 0))
+                        aiStates: gameNetworking.getNetworkInfo().isHost // Empty once every AI ship has sunk, so clients drop the last replicant
                             ? [
                                 ...aiPlayers.map(aiPawn => ({
+                                    id: aiPawn.aiId,
                                     position: {
                                         x: aiPawn.position.x,
                                         y: aiPawn.position.y,
                                         z: aiPawn.position.z
                                     },
                                     rotationY: aiPawn.rotationY || 0,
+                                    shipClass: aiPawn.shipClass,
+                                    sailMode: aiPawn.sailMode,
+                                    hull: aiPawn.hull.getState(),
                                     shipModelRotation: aiPawn.shipModel ? {
                                         x: aiPawn.shipModel.rotation.x,
                                         y: aiPawn.shipModel.rotation.y,
@@ -798,12 +1491,16 @@ function initGame() {
                                     } : null
                                 })),
                                 ...hostedClientAIPlayers.map(aiPawn => ({
+                                    id: aiPawn.aiId,
                                     position: {
                                         x: aiPawn.position.x,
                                         y: aiPawn.position.y,
                                         z: aiPawn.position.z
                                     },
                                     rotationY: aiPawn.rotationY || 0,
+                                    shipClass: aiPawn.shipClass,
+                                    sailMode: aiPawn.sailMode,
+                                    hull: aiPawn.hull.getState(),
                                     shipModelRotation: aiPawn.shipModel ? {
                                         x: aiPawn.shipModel.rotation.x,
                                         y: aiPawn.shipModel.rotation.y,
@@ -893,19 +1590,15 @@ function initGame() {
                             // --- NEW LOGIC: Just spawn 3 new host AI at the client-provided positions ---
                             data.aiInfo.forEach(aiState => {
                                 createAIPlayer((aiPawn) => {
-                                    let oceanY = (window.oceanChunkSystem && typeof window.oceanChunkSystem.getOceanHeightAt === 'function')
-                                        ? window.oceanChunkSystem.getOceanHeightAt(aiState.position.x, aiState.position.z)
-                                        : aiState.position.y;
-                                    const shipFloatHeight = 0.625;
                                     aiPawn.position.set(
                                         aiState.position.x,
-                                        oceanY + shipFloatHeight,
+                                        getShipFloatHeight(aiState.position.x, aiState.position.z, aiPawn.hullProfile.waterline),
                                         aiState.position.z
                                     );
                                     aiPawn.rotationY = aiState.rotationY || 0;
                                     scene.add(aiPawn);
                                     aiPlayers.push(aiPawn);
-                                });
+                                }, SHIP_CLASSES[aiState.shipClass] ? aiState.shipClass : undefined);
                             });
                             conn.send({ type: 'client_ai_spawned' });
                         } catch (err) {
@@ -931,7 +1624,7 @@ function initGame() {
                 });
             });
         }
-    });
+    }, getSavedShipClass());
     // --- Step 1: Send local AI info to host when joining, with retry/confirmation ---
     function sendLocalAIToHost() {
         window.sendLocalAIToHost = sendLocalAIToHost;
@@ -951,7 +1644,8 @@ function initGame() {
                 y: aiPawn.position.y,
                 z: aiPawn.position.z
             },
-            rotationY: aiPawn.rotationY || 0
+            rotationY: aiPawn.rotationY || 0,
+            shipClass: aiPawn.shipClass
         }));
         let aiConfirmed = false;
         let aiSendAttempts = 0;
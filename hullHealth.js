@@ -0,0 +1,177 @@
+// hullHealth.js - Hull integrity, flooding and sinking
+// Every ship has a hull with a health pool (per ship class). Collisions, hard groundings and
+// weapons take health away; a damaged hull lets water in faster than the pumps can clear it,
+// and the water aboard makes the ship sit lower, list and sail slower. At zero health the ship
+// founders: it settles bow first and slips under, then the pawn is removed.
+//
+// In multiplayer the host owns every hull: clients send their damage to the host and apply the
+// health the host replicates back (getState / setState).
+
+export const DAMAGE_STATES = ['intact', 'damaged', 'critical', 'sinking'];
+
+const DAMAGED_BELOW = 0.75; // Health fraction below which the hull counts as damaged...
+const CRITICAL_BELOW = 0.35; // ...and critical
+const INGRESS_RATE = 0.08; // Flooding per second at zero health (fraction of the hull's capacity)
+const PUMP_RATE = 0.012; // Flooding the pumps clear per second
+const FLOODED_WATERLINE_DROP = 0.6; // Extra draft when fully flooded (fraction of the class waterline)
+const FLOODED_SPEED_FACTOR = 0.35; // Sail speed when fully flooded
+const FLOODED_LIST = 0.2; // Heel (radians) when fully flooded
+const SINK_DURATION = 8.0; // Seconds from foundering to gone
+const SINK_DEPTH = 6.0; // How far the ship settles (in units of its waterline height)
+const SINK_PITCH = 0.5; // Bow-down angle when going under
+const COLLISION_DAMAGE_SPEED = 1.0; // Ship collisions slower than this are just bumps
+const COLLISION_DAMAGE_PER_SPEED = 6.0; // Damage per unit of closing speed above that
+const SCRAPE_SPEED = 0.2; // A ship aground slower than this is resting on the bottom, not scraping over it
+export const GROUNDED_DAMAGE_RATE = 0.5; // Health per second per unit of speed scraped over the seabed
+
+// Hull damage from a ship-to-ship collision at impactSpeed (split by mass share)
+export function getCollisionDamage(impactSpeed, massShare = 0.5) {
+    return Math.max(0, impactSpeed - COLLISION_DAMAGE_SPEED) * COLLISION_DAMAGE_PER_SPEED * massShare * 2;
+}
+
+// Hull damage for dt seconds aground at a speed: dragging over the bottom chafes the hull, resting
+// on it (stopped, at anchor or left high and dry by the tide) doesn't
+export function getGroundingDamage(speed, dt) {
+    return Math.max(0, Math.abs(speed) - SCRAPE_SPEED) * GROUNDED_DAMAGE_RATE * dt;
+}
+
+export class ShipHull {
+    constructor(maxHealth = 100) {
+        this.maxHealth = maxHealth;
+        this.health = maxHealth;
+        this.flooding = 0; // Water aboard, 0 (dry) .. 1 (awash)
+        this.sinking = false;
+        this.sinkProgress = 0; // 0 .. 1 once sinking
+        this.lastSource = null; // What did the last damage (terrain, collision, cannon, ...)
+    }
+
+    get fraction() {
+        return this.health / this.maxHealth;
+    }
+
+    get damageState() {
+        if (this.sinking) return 'sinking';
+        if (this.fraction < CRITICAL_BELOW) return 'critical';
+        if (this.fraction < DAMAGED_BELOW) return 'damaged';
+        return 'intact';
+    }
+
+    // Fully under and ready to be removed
+    get sunk() {
+        return this.sinking && this.sinkProgress >= 1;
+    }
+
+    // Sail speed multiplier from the water aboard (nothing left to sail once sinking)
+    get speedFactor() {
+        if (this.sinking) return 0;
+        return 1 - (1 - FLOODED_SPEED_FACTOR) * this.flooding;
+    }
+
+    // How far below its normal waterline the ship sits, for a class waterline height
+    getWaterlineDrop(waterline) {
+        const settle = this.sinking ? this.sinkProgress * this.sinkProgress * SINK_DEPTH : 0;
+        return waterline * (FLOODED_WATERLINE_DROP * this.flooding + settle);
+    }
+
+    // Extra pitch (bow down) and roll (list) from flooding and sinking
+    getPitchOffset() {
+        return this.sinking ? -SINK_PITCH * this.sinkProgress : 0;
+    }
+
+    getRollOffset() {
+        return FLOODED_LIST * this.flooding;
+    }
+
+    // Take damage; returns the health actually lost. Reaching zero starts the ship sinking.
+    damage(amount, source = null) {
+        if (this.sinking || !(amount > 0)) return 0;
+        const lost = Math.min(this.health, amount);
+        this.health -= lost;
+        this.lastSource = source;
+        if (this.health <= 0) {
+            this.health = 0;
+            this.sinking = true;
+            this.sinkProgress = 0;
+        }
+        return lost;
+    }
+
+    // Water ingress against the pumps, and the sinking animation
+    update(deltaTime) {
+        if (this.sinking) {
+            this.flooding = Math.min(1, this.flooding + deltaTime / SINK_DURATION * 2);
+            this.sinkProgress = Math.min(1, this.sinkProgress + deltaTime / SINK_DURATION);
+            return;
+        }
+        const ingress = INGRESS_RATE * (1 - this.fraction);
+        this.flooding = Math.max(0, Math.min(1, this.flooding + (ingress - PUMP_RATE) * deltaTime));
+    }
+
+    // Change the hull's size (ship class change), keeping the same fraction of health
+    setMaxHealth(maxHealth) {
+        this.health = this.health / this.maxHealth * maxHealth;
+        this.maxHealth = maxHealth;
+    }
+
+    // Fresh hull (respawn)
+    repair() {
+        this.health = this.maxHealth;
+        this.flooding = 0;
+        this.sinking = false;
+        this.sinkProgress = 0;
+        this.lastSource = null;
+    }
+
+    // Serializable state (host -> clients)
+    getState() {
+        return {
+            health: this.health,
+            maxHealth: this.maxHealth,
+            flooding: this.flooding,
+            sinking: this.sinking,
+            sinkProgress: this.sinkProgress
+        };
+    }
+
+    // Apply the host's state. Sinking keeps animating locally between updates, so it never
+    // steps backwards when a slightly older state arrives.
+    setState(state) {
+        if (!state) return;
+        if (typeof state.maxHealth === 'number' && state.maxHealth > 0) this.maxHealth = state.maxHealth;
+        if (typeof state.health === 'number') this.health = state.health;
+        if (typeof state.flooding === 'number') this.flooding = state.flooding;
+        if (state.sinking) {
+            this.sinkProgress = this.sinking ? Math.max(this.sinkProgress, state.sinkProgress || 0) : (state.sinkProgress || 0);
+            this.sinking = true;
+        } else {
+            this.sinking = false; // Host repaired the ship (respawn)
+            this.sinkProgress = 0;
+        }
+    }
+}
+
+// Darken a ship model as its hull takes damage (original colours are kept on the materials)
+const DAMAGE_STATE_SHADE = { intact: 1.0, damaged: 0.8, critical: 0.6, sinking: 0.45 };
+export function applyDamageVisuals(shipModel, damageState) {
+    if (!shipModel || shipModel.userData.damageState === damageState) return;
+    shipModel.userData.damageState = damageState;
+    const shade = DAMAGE_STATE_SHADE[damageState] !== undefined ? DAMAGE_STATE_SHADE[damageState] : 1.0;
+    shipModel.traverse((child) => {
+        if (!child.isMesh || !child.material) return;
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        for (const material of materials) {
+            if (!material.color) continue;
+            if (!material.userData.baseColor) {
+                material.userData.baseColor = material.color.clone();
+            }
+            material.color.copy(material.userData.baseColor).multiplyScalar(shade);
+        }
+    });
+}
+
+// HUD colour for a damage state
+export function getDamageStateColor(damageState) {
+    if (damageState === 'intact') return '#66ff66';
+    if (damageState === 'damaged') return '#ffcc33';
+    return '#ff4444';
+}
@@ -0,0 +1,225 @@
+// input.js - Unified keyboard, mouse and gamepad input
+// One place the game reads its controls from, whatever the player is holding. The keyboard keeps
+// its keys (and their on/off feel), pointer-locked mouse movement is summed between frames, and a
+// gamepad (browser Gamepad API, 'standard' mapping) adds analog steering, a throttle for the
+// sails, camera orbit on the right stick and buttons for the guns and anchor.
+//
+// Sticks and triggers go through a dead zone first: resting sticks never read exactly zero, so
+// anything inside the dead zone is zero and the rest is rescaled to start from zero at its edge.
+// Dead zones are settings, saved with the others. Keys are looked up through the key bindings.
+import { keyBindings } from './keyBindings.js';
+
+// Button indices of the standard gamepad mapping
+export const GAMEPAD_BUTTONS = {
+    A: 0,
+    B: 1,
+    X: 2,
+    Y: 3,
+    LB: 4,
+    RB: 5,
+    LT: 6,
+    RT: 7,
+    BACK: 8,
+    START: 9,
+    LEFT_STICK: 10,
+    RIGHT_STICK: 11,
+    DPAD_UP: 12,
+    DPAD_DOWN: 13,
+    DPAD_LEFT: 14,
+    DPAD_RIGHT: 15
+};
+
+export const DEFAULT_STICK_DEAD_ZONE = 0.15;
+export const DEFAULT_TRIGGER_DEAD_ZONE = 0.05;
+export const MAX_DEAD_ZONE = 0.5;
+
+// 0 inside the dead zone, then rescaled so the output still runs 0..1 to full deflection
+export function applyDeadZone(value, deadZone) {
+    const magnitude = Math.abs(value);
+    if (magnitude <= deadZone) return 0;
+    return Math.sign(value) * Math.min(1, (magnitude - deadZone) / (1 - deadZone));
+}
+
+// Dead zone on the stick's deflection rather than per axis, so diagonals aren't squared off
+export function applyStickDeadZone(x, y, deadZone) {
+    const magnitude = Math.sqrt(x * x + y * y);
+    if (magnitude <= deadZone) return { x: 0, y: 0 };
+    const scale = Math.min(1, (magnitude - deadZone) / (1 - deadZone)) / magnitude;
+    return { x: x * scale, y: y * scale };
+}
+
+function clampDeadZone(value, fallback) {
+    const deadZone = parseFloat(value);
+    if (!isFinite(deadZone)) return fallback;
+    return Math.max(0, Math.min(MAX_DEAD_ZONE, deadZone));
+}
+
+export class InputManager {
+    constructor() {
+        this.heldKeys = new Set();
+        this.mouseDelta = { x: 0, y: 0 };
+        this.pointerLockElement = null;
+        this.stickDeadZone = DEFAULT_STICK_DEAD_ZONE;
+        this.triggerDeadZone = DEFAULT_TRIGGER_DEAD_ZONE;
+
+        // Gamepad state after dead zones, refreshed by update()
+        this.gamepadIndex = null;
+        this.leftStick = { x: 0, y: 0 };
+        this.rightStick = { x: 0, y: 0 };
+        this.leftTrigger = 0;
+        this.rightTrigger = 0;
+        this.buttons = [];
+        this.previousButtons = [];
+
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleKeyUp = this.handleKeyUp.bind(this);
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handleBlur = this.handleBlur.bind(this);
+    }
+
+    // Start listening; mouse movement only counts while the pointer is locked to this element
+    attach(pointerLockElement) {
+        this.pointerLockElement = pointerLockElement;
+        document.addEventListener('keydown', this.handleKeyDown);
+        document.addEventListener('keyup', this.handleKeyUp);
+        document.addEventListener('mousemove', this.handleMouseMove);
+        window.addEventListener('blur', this.handleBlur);
+        window.addEventListener('gamepadconnected', (e) => {
+            console.log('[Input] Gamepad connected:', e.gamepad.id, 'mapping:', e.gamepad.mapping || 'non-standard');
+        });
+        window.addEventListener('gamepaddisconnected', (e) => {
+            console.log('[Input] Gamepad disconnected:', e.gamepad.id);
+            if (e.gamepad.index === this.gamepadIndex) this.gamepadIndex = null;
+        });
+    }
+
+    // Saved dead zones (the game loads these with the rest of its settings)
+    loadSettings() {
+        this.stickDeadZone = clampDeadZone(localStorage.getItem('stickDeadZone'), DEFAULT_STICK_DEAD_ZONE);
+        this.triggerDeadZone = clampDeadZone(localStorage.getItem('triggerDeadZone'), DEFAULT_TRIGGER_DEAD_ZONE);
+    }
+
+    setStickDeadZone(value) {
+        this.stickDeadZone = clampDeadZone(value, DEFAULT_STICK_DEAD_ZONE);
+        localStorage.setItem('stickDeadZone', this.stickDeadZone);
+    }
+
+    setTriggerDeadZone(value) {
+        this.triggerDeadZone = clampDeadZone(value, DEFAULT_TRIGGER_DEAD_ZONE);
+        localStorage.setItem('triggerDeadZone', this.triggerDeadZone);
+    }
+
+    handleKeyDown(e) {
+        this.heldKeys.add(e.key.toLowerCase());
+    }
+
+    handleKeyUp(e) {
+        this.heldKeys.delete(e.key.toLowerCase());
+    }
+
+    // Keys released while the window is in the background never send keyup
+    handleBlur() {
+        this.heldKeys.clear();
+    }
+
+    handleMouseMove(e) {
+        if (!this.pointerLockElement || document.pointerLockElement !== this.pointerLockElement) return;
+        this.mouseDelta.x += e.movementX || e.mozMovementX || 0;
+        this.mouseDelta.y += e.movementY || e.mozMovementY || 0;
+    }
+
+    isKeyDown(key) {
+        return this.heldKeys.has(key);
+    }
+
+    // Is any key bound to this action held?
+    isActionDown(actionId) {
+        return keyBindings.getKeys(actionId).some(key => this.heldKeys.has(key));
+    }
+
+    // Mouse movement since the last call, in pixels
+    consumeMouseDelta() {
+        const delta = { x: this.mouseDelta.x, y: this.mouseDelta.y };
+        this.mouseDelta.x = 0;
+        this.mouseDelta.y = 0;
+        return delta;
+    }
+
+    // First connected gamepad (browsers only report pads after a button press)
+    getGamepad() {
+        if (typeof navigator === 'undefined' || typeof navigator.getGamepads !== 'function') return null;
+        const pads = navigator.getGamepads();
+        if (this.gamepadIndex !== null && pads[this.gamepadIndex] && pads[this.gamepadIndex].connected) {
+            return pads[this.gamepadIndex];
+        }
+        for (const pad of pads) {
+            if (pad && pad.connected) {
+                this.gamepadIndex = pad.index;
+                return pad;
+            }
+        }
+        this.gamepadIndex = null;
+        return null;
+    }
+
+    // Poll the gamepad once per frame
+    update() {
+        this.previousButtons = this.buttons;
+        const pad = this.getGamepad();
+        if (!pad) {
+            this.leftStick = { x: 0, y: 0 };
+            this.rightStick = { x: 0, y: 0 };
+            this.leftTrigger = 0;
+            this.rightTrigger = 0;
+            this.buttons = [];
+            return;
+        }
+        const axis = (i) => pad.axes[i] || 0;
+        this.leftStick = applyStickDeadZone(axis(0), axis(1), this.stickDeadZone);
+        this.rightStick = applyStickDeadZone(axis(2), axis(3), this.stickDeadZone);
+        const trigger = (i) => pad.buttons[i] ? applyDeadZone(pad.buttons[i].value, this.triggerDeadZone) : 0;
+        this.leftTrigger = trigger(GAMEPAD_BUTTONS.LT);
+        this.rightTrigger = trigger(GAMEPAD_BUTTONS.RT);
+        this.buttons = pad.buttons.map(button => button.pressed);
+    }
+
+    isButtonDown(button) {
+        return !!this.buttons[button];
+    }
+
+    // Pressed this frame (not held over from the last one)
+    wasButtonPressed(button) {
+        return !!this.buttons[button] && !this.previousButtons[button];
+    }
+
+    // Rudder -1 (right) .. 1 (left): the left stick steers in proportion, the steering keys put
+    // it hard over
+    getRudder() {
+        let rudder = -this.leftStick.x;
+        if (this.isActionDown('steer_left')) rudder += 1;
+        if (this.isActionDown('steer_right')) rudder -= 1;
+        return Math.max(-1, Math.min(1, rudder));
+    }
+
+    // Throttle lever for the sails: right trigger sets more canvas, left trigger takes it in
+    getThrottle() {
+        return this.rightTrigger - this.leftTrigger;
+    }
+
+    // Right stick, -1..1 each way (x right, y down)
+    getLook() {
+        return this.rightStick;
+    }
+
+    // Free movement for the spectator: left stick flies, triggers climb and descend
+    getMove() {
+        return {
+            forward: -this.leftStick.y,
+            right: this.leftStick.x,
+            up: this.rightTrigger - this.leftTrigger
+        };
+    }
+}
+
+// Shared instance: the game and the spectator read the same devices
+export const inputManager = new InputManager();
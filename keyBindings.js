@@ -0,0 +1,231 @@
+// keyBindings.js - Rebindable keyboard controls
+// Every key the game listens for is bound to an action (sail_up, steer_left, toggle_spectator...)
+// and code asks for the action, never the key. The table starts from the defaults below, can be
+// changed in the F2 settings menu and is saved to localStorage.
+//
+// Actions belong to a context: 'ship' keys only work while sailing, 'spectator' keys only while
+// spectating and 'global' keys work everywhere. Two actions clash when they share a key and can
+// be live at the same time (same context, or either one global); clashes are allowed but flagged.
+//
+// Keys are KeyboardEvent.key lower-cased ('w', ' ', 'shift', 'f8', 'escape').
+
+export const ACTIONS = [
+    { id: 'sail_up', label: 'Increase sail', context: 'ship', keys: ['w'] },
+    { id: 'sail_down', label: 'Decrease sail (reverse with no sail)', context: 'ship', keys: ['s'] },
+    { id: 'steer_left', label: 'Steer left', context: 'ship', keys: ['a'] },
+    { id: 'steer_right', label: 'Steer right', context: 'ship', keys: ['d'] },
+    { id: 'fire_port', label: 'Fire port broadside', context: 'ship', keys: ['q'] },
+    { id: 'fire_starboard', label: 'Fire starboard broadside', context: 'ship', keys: ['e'] },
+    { id: 'anchor', label: 'Drop/raise anchor', context: 'ship', keys: ['x'] },
+    { id: 'pause', label: 'Pause/network menu', context: 'global', keys: ['escape', 'n'] },
+    { id: 'toggle_instructions', label: 'Toggle instructions', context: 'global', keys: ['f1'] },
+    { id: 'toggle_settings', label: 'Game settings', context: 'global', keys: ['f2'] },
+    { id: 'toggle_currents', label: 'Toggle current arrows', context: 'global', keys: ['f3'] },
+    { id: 'toggle_spectator', label: 'Toggle spectator mode', context: 'global', keys: ['f8'] },
+    { id: 'spectator_forward', label: 'Spectator forward', context: 'spectator', keys: ['w'] },
+    { id: 'spectator_backward', label: 'Spectator backward', context: 'spectator', keys: ['s'] },
+    { id: 'spectator_left', label: 'Spectator left', context: 'spectator', keys: ['a'] },
+    { id: 'spectator_right', label: 'Spectator right', context: 'spectator', keys: ['d'] },
+    { id: 'spectator_up', label: 'Spectator up', context: 'spectator', keys: [' '] },
+    { id: 'spectator_down', label: 'Spectator down', context: 'spectator', keys: ['shift'] }
+];
+
+const STORAGE_KEY = 'keyBindings';
+const ACTIONS_BY_ID = new Map(ACTIONS.map(action => [action.id, action]));
+
+const KEY_NAMES = {
+    ' ': 'Space',
+    'escape': 'Esc',
+    'shift': 'Shift',
+    'control': 'Ctrl',
+    'alt': 'Alt',
+    'enter': 'Enter',
+    'tab': 'Tab',
+    'backspace': 'Backspace',
+    'arrowup': 'Up',
+    'arrowdown': 'Down',
+    'arrowleft': 'Left',
+    'arrowright': 'Right'
+};
+
+// Display name for a key ('w' -> 'W', ' ' -> 'Space', 'f8' -> 'F8')
+export function formatKey(key) {
+    if (KEY_NAMES[key]) return KEY_NAMES[key];
+    return key.length === 1 ? key.toUpperCase() : key.charAt(0).toUpperCase() + key.slice(1);
+}
+
+export function getEventKey(event) {
+    return event.key.toLowerCase();
+}
+
+function contextsOverlap(a, b) {
+    return a === b || a === 'global' || b === 'global';
+}
+
+export class KeyBindings {
+    constructor() {
+        this.bindings = {}; // action id -> [keys]
+        this.listeners = [];
+        this.resetToDefaults(false);
+    }
+
+    resetToDefaults(save = true) {
+        for (const action of ACTIONS) this.bindings[action.id] = action.keys.slice();
+        if (save) this.save();
+        this.notify();
+    }
+
+    // Saved bindings over the defaults (unknown actions and malformed entries are ignored)
+    load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        } catch (error) {
+            console.warn('[KeyBindings] Ignoring unreadable saved bindings:', error);
+        }
+        if (saved && typeof saved === 'object') {
+            for (const [id, keys] of Object.entries(saved)) {
+                if (!ACTIONS_BY_ID.has(id) || !Array.isArray(keys)) continue;
+                const valid = keys.filter(key => typeof key === 'string' && key.length > 0);
+                if (valid.length > 0) this.bindings[id] = valid;
+            }
+        }
+        this.notify();
+    }
+
+    // Storage can be disabled or full; the bindings still apply for this session
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.bindings));
+        } catch (error) {
+            console.warn('[KeyBindings] Could not save bindings:', error);
+        }
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        for (const listener of this.listeners) listener(this);
+    }
+
+    getKeys(actionId) {
+        return this.bindings[actionId] || [];
+    }
+
+    // Is this key bound to the action?
+    matches(key, actionId) {
+        return this.getKeys(actionId).includes(key);
+    }
+
+    // Bind one key to an action (replacing its keys). Returns the actions it now clashes with.
+    setBinding(actionId, key) {
+        if (!ACTIONS_BY_ID.has(actionId)) return [];
+        this.bindings[actionId] = [key];
+        this.save();
+        this.notify();
+        const conflicts = this.getConflicts().get(actionId) || [];
+        if (conflicts.length > 0) {
+            console.warn('[KeyBindings]', formatKey(key), 'is bound to', actionId, 'and', conflicts.join(', '));
+        }
+        return conflicts;
+    }
+
+    // Map of action id -> ids of the actions sharing one of its keys in an overlapping context
+    getConflicts() {
+        const conflicts = new Map();
+        for (const a of ACTIONS) {
+            for (const b of ACTIONS) {
+                if (a === b || !contextsOverlap(a.context, b.context)) continue;
+                if (this.getKeys(a.id).some(key => this.getKeys(b.id).includes(key))) {
+                    if (!conflicts.has(a.id)) conflicts.set(a.id, []);
+                    conflicts.get(a.id).push(b.id);
+                }
+            }
+        }
+        return conflicts;
+    }
+
+    // Keys of an action for display ('Esc/N')
+    describe(actionId) {
+        const keys = this.getKeys(actionId);
+        return keys.length > 0 ? keys.map(formatKey).join('/') : 'unbound';
+    }
+}
+
+// Shared instance: the game, input manager and spectator all read the same table
+export const keyBindings = new KeyBindings();
+
+// The controls list in the settings menu: click a key, then press the new one (Esc cancels)
+export class KeyBindingsMenu {
+    constructor(listElement, statusElement, resetButton) {
+        this.listElement = listElement;
+        this.statusElement = statusElement;
+        this.listening = null; // Action id waiting for a key
+
+        this.handleCapture = this.handleCapture.bind(this);
+        // Capture phase on window runs before the game's own key handlers, so the key being bound
+        // doesn't also pause the game or fire the guns
+        window.addEventListener('keydown', this.handleCapture, true);
+        resetButton.addEventListener('click', () => {
+            this.listening = null;
+            keyBindings.resetToDefaults();
+            this.setStatus('Controls reset to defaults');
+        });
+        keyBindings.onChange(() => this.render());
+        this.render();
+    }
+
+    setStatus(text) {
+        this.statusElement.textContent = text;
+    }
+
+    render() {
+        const conflicts = keyBindings.getConflicts();
+        this.listElement.innerHTML = '';
+        for (const action of ACTIONS) {
+            const row = document.createElement('div');
+            row.className = 'binding-row';
+            const label = document.createElement('span');
+            label.textContent = action.label;
+            const button = document.createElement('button');
+            button.className = 'binding-key';
+            button.textContent = this.listening === action.id ? 'Press a key...' : keyBindings.describe(action.id);
+            if (conflicts.has(action.id)) {
+                row.classList.add('binding-conflict');
+                const others = conflicts.get(action.id).map(id => ACTIONS_BY_ID.get(id).label);
+                button.title = 'Also bound to: ' + others.join(', ');
+            }
+            button.addEventListener('click', () => {
+                this.listening = action.id;
+                this.setStatus(`Press a key for "${action.label}" (Esc cancels)`);
+                this.render();
+            });
+            row.appendChild(label);
+            row.appendChild(button);
+            this.listElement.appendChild(row);
+        }
+    }
+
+    handleCapture(event) {
+        if (!this.listening) return;
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        const actionId = this.listening;
+        this.listening = null;
+        const key = getEventKey(event);
+        if (key === 'escape') {
+            this.setStatus('');
+            this.render();
+            return;
+        }
+        const conflicts = keyBindings.setBinding(actionId, key);
+        if (conflicts.length > 0) {
+            const others = conflicts.map(id => ACTIONS_BY_ID.get(id).label);
+            this.setStatus(`${formatKey(key)} is also bound to: ${others.join(', ')}`);
+        } else {
+            this.setStatus(`${ACTIONS_BY_ID.get(actionId).label}: ${formatKey(key)}`);
+        }
+    }
+}
@@ -1,6 +1,21 @@
 // network.js - Peer-to-peer networking module
 // Version: Updated 2025-08-02 09:20 - Fixed host not seeing clients debug
 
+// Message types addressed to one peer (data.targetPeerId) and the callback that handles them.
+// Clients can only reach the host, which forwards these to their target.
+const TARGETED_MESSAGE_HANDLERS = {
+  ship_collision: 'handleShipCollision', // Host-resolved collision response for one of our ships
+  hull_damage: 'handleHullDamage', // Client reporting damage to its ship (host owns hull health)
+  ship_respawn: 'handleShipRespawn' // Client asking the host for a fresh hull after sinking
+};
+
+// Message types sent to everyone (see broadcastEvent) and the callback that handles them.
+// The host relays these from the client that sent them to all other clients.
+const BROADCAST_MESSAGE_HANDLERS = {
+  projectile: 'handleProjectile', // Cannon shots fired by a peer (everyone flies them)
+  hit: 'handleHit' // Host-resolved cannonball hits
+};
+
 // --- NETWORK MODULE ---
 const Network = {
   // Configuration
@@ -654,6 +669,29 @@ const Network = {
       }
     }
     
+    const broadcastHandler = BROADCAST_MESSAGE_HANDLERS[data.type];
+    if (broadcastHandler && data.peerId !== this.myPeerId) {
+      if (this.callbacks[broadcastHandler]) {
+        this.callbacks[broadcastHandler](data);
+      }
+      if (this.isBase) {
+        this.relayToClients(data, conn ? conn.peer : null);
+      }
+    }
+    
+    const targetedHandler = TARGETED_MESSAGE_HANDLERS[data.type];
+    if (targetedHandler) {
+      // Messages for a single peer (see TARGETED_MESSAGE_HANDLERS)
+      if (data.targetPeerId === this.myPeerId) {
+        if (this.callbacks[targetedHandler]) {
+          this.callbacks[targetedHandler](data);
+        }
+      } else if (this.isBase) {
+        // Host forwards messages addressed to another client
+        this.sendToPeer(data.targetPeerId, data);
+      }
+    }
+    
     // Note: host_ready is handled in joinChain() baseConn.on('data') callback
     // Don't duplicate that logic here to avoid conflicts
   },
@@ -1076,6 +1114,72 @@ const Network = {
     }
   },
   
+  // Send a message to a single peer. The host sends directly; clients can only reach the host,
+  // which forwards anything carrying a targetPeerId that isn't its own (see handleData).
+  sendToPeer(peerId, data) {
+    if (!this.isInitialized || !peerId) return false;
+    
+    let conn = null;
+    if (this.isBase && this.lobbyPeerConnections) {
+      conn = this.lobbyPeerConnections[peerId];
+    } else if (!this.isBase) {
+      conn = this.hostConn || this.baseConn;
+    }
+    
+    if (conn && conn.open) {
+      try {
+        conn.send(data);
+        return true;
+      } catch (error) {
+        console.warn(`[Network] Failed to send ${data.type} to ${peerId}:`, error);
+      }
+    }
+    return false;
+  },
+  
+  // Send an event to every peer (types in BROADCAST_MESSAGE_HANDLERS). Clients send to the host,
+  // which relays to the other clients.
+  broadcastEvent(data) {
+    if (!this.isInitialized) return false;
+    const message = { ...data, peerId: this.myPeerId };
+    
+    if (this.isBase) {
+      this.relayToClients(message, null);
+      return true;
+    }
+    const hostConnection = this.hostConn || this.baseConn;
+    if (hostConnection && hostConnection.open) {
+      try {
+        hostConnection.send(message);
+        return true;
+      } catch (error) {
+        console.warn(`[Network] Failed to send ${data.type} to host:`, error);
+      }
+    }
+    return false;
+  },
+  
+  // Host: pass a message on to every client except the one it came from
+  relayToClients(data, fromPeer) {
+    if (!this.isBase || !this.lobbyPeerConnections) return;
+    for (const [peerId, conn] of Object.entries(this.lobbyPeerConnections)) {
+      if (peerId !== fromPeer && conn && conn.open) {
+        try {
+          conn.send(data);
+        } catch (error) {
+          console.warn(`[Network] Failed to relay ${data.type} to ${peerId}:`, error);
+        }
+      }
+    }
+  },
+  
+  // Peer ID of the host (ourselves when we are the host), or null before joining one
+  getHostPeerId() {
+    if (this.isBase) return this.myPeerId;
+    const hostConnection = this.hostConn || this.baseConn;
+    return hostConnection ? hostConnection.peer : this.partnerPeerId;
+  },
+  
   // Get current lobby peer IDs (excluding self) - includes peers even when lobby is filling
   getLobbyPeerIds() {
     const allPeers = [];
@@ -1,5 +1,10 @@
 import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
-import { GLTFLoader } from 'https://cdn.skypack.dev/three@0.134.0/examples/jsm/loaders/GLTFLoader.js';
+import { currentField } from './currentField.js';
+import { getShipWaterline, loadShipModel, tintShipModel, createFallbackShipModel } from './shipPawn.js';
+import { createBuoyancyState, updateBuoyancy } from './buoyancy.js';
+import { SHIP_CLASSES, DEFAULT_SHIP_CLASS, getShipClass, getHullProfile } from './shipClasses.js';
+import { ShipHull, applyDamageVisuals } from './hullHealth.js';
+import { updateShipSails } from './sailRig.js';
 
 export class NetworkedPlayer {
     constructor(peerId, scene, isHost = false) {
@@ -11,41 +16,16 @@ export class NetworkedPlayer {
         
         // Create the player group that will hold the ship
         this.pawn = new THREE.Group();
+        this.pawn.peerId = peerId; // Owner, for host-resolved ship collisions
+        this.pawn.sailMode = 'noSail'; // Canvas the owner has set (animated locally, see sailRig.js)
         this.pawn.position.set(0, 20, 0); // Start at water level
+        this.buoyancy = createBuoyancyState(); // Buoyancy is simulated locally
+        this.hull = new ShipHull(getShipClass(DEFAULT_SHIP_CLASS).hullStrength); // Host-owned (see hullHealth.js)
+        this.pawn.hull = this.hull;
+        this.setShipClass(DEFAULT_SHIP_CLASS); // Until the owner's state says otherwise
         
-        // Load Ship1.glb for networked players - same model as local player
-        const loader = new GLTFLoader();
-        loader.load(
-            './Ship1.glb',
-            (gltf) => {
-                // Removed GLTF loading success logging for performance
-                const shipModel = gltf.scene;
-                
-                // Configure the ship to match local player exactly
-                shipModel.scale.setScalar(1.0);
-                shipModel.position.y = -0.375; // Match local player waterline position
-                
-                // Apply different colors based on role
-                this.applyShipStyling(shipModel, isHost);
-                
-                this.pawn.add(shipModel);
-                this.pawn.shipModel = shipModel; // Store reference
-                
-                // Initialize interpolation values to current state
-                this.initializeInterpolation();
-                
-                // Removed ship added logging for performance
-            },
-            (progress) => {
-                // Removed GLTF loading progress logging for performance
-            },
-            (error) => {
-                // Removed GLTF loading error logging for performance
-                
-                // Fallback: create a simple colored ship if GLTF fails
-                this.createFallbackShip(isHost);
-            }
-        );
+        // Same model as the local player's ship class
+        this.loadModel();
         
         this.scene.add(this.pawn);
         
@@ -84,30 +64,58 @@ export class NetworkedPlayer {
         // Removed networked ship creation logging for performance
     }
     
-    // Apply visual styling based on player role
-    applyShipStyling(shipModel, isHost) {
-        const color = isHost ? new THREE.Color(0x00FF00) : new THREE.Color(0xFF0000); // Green for host, red for clients
-        const colorName = isHost ? 'GREEN (HOST)' : 'RED (CLIENT)';
-        
-        shipModel.traverse((child) => {
-            if (child.isMesh && child.material) {
-                // Clone material to avoid affecting other instances
-                child.material = child.material.clone();
-                
-                // Apply color tint
-                if (child.material.color) {
-                    child.material.color.lerp(color, 0.3); // 30% color tint
-                }
-                
-                // Add emissive glow for visibility
-                if (child.material.emissive) {
-                    child.material.emissive.copy(color);
-                    child.material.emissiveIntensity = 0.15;
-                }
+    // Switch to the ship class the owner is sailing (hull, waterline and model size)
+    setShipClass(classId) {
+        const shipClass = getShipClass(classId);
+        this.shipClass = SHIP_CLASSES[classId] ? classId : DEFAULT_SHIP_CLASS;
+        this.shipClassDef = shipClass;
+        this.hullProfile = getHullProfile(this.shipClass);
+        this.pawn.hullProfile = this.hullProfile; // Collision bounds
+        this.modelOffset = shipClass.modelOffset;
+        this.hull.setMaxHealth(shipClass.hullStrength);
+        
+        if (!this.pawn.shipModel) return; // Still loading - fitted to the class when it arrives
+        if (this.pawn.shipModel.userData.isFallback || this.pawn.shipModel.userData.modelPath === shipClass.model) {
+            this.pawn.shipModel.scale.setScalar(shipClass.scale);
+        } else {
+            this.loadModel();
+        }
+    }
+    
+    // Load (or replace) the ship model for the current class
+    loadModel() {
+        loadShipModel(this.shipClass, (shipModel) => {
+            if (this.shipClassDef.model !== shipModel.userData.modelPath) {
+                // Class changed again while loading: load the right model if there is none yet
+                if (!this.pawn.shipModel) this.loadModel();
+                return;
+            }
+            shipModel.scale.setScalar(this.shipClassDef.scale);
+            
+            // Apply different colors based on role
+            this.applyShipStyling(shipModel, this.isHost);
+            
+            if (this.pawn.shipModel) {
+                shipModel.rotation.copy(this.pawn.shipModel.rotation);
+                this.pawn.remove(this.pawn.shipModel);
+            }
+            this.pawn.add(shipModel);
+            this.pawn.shipModel = shipModel; // Store reference
+            
+            // Initialize interpolation values to current state
+            this.initializeInterpolation();
+        }, () => {
+            // Fallback: create a simple colored ship if the model fails
+            if (!this.pawn.shipModel) {
+                this.createFallbackShip(this.isHost);
             }
         });
-        
-        // Removed ship styling logging for performance
+    }
+    
+    // Apply visual styling based on player role
+    applyShipStyling(shipModel, isHost) {
+        const color = isHost ? 0x00FF00 : 0xFF0000; // Green for host, red for clients
+        tintShipModel(shipModel, color, 0.3, 0.15);
     }
     
     // Initialize interpolation values to match current state
@@ -129,26 +137,15 @@ export class NetworkedPlayer {
         }
     }
     
-    // Create fallback ship if GLTF loading fails
+    // Create fallback ship if the model fails to load (same procedural hull as every other ship)
     createFallbackShip(isHost) {
         const color = isHost ? 0x00FF00 : 0xFF0000; // Green for host, red for clients
-        const emissive = isHost ? 0x004400 : 0x440000;
-        
-        const fallbackGeometry = new THREE.BoxGeometry(3, 1, 6);
-        const fallbackMaterial = new THREE.MeshLambertMaterial({ 
-            color: color,
-            emissive: emissive,
-            emissiveIntensity: 0.2
-        });
-        const fallbackShip = new THREE.Mesh(fallbackGeometry, fallbackMaterial);
-        fallbackShip.position.y = -0.375; // Match local player waterline position
+        const fallbackShip = createFallbackShipModel(this.shipClass, color);
         this.pawn.add(fallbackShip);
         this.pawn.shipModel = fallbackShip;
         
         // Initialize interpolation values to current state
         this.initializeInterpolation();
-        
-        // Removed fallback ship creation logging for performance
     }
     
     // Update the player's state from network data
@@ -159,6 +156,13 @@ export class NetworkedPlayer {
         }
         
         this.lastKnownState = { ...state };
+        if (state.shipClass && state.shipClass !== this.shipClass) {
+            this.setShipClass(state.shipClass);
+        }
+        if (state.sailMode) {
+            this.pawn.sailMode = state.sailMode;
+        }
+        this.pawn.anchor = state.anchor || null; // Drawn as a rode to the seabed (see anchor.js)
         this.lastUpdateTime = Date.now();
         this.isActive = true;
         
@@ -197,7 +201,7 @@ export class NetworkedPlayer {
                 this.interpolation.targetShipModelPosition.copy(this.interpolation.shipModelPosition);
                 this.pawn.shipModel.position.copy(this.interpolation.shipModelPosition);
                 // Force correct waterline position regardless of network data
-                this.pawn.shipModel.position.y = -0.375;
+                this.pawn.shipModel.position.y = this.modelOffset;
             }
             
             // Removed first update logging for performance
@@ -248,6 +252,12 @@ export class NetworkedPlayer {
         
         // Smooth interpolation towards target values
         if (this.isActive) {
+            // Dead-reckon the target with the ocean current between network updates
+            // (each update already includes the drift the owner applied, so the target is reset then)
+            if (this.hasReceivedFirstUpdate) {
+                currentField.applyDrift(this.interpolation.targetPosition, deltaTime);
+            }
+
             // Interpolate main position and rotation
             this.interpolation.position.lerp(this.interpolation.targetPosition, this.interpolation.positionLerpSpeed * deltaTime);
             
@@ -258,6 +268,14 @@ export class NetworkedPlayer {
             this.pawn.position.copy(this.interpolation.position);
             this.pawn.rotation.copy(this.interpolation.rotation);
             
+            // Float on the local ocean surface (same WaveField and hull buoyancy as the local ship)
+            // instead of the lagged network height and tilt
+            this.buoyancy = updateBuoyancy(this.buoyancy, this.hullProfile, this.pawn.position.x, this.pawn.position.z, this.pawn.rotation.y, deltaTime, getShipWaterline);
+            // Flooding and sinking run here too (the host's hull state corrects them as it arrives)
+            this.hull.update(deltaTime);
+            this.pawn.position.y = this.buoyancy.heave + this.hullProfile.waterline - this.hull.getWaterlineDrop(this.hullProfile.waterline);
+            this.pawn.visible = !this.hull.sunk;
+            
             // Interpolate ship model position and rotation if ship model exists
             if (this.pawn.shipModel) {
                 this.interpolation.shipModelPosition.lerp(this.interpolation.targetShipModelPosition, this.interpolation.shipModelLerpSpeed * deltaTime);
@@ -265,9 +283,13 @@ export class NetworkedPlayer {
                 
                 this.pawn.shipModel.position.copy(this.interpolation.shipModelPosition);
                 // Force correct waterline position regardless of network data
-                this.pawn.shipModel.position.y = -0.375;
+                this.pawn.shipModel.position.y = this.modelOffset;
                 this.pawn.shipModel.rotation.copy(this.interpolation.shipModelRotation);
+                this.pawn.shipModel.rotation.x = this.buoyancy.pitch + this.hull.getPitchOffset();
+                this.pawn.shipModel.rotation.z = this.buoyancy.roll + this.hull.getRollOffset();
+                applyDamageVisuals(this.pawn.shipModel, this.hull.damageState);
             }
+            updateShipSails(this.pawn, deltaTime);
         }
     }
     
@@ -446,6 +468,30 @@ export class NetworkedPlayerManager {
         return positions;
     }
     
+    // Get all active networked ship pawns (for wakes and other per-ship visuals)
+    getAllPawns() {
+        if (!this.shouldCreateNetworkedPlayers()) {
+            return [];
+        }
+        
+        const pawns = [];
+        for (const [peerId, networkedPlayer] of this.networkedPlayers) {
+            if (networkedPlayer.isPlayerActive() && networkedPlayer.pawn) {
+                pawns.push(networkedPlayer.pawn);
+            }
+        }
+        return pawns;
+    }
+    
+    // Hull state of every remote player's ship (the host replicates these to all clients)
+    getHullStates() {
+        const hulls = {};
+        for (const [peerId, networkedPlayer] of this.networkedPlayers) {
+            hulls[peerId] = networkedPlayer.hull.getState();
+        }
+        return hulls;
+    }
+    
     // Get count of active networked players
     getActivePlayerCount() {
         if (!this.shouldCreateNetworkedPlayers()) {
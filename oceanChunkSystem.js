@@ -1,221 +1,339 @@
 import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
+import { waveField, WAVE_SHADER_CHUNK } from './waveField.js';
+import { WAKE_SHADER_CHUNK, createWakeShaderUniforms } from './wakeSystem.js';
+
+// Ocean drawn as concentric LOD rings around the viewer, displaced on the GPU.
+// Level 0 is a dense square grid; every further level is a square annulus with twice the
+// grid spacing and twice the extent. All levels share one center snapped to the coarsest
+// spacing, so every vertex sits on a fixed world-space rest point and the mesh never swims.
+const OCEAN_VERTEX_SHADER = `
+${WAVE_SHADER_CHUNK}
+${WAKE_SHADER_CHUNK}
+attribute vec3 stitch; // xz: offset to the neighbours on a coarser ring edge, y: 1 if stitched
+varying float vFoam;
+
+void main() {
+    vec2 p = position.xz;
+    vec4 d = waveDisplacement(p);
+    if (stitch.y > 0.5) {
+        // Vertices between the coarser ring's vertices follow its straight edge to avoid cracks
+        vec4 a = waveDisplacement(p - stitch.xz);
+        vec4 b = waveDisplacement(p + stitch.xz);
+        d = 0.5 * (a + b);
+    }
+    // Ship wakes ride on top of the waves
+    vec2 wake = wakeDisplacement(p);
+    d.y += wake.x;
+    vFoam = clamp(d.w + wake.y, 0.0, 1.0);
+    vec3 displaced = vec3(p.x + d.x, d.y, p.y + d.z);
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(displaced, 1.0);
+}
+`;
+
+const OCEAN_FRAGMENT_SHADER = `
+uniform vec3 uColor;
+uniform vec3 uFoamColor;
+uniform float uOpacity;
+varying float vFoam;
+
+void main() {
+    // Breakers and surf lines show up as bright white water
+    gl_FragColor = vec4(mix(uColor, uFoamColor, vFoam), mix(uOpacity, 0.95, vFoam));
+}
+`;
+
+// Shaded mode: same displacement, plus a per-vertex normal and the data needed for lighting
+const SHADED_VERTEX_SHADER = `
+${WAVE_SHADER_CHUNK}
+${WAKE_SHADER_CHUNK}
+attribute vec3 stitch;
+varying float vFoam;
+varying float vDepth;
+varying vec3 vNormal;
+varying vec3 vWorldPosition;
+
+void main() {
+    vec2 p = position.xz;
+    vec4 d = waveDisplacement(p);
+    if (stitch.y > 0.5) {
+        vec4 a = waveDisplacement(p - stitch.xz);
+        vec4 b = waveDisplacement(p + stitch.xz);
+        d = 0.5 * (a + b);
+    }
+    vec2 wake = wakeDisplacement(p);
+    d.y += wake.x;
+    vFoam = clamp(d.w + wake.y, 0.0, 1.0);
+    vDepth = uBaseLevel - waveSeabedHeight(p);
+
+    // Normal from the displaced neighbours (finite differences across the Gerstner surface)
+    const float e = 0.5;
+    vec4 dx = waveDisplacement(p + vec2(e, 0.0));
+    vec4 dz = waveDisplacement(p + vec2(0.0, e));
+    vec3 centre = vec3(p.x + d.x, d.y, p.y + d.z);
+    vec3 tangentX = vec3(p.x + e + dx.x, dx.y + wake.x, p.y + dx.z) - centre;
+    vec3 tangentZ = vec3(p.x + dz.x, dz.y + wake.x, p.y + e + dz.z) - centre;
+    vNormal = normalize(cross(tangentZ, tangentX));
+
+    vec4 world = modelMatrix * vec4(centre, 1.0);
+    vWorldPosition = world.xyz;
+    gl_Position = projectionMatrix * viewMatrix * world;
+}
+`;
+
+const SHADED_FRAGMENT_SHADER = `
+uniform vec3 uShallowColor;
+uniform vec3 uDeepColor;
+uniform float uDepthFalloff;
+uniform vec3 uFoamColor;
+uniform vec3 uSkyColor;
+uniform vec3 uSunDirection;
+uniform vec3 uSunColor;
+uniform float uShininess;
+varying float vFoam;
+varying float vDepth;
+varying vec3 vNormal;
+varying vec3 vWorldPosition;
+
+void main() {
+    vec3 normal = normalize(vNormal);
+    vec3 viewDir = normalize(cameraPosition - vWorldPosition);
+    if (dot(normal, viewDir) < 0.0) normal = -normal; // Seen from below the surface
+
+    // Shallow water over sand and reefs is light; open water darkens with depth
+    float deep = 1.0 - exp(-max(vDepth, 0.0) / uDepthFalloff);
+    vec3 water = mix(uShallowColor, uDeepColor, deep);
+
+    // Diffuse sun plus Schlick fresnel reflection of the sky
+    float diffuse = 0.55 + 0.45 * max(dot(normal, uSunDirection), 0.0);
+    float fresnel = 0.02 + 0.98 * pow(1.0 - max(dot(normal, viewDir), 0.0), 5.0);
+    vec3 color = mix(water * uSunColor * diffuse, uSkyColor, fresnel);
+
+    // Blinn-Phong sun glint
+    vec3 halfDir = normalize(uSunDirection + viewDir);
+    color += uSunColor * pow(max(dot(normal, halfDir), 0.0), uShininess);
+
+    color = mix(color, uFoamColor, vFoam);
+    float alpha = mix(0.75, 0.95, max(deep, vFoam));
+    gl_FragColor = vec4(color, alpha);
+}
+`;
+
+// Ocean rendering modes selectable in the settings menu
+export const WATER_MODES = ['wireframe', 'shaded'];
+
+// Build one LOD level: a (cells x cells) grid with an optional square hole in the middle.
+// Vertices on the outer edge that fall between the next level's vertices are marked for stitching.
+function buildOceanRingGeometry(spacing, cells, holeCells, stitchOuterEdge) {
+    const positions = [];
+    const stitches = [];
+    const indices = [];
+    const half = cells / 2;
+    const row = cells + 1;
+
+    for (let z = 0; z <= cells; z++) {
+        for (let x = 0; x <= cells; x++) {
+            positions.push((x - half) * spacing, 0, (z - half) * spacing);
+
+            let stitchX = 0;
+            let stitchZ = 0;
+            let stitched = 0;
+            if (stitchOuterEdge) {
+                if ((z === 0 || z === cells) && x % 2 === 1) {
+                    stitchX = spacing;
+                    stitched = 1;
+                } else if ((x === 0 || x === cells) && z % 2 === 1) {
+                    stitchZ = spacing;
+                    stitched = 1;
+                }
+            }
+            stitches.push(stitchX, stitched, stitchZ);
+        }
+    }
+
+    const holeStart = (cells - holeCells) / 2;
+    const holeEnd = holeStart + holeCells;
+    for (let z = 0; z < cells; z++) {
+        for (let x = 0; x < cells; x++) {
+            if (holeCells > 0 && x >= holeStart && x < holeEnd && z >= holeStart && z < holeEnd) continue;
+            const i0 = z * row + x;
+            const i1 = z * row + (x + 1);
+            const i2 = (z + 1) * row + x;
+            const i3 = (z + 1) * row + (x + 1);
+            indices.push(i0, i1, i2);
+            indices.push(i1, i3, i2);
+        }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('stitch', new THREE.Float32BufferAttribute(stitches, 3));
+    geometry.setIndex(indices);
+    return geometry;
+}
 
 export class OceanChunkSystem {
     constructor(scene) {
         this.scene = scene;
-        
-        // Ocean chunk parameters
-    this.chunkSize = 400; // Size of each ocean chunk (doubled for 2x ocean)
-        this.chunkResolution = 32; // Reduced resolution for better performance (32x32 vertices)
-    this.renderDistance = 3200; // Doubled render distance for 2x ocean
-        this.oceanChunks = new Map(); // Store ocean chunks by key "x,z"
-        
-        // Ocean wave parameters (matches shipPawn.js ocean function)
-        this.baseOceanLevel = 20.0;
-        this.waveSpeed = 2.0;
-        
-        // Ocean material
-        this.oceanMaterial = new THREE.MeshBasicMaterial({
-            color: 0x0066cc,
+
+        // LOD ring parameters
+        this.baseSpacing = 4; // Grid spacing of the dense level around the ship
+        this.ringCells = 64; // Cells per side of each level (must be divisible by 4)
+        this.renderDistance = 3200; // Rings are added until they reach past this distance
+
+        // Wave shape comes from the shared WaveField
+        this.waveField = waveField;
+        this.wakeSource = null; // Optional WakeSystem drawn into the surface
+
+        // Both materials share the wave/wake uniforms, so one update drives either mode
+        const sharedUniforms = {
+            ...this.waveField.createShaderUniforms(),
+            ...createWakeShaderUniforms(),
+            uFoamColor: { value: new THREE.Color(0xffffff) }
+        };
+
+        // Ocean material - displacement happens in the vertex shader
+        this.oceanMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                ...sharedUniforms,
+                uColor: { value: new THREE.Color(0x0066cc) },
+                uOpacity: { value: 0.6 }
+            },
+            vertexShader: OCEAN_VERTEX_SHADER,
+            fragmentShader: OCEAN_FRAGMENT_SHADER,
             wireframe: true,
             transparent: true,
-            opacity: 0.6,
             side: THREE.DoubleSide
         });
-        
-        console.log('[OceanChunkSystem] Initialized with chunk-based ocean generation');
+
+        // Shaded water: depth colour, sky reflection and sun highlight (no shadows needed)
+        this.shadedMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                ...sharedUniforms,
+                uShallowColor: { value: new THREE.Color(0x3fd0c8) },
+                uDeepColor: { value: new THREE.Color(0x06365e) },
+                uDepthFalloff: { value: 8.0 },
+                uSkyColor: { value: new THREE.Color(0x87ceeb) },
+                uSunDirection: { value: new THREE.Vector3(0, 1, 0) },
+                uSunColor: { value: new THREE.Color(0xffffff) },
+                uShininess: { value: 120.0 }
+            },
+            vertexShader: SHADED_VERTEX_SHADER,
+            fragmentShader: SHADED_FRAGMENT_SHADER,
+            transparent: true,
+            side: THREE.DoubleSide
+        });
+
+        this.waterMode = 'wireframe';
+        this.sunLight = null; // DirectionalLight used for shaded mode highlights
+
+        this.oceanGroup = new THREE.Group();
+        this.rings = [];
+        this.createRings();
+        this.scene.add(this.oceanGroup);
+
+        console.log('[OceanChunkSystem] Initialized GPU ocean with', this.rings.length, 'LOD rings');
+    }
+
+    // Build the dense center level plus coarser rings out to the render distance
+    createRings() {
+        // Double the spacing (and extent) per level until the rings reach the render distance
+        const spacings = [];
+        let spacing = this.baseSpacing;
+        do {
+            spacings.push(spacing);
+            spacing *= 2;
+        } while (spacings[spacings.length - 1] * this.ringCells / 2 < this.renderDistance);
+
+        for (let level = 0; level < spacings.length; level++) {
+            const holeCells = level === 0 ? 0 : this.ringCells / 2;
+            const isOutermost = level === spacings.length - 1;
+            const geometry = buildOceanRingGeometry(spacings[level], this.ringCells, holeCells, !isOutermost);
+            const mesh = new THREE.Mesh(geometry, this.oceanMaterial);
+            mesh.frustumCulled = false; // Bounds ignore the GPU displacement
+            this.oceanGroup.add(mesh);
+            this.rings.push({ mesh: mesh, spacing: spacings[level] });
+        }
+
+        // Snap to the coarsest spacing so every level's vertices stay on their world grid
+        this.snapSpacing = spacings[spacings.length - 1];
     }
-    
-    // Calculate ocean height at world coordinates (matches shipPawn.js exactly)
+
+    // Calculate ocean height at world coordinates (delegates to the shared WaveField)
     calculateOceanHeight(x, z) {
-        const globalOceanTime = window.globalOceanTime || 0;
-        
-        // Base ocean level
-        let height = this.baseOceanLevel;
-        
-        // Apply the exact same wave calculation as shipPawn.js
-        const t = globalOceanTime;
-        height += Math.sin(0.08 * x + t * 0.6) * 1.0;
-        height += Math.cos(0.07 * z + t * 0.4) * 0.8;
-        height += Math.sin(0.06 * (x + z) + t * 0.2) * 0.5;
-        
-        return height;
+        return this.waveField.getHeight(x, z);
     }
-    
-    // Create a single ocean chunk
-    createOceanChunk(chunkX, chunkZ) {
-        const geometry = new THREE.BufferGeometry();
-        const vertices = [];
-        const indices = [];
-        
-        // Calculate world position of this chunk
-        const worldOffsetX = chunkX * this.chunkSize;
-        const worldOffsetZ = chunkZ * this.chunkSize;
-        
-        // Generate vertices for this chunk
-        for (let z = 0; z <= this.chunkResolution; z++) {
-            for (let x = 0; x <= this.chunkResolution; x++) {
-                // World position
-                const px = worldOffsetX + (x / this.chunkResolution) * this.chunkSize - this.chunkSize / 2;
-                const pz = worldOffsetZ + (z / this.chunkResolution) * this.chunkSize - this.chunkSize / 2;
-                
-                // Calculate ocean height (will be animated in update)
-                const height = this.calculateOceanHeight(px, pz);
-                
-                vertices.push(px, height, pz);
-            }
+
+    // Update method called from game loop
+    update(deltaTime, viewerPosition) {
+        // Follow the viewer in coarse steps
+        const centerX = Math.round(viewerPosition.x / this.snapSpacing) * this.snapSpacing;
+        const centerZ = Math.round(viewerPosition.z / this.snapSpacing) * this.snapSpacing;
+        this.oceanGroup.position.set(centerX, 0, centerZ);
+
+        // Waves, time, storms and wakes are all uniforms - no per-vertex CPU work
+        this.waveField.updateShaderUniforms(this.oceanMaterial.uniforms, centerX, centerZ);
+        if (this.wakeSource) {
+            this.wakeSource.updateShaderUniforms(this.oceanMaterial.uniforms, centerX, centerZ, viewerPosition);
         }
-        
-        // Generate indices for triangles
-        for (let z = 0; z < this.chunkResolution; z++) {
-            for (let x = 0; x < this.chunkResolution; x++) {
-                const i0 = z * (this.chunkResolution + 1) + x;
-                const i1 = z * (this.chunkResolution + 1) + (x + 1);
-                const i2 = (z + 1) * (this.chunkResolution + 1) + x;
-                const i3 = (z + 1) * (this.chunkResolution + 1) + (x + 1);
-                
-                indices.push(i0, i1, i2);
-                indices.push(i1, i3, i2);
+
+        if (this.waterMode === 'shaded') {
+            // Reflect whatever the sky currently is (storms darken it)
+            const background = this.scene.background;
+            if (background && background.isColor) {
+                this.shadedMaterial.uniforms.uSkyColor.value.copy(background);
             }
-        }
-        
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-        geometry.setIndex(indices);
-        geometry.computeVertexNormals();
-        
-        // Create mesh
-        const mesh = new THREE.Mesh(geometry, this.oceanMaterial.clone());
-        this.scene.add(mesh);
-        
-        // Store original vertices for animation
-        const originalVertices = [];
-        for (let i = 0; i < vertices.length; i += 3) {
-            originalVertices.push({
-                x: vertices[i],
-                y: vertices[i + 1],
-                z: vertices[i + 2]
-            });
-        }
-        
-        return {
-            mesh: mesh,
-            chunkX: chunkX,
-            chunkZ: chunkZ,
-            originalVertices: originalVertices
-        };
-    }
-    
-    // Update ocean chunks around player position
-    updateOceanChunks(playerPosition) {
-        // Calculate which chunks should exist around the player
-        const playerChunkX = Math.floor(playerPosition.x / this.chunkSize);
-        const playerChunkZ = Math.floor(playerPosition.z / this.chunkSize);
-        const chunkRadius = Math.ceil(this.renderDistance / this.chunkSize);
-        
-        // Track which chunks should exist
-        const requiredChunks = new Set();
-        
-        for (let dx = -chunkRadius; dx <= chunkRadius; dx++) {
-            for (let dz = -chunkRadius; dz <= chunkRadius; dz++) {
-                const chunkX = playerChunkX + dx;
-                const chunkZ = playerChunkZ + dz;
-                const distance = Math.sqrt(dx * dx + dz * dz) * this.chunkSize;
-                
-                if (distance <= this.renderDistance) {
-                    const chunkKey = `${chunkX},${chunkZ}`;
-                    requiredChunks.add(chunkKey);
-                    
-                    // Create chunk if it doesn't exist
-                    if (!this.oceanChunks.has(chunkKey)) {
-                        const chunk = this.createOceanChunk(chunkX, chunkZ);
-                        this.oceanChunks.set(chunkKey, chunk);
-                    }
-                }
+            if (this.sunLight) {
+                const sun = this.shadedMaterial.uniforms;
+                sun.uSunDirection.value.copy(this.sunLight.position).sub(this.sunLight.target.position).normalize();
+                sun.uSunColor.value.copy(this.sunLight.color).multiplyScalar(this.sunLight.intensity);
             }
         }
-        
-        // Remove chunks that are too far away
-        const chunksToRemove = [];
-        for (const [chunkKey, chunk] of this.oceanChunks) {
-            if (!requiredChunks.has(chunkKey)) {
-                chunksToRemove.push(chunkKey);
-                this.scene.remove(chunk.mesh);
-                chunk.mesh.geometry.dispose();
-                chunk.mesh.material.dispose();
-            }
+    }
+
+    // Switch between the wireframe and shaded ocean at runtime
+    setWaterMode(mode) {
+        if (!WATER_MODES.includes(mode)) {
+            console.warn('[OceanChunkSystem] Unknown water mode:', mode);
+            return false;
         }
-        
-        for (const chunkKey of chunksToRemove) {
-            this.oceanChunks.delete(chunkKey);
+        this.waterMode = mode;
+        const material = mode === 'shaded' ? this.shadedMaterial : this.oceanMaterial;
+        for (const ring of this.rings) {
+            ring.mesh.material = material;
         }
+        console.log('[OceanChunkSystem] Water mode:', mode);
+        return true;
     }
-    
-    // Animate all ocean chunks
-    animateOceanChunks() {
-        for (const [chunkKey, chunk] of this.oceanChunks) {
-            const positions = chunk.mesh.geometry.attributes.position;
-            const posArray = positions.array;
-            
-            // Update each vertex height based on current time
-            for (let i = 0; i < chunk.originalVertices.length; i++) {
-                const vertex = chunk.originalVertices[i];
-                const arrayIndex = i * 3;
-                
-                // Calculate new height using the deterministic ocean function
-                const newHeight = this.calculateOceanHeight(vertex.x, vertex.z);
-                posArray[arrayIndex + 1] = newHeight;
-            }
-            
-            positions.needsUpdate = true;
-            chunk.mesh.geometry.computeVertexNormals();
-        }
+
+    // Light whose direction and colour drive the shaded mode's sun highlight
+    setSunLight(light) {
+        this.sunLight = light;
     }
-    
-    // Update method called from game loop
-    update(deltaTime, playerPosition) {
-        // Generate/remove ocean chunks around player
-        this.updateOceanChunks(playerPosition);
-        
-        // Animate all ocean chunks
-        this.animateOceanChunks();
+
+    // Attach a WakeSystem whose ship wakes are drawn into the ocean surface (null to detach)
+    setWakeSource(wakeSource) {
+        this.wakeSource = wakeSource;
+        if (!wakeSource) this.oceanMaterial.uniforms.uWakeCount.value = 0;
     }
-    
+
     // Get ocean height at any world position (for ship physics)
     getOceanHeightAtPosition(x, z) {
         return this.calculateOceanHeight(x, z);
     }
-    
+
     // Calculate ocean surface normal at any world position (for ship tilting)
-    getOceanSurfaceNormal(x, z, sampleDistance = 0.1) {
-        // Sample ocean height at nearby points to calculate surface normal
-        const heightCenter = this.calculateOceanHeight(x, z);
-        const heightRight = this.calculateOceanHeight(x + sampleDistance, z);
-        const heightForward = this.calculateOceanHeight(x, z + sampleDistance);
-        
-        // Create vectors for the surface
-        const vectorRight = new THREE.Vector3(sampleDistance, heightRight - heightCenter, 0);
-        const vectorForward = new THREE.Vector3(0, heightForward - heightCenter, sampleDistance);
-        
-        // Calculate normal using cross product (corrected order for upward normal)
-        const normal = new THREE.Vector3();
-        normal.crossVectors(vectorForward, vectorRight);
-        normal.normalize();
-        
-        // Ensure normal points upward (positive Y component)
-        if (normal.y < 0) {
-            normal.negate();
-        }
-        
-        return normal;
+    getOceanSurfaceNormal(x, z) {
+        return this.waveField.getNormal(x, z);
     }
-    
+
     // Cleanup method
     remove() {
-        for (const [chunkKey, chunk] of this.oceanChunks) {
-            this.scene.remove(chunk.mesh);
-            chunk.mesh.geometry.dispose();
-            chunk.mesh.material.dispose();
+        for (const ring of this.rings) {
+            ring.mesh.geometry.dispose();
         }
-        this.oceanChunks.clear();
+        this.scene.remove(this.oceanGroup);
+        this.oceanMaterial.dispose();
+        this.shadedMaterial.dispose();
+        this.rings = [];
     }
 }
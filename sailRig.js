@@ -0,0 +1,182 @@
+// sailRig.js - Animated sails
+// The sails on a ship model (the GLTF 'Sails' mesh, or the fallback's planes marked isSail) are
+// reshaped every frame: each sail furls up toward its yard as canvas is taken in, and bellies
+// out toward the bow when the wind fills it - or flaps when the ship is head to wind.
+// Each connected piece of a sail mesh is one sail, so a single mesh can carry a whole rig.
+//
+// Ships only need a sailMode (the same names as the sail modes in game.js); updateShipSails
+// builds the rig on whatever model the ship has and animates it toward that mode. The sail mode
+// is all that goes over the network, the wind that fills the sails is shared already.
+import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
+import { windSystem } from './windSystem.js';
+import { getShipHeading } from './shipCollision.js';
+
+// How much of each sail is set for a sail mode
+export const SAIL_SETTINGS = {
+    noSail: 0.0,
+    partSail: 0.4,
+    halfSail: 0.7,
+    fullSail: 1.0
+};
+
+const FURL_RATE = 0.5; // Fraction of the sail set or taken in per second
+const FURLED_FRACTION = 0.08; // A furled sail is a thin roll under its yard
+const BILLOW_DEPTH = 0.2; // Belly of a full sail (fraction of its height)
+const FLUTTER_DEPTH = 0.06; // Flapping of an empty sail (fraction of its height)
+const FLUTTER_SPEED = 9.0;
+const FILL_RATE = 2.0; // Per-second rate the belly follows the wind
+const RESHAPE_THRESHOLD = 0.002; // Skip reshaping when nothing has visibly moved
+
+// Sail meshes on a ship model
+export function findSailMeshes(shipModel) {
+    const meshes = [];
+    shipModel.traverse((child) => {
+        if (!child.isMesh) return;
+        const named = /^Sails/.test(child.name) || (child.parent && /^Sails/.test(child.parent.name));
+        if (child.userData.isSail || named) meshes.push(child);
+    });
+    return meshes;
+}
+
+// Group the vertices of an indexed geometry into connected pieces (one per sail)
+function findIslands(geometry) {
+    const count = geometry.attributes.position.count;
+    const parent = new Int32Array(count);
+    for (let i = 0; i < count; i++) parent[i] = i;
+    const find = (i) => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    };
+    const index = geometry.index;
+    if (index) {
+        for (let i = 0; i < index.count; i += 3) {
+            const a = find(index.getX(i));
+            const b = find(index.getX(i + 1));
+            const c = find(index.getX(i + 2));
+            parent[b] = a;
+            parent[c] = a;
+        }
+    } else {
+        parent.fill(0); // Unindexed: treat the whole mesh as one sail
+    }
+    const islands = new Int32Array(count);
+    for (let i = 0; i < count; i++) islands[i] = find(i);
+    return islands;
+}
+
+export class SailRig {
+    constructor(shipModel) {
+        this.shipModel = shipModel;
+        this.set = 0; // Fraction of canvas set, 0 (furled) .. 1
+        this.target = 0;
+        this.fill = 0; // How full the wind blows the sails, 0 .. 1
+        this.time = Math.random() * 10; // Flutter phase
+        this.lastShape = null;
+        this.sails = findSailMeshes(shipModel).map(mesh => this.createSail(mesh));
+    }
+
+    // Rest shape of one sail mesh in model space (up = +y, bow = -z), with each vertex's place
+    // on its own sail: v down from the yard, u across from the middle
+    createSail(mesh) {
+        mesh.geometry = mesh.geometry.clone(); // Loaded models share geometry between ships
+        this.shipModel.updateMatrixWorld(true);
+        const toModel = new THREE.Matrix4().copy(this.shipModel.matrixWorld).invert().multiply(mesh.matrixWorld);
+        const fromModel = toModel.clone().invert();
+
+        const position = mesh.geometry.attributes.position;
+        const count = position.count;
+        const rest = new Float32Array(count * 3);
+        const point = new THREE.Vector3();
+        for (let i = 0; i < count; i++) {
+            point.fromBufferAttribute(position, i).applyMatrix4(toModel);
+            rest[i * 3] = point.x;
+            rest[i * 3 + 1] = point.y;
+            rest[i * 3 + 2] = point.z;
+        }
+
+        const islands = findIslands(mesh.geometry);
+        const bounds = new Map(); // island -> { top, bottom, left, right }
+        for (let i = 0; i < count; i++) {
+            let b = bounds.get(islands[i]);
+            if (!b) {
+                b = { top: -Infinity, bottom: Infinity, left: Infinity, right: -Infinity };
+                bounds.set(islands[i], b);
+            }
+            b.top = Math.max(b.top, rest[i * 3 + 1]);
+            b.bottom = Math.min(b.bottom, rest[i * 3 + 1]);
+            b.left = Math.min(b.left, rest[i * 3]);
+            b.right = Math.max(b.right, rest[i * 3]);
+        }
+
+        const top = new Float32Array(count);
+        const height = new Float32Array(count);
+        const v = new Float32Array(count);
+        const u = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            const b = bounds.get(islands[i]);
+            top[i] = b.top;
+            height[i] = Math.max(1e-6, b.top - b.bottom);
+            v[i] = (b.top - rest[i * 3 + 1]) / height[i];
+            const halfWidth = Math.max(1e-6, (b.right - b.left) / 2);
+            u[i] = (rest[i * 3] - (b.left + b.right) / 2) / halfWidth;
+        }
+        return { mesh, rest, top, height, u, v, fromModel };
+    }
+
+    setSailMode(sailMode) {
+        const setting = SAIL_SETTINGS[sailMode];
+        this.target = setting !== undefined ? setting : 0;
+    }
+
+    // fill: how well the wind fills the sails (0 = head to wind, 1 = full and drawing)
+    update(deltaTime, fill) {
+        this.time += deltaTime;
+        const step = FURL_RATE * deltaTime;
+        this.set += Math.max(-step, Math.min(step, this.target - this.set));
+        this.fill += (Math.max(0, Math.min(1, fill)) - this.fill) * Math.min(1, FILL_RATE * deltaTime);
+
+        // Set canvas with no wind in it flaps, so the shape changes every frame
+        const flapping = this.set > 0.01 && this.fill < 0.9;
+        const shape = { set: this.set, fill: this.fill };
+        if (!flapping && this.lastShape &&
+            Math.abs(shape.set - this.lastShape.set) < RESHAPE_THRESHOLD &&
+            Math.abs(shape.fill - this.lastShape.fill) < RESHAPE_THRESHOLD) {
+            return;
+        }
+        this.lastShape = shape;
+
+        const unfurled = FURLED_FRACTION + (1 - FURLED_FRACTION) * this.set;
+        const point = new THREE.Vector3();
+        for (const sail of this.sails) {
+            const position = sail.mesh.geometry.attributes.position;
+            for (let i = 0; i < position.count; i++) {
+                const belly = (1 - sail.u[i] * sail.u[i]) * Math.sin(Math.PI * sail.v[i]);
+                const billow = BILLOW_DEPTH * this.fill;
+                const flutter = FLUTTER_DEPTH * (1 - this.fill) * Math.sin(this.time * FLUTTER_SPEED + sail.v[i] * 4 + sail.u[i] * 2);
+                const depth = (billow + flutter) * sail.height[i] * belly * this.set;
+                point.set(
+                    sail.rest[i * 3],
+                    sail.top[i] - (sail.top[i] - sail.rest[i * 3 + 1]) * unfurled,
+                    sail.rest[i * 3 + 2] - depth
+                ).applyMatrix4(sail.fromModel);
+                position.setXYZ(i, point.x, point.y, point.z);
+            }
+            position.needsUpdate = true;
+        }
+    }
+}
+
+// Animate a ship's sails toward its sailMode in the wind where it is (any ship with a model)
+export function updateShipSails(pawn, deltaTime) {
+    if (!pawn.shipModel) return;
+    if (!pawn.sailRig || pawn.sailRig.shipModel !== pawn.shipModel) {
+        pawn.sailRig = new SailRig(pawn.shipModel); // New or reloaded model
+    }
+    const heading = getShipHeading(pawn);
+    const fill = windSystem.getSailFactor(pawn.position.x, pawn.position.z, -Math.sin(heading), -Math.cos(heading));
+    pawn.sailRig.setSailMode(pawn.sailMode);
+    pawn.sailRig.update(deltaTime, fill);
+}
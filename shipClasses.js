@@ -0,0 +1,121 @@
+// shipClasses.js - Ship class registry
+// Everything that makes one kind of ship differ from another is data here: its model, scale
+// and waterline, hull size (buoyancy, collisions and terrain contact), sail power, handling,
+// cargo hold, hull strength and guns. Pawns take on a class with setShipClass (see shipPawn.js);
+// only the class id goes over the network, every peer builds the rest from this table.
+import { HULL_PROFILES, DEFAULT_HULL_PROFILE } from './buoyancy.js';
+import { DEFAULT_SHIP_PARAMS } from './shipDynamics.js';
+
+export const SHIP_CLASSES = {
+    sloop: {
+        name: 'Sloop',
+        model: './Ship1.glb',
+        scale: 1.0,
+        waterline: 0.625, // Pawn origin above the water (3/8 of the hull underwater)
+        modelOffset: -0.375, // Model height below the pawn origin
+        hull: { length: 6.0, beam: 2.8 },
+        sailPower: 1.0, // Multiplier on the sail setting's drive
+        handling: { mass: 1.0, maxSpeed: 8.0, minTurnRadius: 6.0, turnRadiusPerSpeed: 1.0, yawResponse: 2.0 }, // See shipDynamics.js
+        cargoCapacity: 20,
+        hullStrength: 100, // Hull health (see hullHealth.js)
+        broadside: { guns: 3, reload: 5.0 }, // Guns per side and seconds to reload them (see cannons.js)
+        aiWeight: 4 // How often AI ships spawn as this class (relative)
+    },
+    brigantine: {
+        name: 'Brigantine',
+        model: './Ship1.glb',
+        scale: 1.3,
+        waterline: 0.8,
+        modelOffset: -0.49,
+        hull: { length: 7.8, beam: 3.6 },
+        sailPower: 1.0,
+        handling: { mass: 1.8, maxSpeed: 8.0, minTurnRadius: 8.0, turnRadiusPerSpeed: 1.2, yawResponse: 1.6 },
+        cargoCapacity: 60,
+        hullStrength: 160,
+        broadside: { guns: 5, reload: 6.0 },
+        aiWeight: 3
+    },
+    frigate: {
+        name: 'Frigate',
+        model: './Ship1.glb',
+        scale: 1.6,
+        waterline: 1.0,
+        modelOffset: -0.6,
+        hull: { length: 9.6, beam: 4.5 },
+        sailPower: 1.1, // Fast for her size
+        handling: { mass: 2.8, maxSpeed: 8.5, minTurnRadius: 10.0, turnRadiusPerSpeed: 1.5, yawResponse: 1.4 },
+        cargoCapacity: 90,
+        hullStrength: 240,
+        broadside: { guns: 8, reload: 7.0 },
+        aiWeight: 2
+    },
+    galleon: {
+        name: 'Galleon',
+        model: './Ship1.glb',
+        scale: 2.0,
+        waterline: 1.25,
+        modelOffset: -0.75,
+        hull: { length: 12.0, beam: 5.6 },
+        sailPower: 0.8,
+        handling: { mass: 4.5, maxSpeed: 6.5, minTurnRadius: 14.0, turnRadiusPerSpeed: 1.8, yawResponse: 1.0 },
+        cargoCapacity: 200,
+        hullStrength: 360,
+        broadside: { guns: 12, reload: 9.0 },
+        aiWeight: 1
+    }
+};
+
+export const DEFAULT_SHIP_CLASS = 'sloop';
+
+// Class definition for an id (unknown ids - e.g. from a newer peer - fall back to the default)
+export function getShipClass(classId) {
+    return SHIP_CLASSES[classId] || SHIP_CLASSES[DEFAULT_SHIP_CLASS];
+}
+
+// Ship dynamics parameters for a class
+export function getShipParams(classId) {
+    return { ...DEFAULT_SHIP_PARAMS, ...getShipClass(classId).handling };
+}
+
+// Buoyancy hull profile for a class: sample points at bow, stern and both sides. Springs are
+// softened with size (damping ratio kept), so big hulls heave and roll more slowly.
+const hullProfileCache = new Map();
+export function getHullProfile(classId) {
+    const shipClass = getShipClass(classId);
+    let profile = hullProfileCache.get(shipClass);
+    if (!profile) {
+        const base = HULL_PROFILES[DEFAULT_HULL_PROFILE];
+        const soften = (spring) => ({
+            stiffness: spring.stiffness / shipClass.scale,
+            damping: spring.damping / Math.sqrt(shipClass.scale)
+        });
+        const halfLength = shipClass.hull.length / 2;
+        const halfBeam = shipClass.hull.beam / 2;
+        profile = {
+            points: [
+                { x: 0, z: -halfLength }, // Bow
+                { x: 0, z: halfLength }, // Stern
+                { x: -halfBeam, z: 0 }, // Port
+                { x: halfBeam, z: 0 } // Starboard
+            ],
+            waterline: shipClass.waterline,
+            heave: soften(base.heave),
+            pitch: soften(base.pitch),
+            roll: soften(base.roll)
+        };
+        hullProfileCache.set(shipClass, profile);
+    }
+    return profile;
+}
+
+// Weighted random class for spawning AI ships
+export function pickRandomShipClass(random = Math.random) {
+    const ids = Object.keys(SHIP_CLASSES);
+    const total = ids.reduce((sum, id) => sum + SHIP_CLASSES[id].aiWeight, 0);
+    let roll = random() * total;
+    for (const id of ids) {
+        roll -= SHIP_CLASSES[id].aiWeight;
+        if (roll < 0) return id;
+    }
+    return DEFAULT_SHIP_CLASS;
+}
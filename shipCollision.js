@@ -0,0 +1,310 @@
+// shipCollision.js - Ship versus ship contacts
+// Every ship is bounded by a capsule fitted to its hull profile (a segment from bow to stern,
+// as wide as the beam), so long hulls can lie alongside each other without touching.
+// Overlapping ships are pushed apart along the contact normal and exchange momentum along it.
+//
+// Authority: each peer only moves the ships it simulates (its own player and the AI it hosts).
+// Against a remote ship a local ship takes its own share of the response; the remote owner
+// does the same on its side. Pairs of remote ships are left to the host, which sends each
+// owner its share (see onRemoteResponse / applyHostResponse) so clients don't fight over them.
+import { HULL_PROFILES, DEFAULT_HULL_PROFILE } from './buoyancy.js';
+
+export const SHIP_RESTITUTION = 0.3; // Fraction of the closing speed ships rebound with
+const HOST_RESPONSE_INTERVAL = 250; // ms between host corrections for the same remote pair (covers the round trip)
+const MAX_TRACKED_STEP = 20.0; // Position jumps longer than this (spawns, teleports) don't count as velocity
+
+// Capsule bounds for a hull profile: radius = half beam, segment from bow to stern in ship space
+const capsuleCache = new WeakMap();
+function getHullCapsule(profile) {
+    let capsule = capsuleCache.get(profile);
+    if (!capsule) {
+        let radius = 0, bowZ = 0, sternZ = 0;
+        for (const point of profile.points) {
+            radius = Math.max(radius, Math.abs(point.x));
+            bowZ = Math.min(bowZ, point.z);
+            sternZ = Math.max(sternZ, point.z);
+        }
+        const middle = (bowZ + sternZ) / 2;
+        capsule = {
+            radius: radius,
+            front: Math.min(middle, bowZ + radius),
+            back: Math.max(middle, sternZ - radius)
+        };
+        capsuleCache.set(profile, capsule);
+    }
+    return capsule;
+}
+
+// AI ships and replicants keep their heading in rotationY, players in rotation.y
+export function getShipHeading(pawn) {
+    return typeof pawn.rotationY === 'number' ? pawn.rotationY : pawn.rotation.y;
+}
+
+// Horizontal distance from world x,z to a ship's hull capsule (negative inside the hull)
+export function getHullDistance(pawn, x, z) {
+    const capsule = getHullCapsule(pawn.hullProfile || HULL_PROFILES[DEFAULT_HULL_PROFILE]);
+    const heading = getShipHeading(pawn);
+    const sin = Math.sin(heading);
+    const cos = Math.cos(heading);
+    const frontX = pawn.position.x + capsule.front * sin;
+    const frontZ = pawn.position.z + capsule.front * cos;
+    const segX = (capsule.back - capsule.front) * sin;
+    const segZ = (capsule.back - capsule.front) * cos;
+    const lengthSq = segX * segX + segZ * segZ;
+    const t = lengthSq > 1e-9 ? Math.max(0, Math.min(1, ((x - frontX) * segX + (z - frontZ) * segZ) / lengthSq)) : 0;
+    return Math.hypot(x - (frontX + segX * t), z - (frontZ + segZ * t)) - capsule.radius;
+}
+
+// Closest points between segments p1-q1 and p2-q2 (2D, x/z). Returns the segment parameters { s, t }.
+function closestSegmentParameters(p1x, p1z, q1x, q1z, p2x, p2z, q2x, q2z) {
+    const d1x = q1x - p1x, d1z = q1z - p1z;
+    const d2x = q2x - p2x, d2z = q2z - p2z;
+    const rx = p1x - p2x, rz = p1z - p2z;
+    const a = d1x * d1x + d1z * d1z;
+    const e = d2x * d2x + d2z * d2z;
+    const f = d2x * rx + d2z * rz;
+    const clamp = (v) => Math.max(0, Math.min(1, v));
+    if (a < 1e-9 && e < 1e-9) return { s: 0, t: 0 };
+    if (a < 1e-9) return { s: 0, t: clamp(f / e) };
+    const c = d1x * rx + d1z * rz;
+    if (e < 1e-9) return { s: clamp(-c / a), t: 0 };
+    const b = d1x * d2x + d1z * d2z;
+    const denom = a * e - b * b;
+    let s = denom > 1e-9 ? clamp((b * f - c * e) / denom) : 0;
+    let t = (b * s + f) / e;
+    if (t < 0) {
+        t = 0;
+        s = clamp(-c / a);
+    } else if (t > 1) {
+        t = 1;
+        s = clamp((b - c) / a);
+    }
+    return { s: s, t: t };
+}
+
+export class ShipCollisionSystem {
+    constructor() {
+        this.listeners = [];
+        this.onRemoteResponse = null; // (pawn, other, message) - host only: deliver a remote ship's share to its owner
+        this.tracked = new Map(); // Map<pawn, { x, z, vx, vz }> - velocities from position history
+        this.contacts = new Set(); // Pair keys touching last frame (collision events fire once per contact)
+        this.lastHostResponse = new Map(); // Map<pair key, ms> - rate limit for host corrections
+        this._ids = new WeakMap();
+        this._nextId = 1;
+    }
+
+    // Subscribe to collisions. listener(event) gets
+    // { a, b, aLocal, bLocal (simulated here), normal: { x, z } (from a to b), depth, impactSpeed,
+    //   point: { x, z }, authority: 'local' | 'host' }.
+    // Returns a function that unsubscribes.
+    onCollision(listener) {
+        this.listeners.push(listener);
+        return () => {
+            const idx = this.listeners.indexOf(listener);
+            if (idx !== -1) this.listeners.splice(idx, 1);
+        };
+    }
+
+    emit(event) {
+        for (const listener of this.listeners.slice()) {
+            listener(event);
+        }
+    }
+
+    getId(pawn) {
+        let id = this._ids.get(pawn);
+        if (!id) {
+            id = this._nextId++;
+            this._ids.set(pawn, id);
+        }
+        return id;
+    }
+
+    // Capsule segment, radius, velocity and mass for a ship this frame
+    getBody(pawn, isLocal) {
+        const capsule = getHullCapsule(pawn.hullProfile || HULL_PROFILES[DEFAULT_HULL_PROFILE]);
+        const heading = getShipHeading(pawn);
+        const sin = Math.sin(heading);
+        const cos = Math.cos(heading);
+        const track = this.tracked.get(pawn);
+        return {
+            pawn: pawn,
+            isLocal: isLocal,
+            radius: capsule.radius,
+            frontX: pawn.position.x + capsule.front * sin,
+            frontZ: pawn.position.z + capsule.front * cos,
+            backX: pawn.position.x + capsule.back * sin,
+            backZ: pawn.position.z + capsule.back * cos,
+            vx: track ? track.vx : 0,
+            vz: track ? track.vz : 0,
+            mass: (pawn.dynamics && pawn.dynamics.mass) || 1.0
+        };
+    }
+
+    // Contact between two bodies, or null if they don't overlap
+    findContact(a, b) {
+        const { s, t } = closestSegmentParameters(
+            a.frontX, a.frontZ, a.backX, a.backZ,
+            b.frontX, b.frontZ, b.backX, b.backZ
+        );
+        const ax = a.frontX + (a.backX - a.frontX) * s;
+        const az = a.frontZ + (a.backZ - a.frontZ) * s;
+        const bx = b.frontX + (b.backX - b.frontX) * t;
+        const bz = b.frontZ + (b.backZ - b.frontZ) * t;
+        let nx = bx - ax;
+        let nz = bz - az;
+        const distance = Math.sqrt(nx * nx + nz * nz);
+        const depth = a.radius + b.radius - distance;
+        if (depth <= 0) return null;
+        if (distance > 1e-6) {
+            nx /= distance;
+            nz /= distance;
+        } else {
+            // Stacked exactly on top of each other: separate along the centre line (or any fixed axis)
+            nx = b.pawn.position.x - a.pawn.position.x;
+            nz = b.pawn.position.z - a.pawn.position.z;
+            const length = Math.sqrt(nx * nx + nz * nz);
+            if (length > 1e-6) {
+                nx /= length;
+                nz /= length;
+            } else {
+                nx = 1;
+                nz = 0;
+            }
+        }
+        const closingSpeed = (a.vx - b.vx) * nx + (a.vz - b.vz) * nz;
+        return {
+            normal: { x: nx, z: nz },
+            depth: depth,
+            impactSpeed: Math.max(0, closingSpeed),
+            point: { x: ax + nx * (a.radius - depth / 2), z: az + nz * (a.radius - depth / 2) }
+        };
+    }
+
+    // One ship's share of a contact: push (position change) and deltaVelocity (world x/z).
+    // sign is -1 for ship a and +1 for ship b (the normal points from a to b).
+    getResponse(body, other, contact, sign) {
+        const share = other.mass / (body.mass + other.mass);
+        const impulse = (1 + SHIP_RESTITUTION) * contact.impactSpeed / (1 / body.mass + 1 / other.mass);
+        return {
+            push: { x: sign * contact.normal.x * contact.depth * share, z: sign * contact.normal.z * contact.depth * share },
+            deltaVelocity: { x: sign * contact.normal.x * impulse / body.mass, z: sign * contact.normal.z * impulse / body.mass }
+        };
+    }
+
+    // Move a locally simulated ship by its share of a contact. Ships only carry speed along the
+    // bow, so the sideways part of the velocity change is taken up by the keel.
+    applyResponse(pawn, response) {
+        pawn.position.x += response.push.x;
+        pawn.position.z += response.push.z;
+        if (typeof pawn.speed === 'number') {
+            const heading = getShipHeading(pawn);
+            pawn.speed += -Math.sin(heading) * response.deltaVelocity.x - Math.cos(heading) * response.deltaVelocity.z;
+            if (pawn.velocity) {
+                pawn.velocity.set(-Math.sin(heading) * pawn.speed, 0, -Math.cos(heading) * pawn.speed);
+            }
+        }
+        const track = this.tracked.get(pawn);
+        if (track) {
+            track.x = pawn.position.x;
+            track.z = pawn.position.z;
+        }
+    }
+
+    // Apply a response the host resolved for one of our ships (from a 'ship_collision' message)
+    applyHostResponse(pawn, message, other = null) {
+        this.applyResponse(pawn, message.response);
+        this.emit({
+            a: pawn,
+            b: other,
+            aLocal: true,
+            bLocal: false,
+            normal: message.normal,
+            depth: message.depth,
+            impactSpeed: message.impactSpeed,
+            point: message.point,
+            authority: 'host'
+        });
+    }
+
+    // Resolve all ship pairs for this frame.
+    // localShips: ships this peer simulates; remoteShips: replicated ships (networked players, AI replicants).
+    // isHost: also resolve remote-versus-remote pairs and hand the results to onRemoteResponse.
+    update(deltaTime, localShips, remoteShips, isHost = false) {
+        // Velocities from how far each ship moved since last frame (sailing, drift or network updates)
+        for (const [pawn, track] of this.tracked) {
+            const dx = pawn.position.x - track.x;
+            const dz = pawn.position.z - track.z;
+            const valid = deltaTime > 0 && dx * dx + dz * dz < MAX_TRACKED_STEP * MAX_TRACKED_STEP;
+            track.vx = valid ? dx / deltaTime : 0;
+            track.vz = valid ? dz / deltaTime : 0;
+        }
+
+        const afloat = (pawn) => pawn && !(pawn.hull && pawn.hull.sunk); // Wrecks are gone
+        const bodies = [
+            ...localShips.filter(afloat).map(pawn => this.getBody(pawn, true)),
+            ...remoteShips.filter(afloat).map(pawn => this.getBody(pawn, false))
+        ];
+        const contacts = new Set();
+        const now = Date.now();
+
+        for (let i = 0; i < bodies.length; i++) {
+            for (let j = i + 1; j < bodies.length; j++) {
+                const a = bodies[i];
+                const b = bodies[j];
+                const hostPair = !a.isLocal && !b.isLocal;
+                if (hostPair && !isHost) continue; // Another peer's problem
+
+                const contact = this.findContact(a, b);
+                if (!contact) continue;
+
+                const idA = this.getId(a.pawn);
+                const idB = this.getId(b.pawn);
+                const key = idA < idB ? `${idA}:${idB}` : `${idB}:${idA}`;
+                contacts.add(key);
+
+                if (hostPair) {
+                    if (this.onRemoteResponse && now - (this.lastHostResponse.get(key) || 0) >= HOST_RESPONSE_INTERVAL) {
+                        this.lastHostResponse.set(key, now);
+                        this.onRemoteResponse(a.pawn, b.pawn, { ...contact, response: this.getResponse(a, b, contact, -1) });
+                        this.onRemoteResponse(b.pawn, a.pawn, {
+                            ...contact,
+                            normal: { x: -contact.normal.x, z: -contact.normal.z },
+                            response: this.getResponse(b, a, contact, 1)
+                        });
+                    }
+                } else {
+                    const responseA = this.getResponse(a, b, contact, -1);
+                    const responseB = this.getResponse(b, a, contact, 1);
+                    if (a.isLocal) this.applyResponse(a.pawn, responseA);
+                    if (b.isLocal) this.applyResponse(b.pawn, responseB);
+                }
+
+                if (!this.contacts.has(key)) {
+                    this.emit({ a: a.pawn, b: b.pawn, aLocal: a.isLocal, bLocal: b.isLocal, ...contact, authority: hostPair ? 'host' : 'local' });
+                }
+            }
+        }
+        this.contacts = contacts;
+        for (const key of this.lastHostResponse.keys()) {
+            if (!contacts.has(key)) this.lastHostResponse.delete(key);
+        }
+
+        // Remember where every ship ended up (after pushes) for next frame's velocities
+        const seen = new Set();
+        for (const body of bodies) {
+            const pawn = body.pawn;
+            seen.add(pawn);
+            const track = this.tracked.get(pawn);
+            if (track) {
+                track.x = pawn.position.x;
+                track.z = pawn.position.z;
+            } else {
+                this.tracked.set(pawn, { x: pawn.position.x, z: pawn.position.z, vx: 0, vz: 0 });
+            }
+        }
+        for (const pawn of this.tracked.keys()) {
+            if (!seen.has(pawn)) this.tracked.delete(pawn);
+        }
+    }
+}
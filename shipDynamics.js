@@ -0,0 +1,71 @@
+// shipDynamics.js - Momentum-based ship motion
+// A ship has mass and hull drag, so speed builds up under sail and coasts down without it,
+// and reversing means first stopping. The turning radius grows with speed, and the rudder
+// needs water flowing past it: a ship dead in the water only turns at bare steerage way.
+// stepShipDynamics is a pure function of (state, input, dt, params) so the player, the AI and
+// tests all run exactly the same model.
+//
+// Heading follows the ship pawns: 0 faces -Z, positive turns left (forward = -sin, -cos).
+
+export const DEFAULT_SHIP_PARAMS = {
+    mass: 1.0, // Relative mass - heavier ships take longer to speed up and slow down
+    dragLinear: 0.15, // Hull drag = dragLinear * v + dragQuadratic * v^2
+    dragQuadratic: 0.03,
+    maxSpeed: 8.0,
+    reverseSpeed: 1.5, // Speed reached when backing the sails
+    minTurnRadius: 6.0, // Turning radius at rest...
+    turnRadiusPerSpeed: 1.0, // ...widening by this much per unit of speed
+    steerageSpeed: 0.8, // Water flow the rudder always has (so a stopped ship can still come about slowly)
+    yawResponse: 2.0 // How quickly the turn rate follows the rudder (per second)
+};
+
+const MAX_SUBSTEP = 1 / 30; // Long frames (background tabs) are split so the integration stays stable
+const STOP_SPEED = 0.01; // Below this, an unpowered ship is at rest
+
+// Hull drag force for a signed speed (always opposes motion)
+export function getHullDrag(speed, params = DEFAULT_SHIP_PARAMS) {
+    const magnitude = Math.abs(speed);
+    return Math.sign(speed) * (params.dragLinear * magnitude + params.dragQuadratic * magnitude * magnitude);
+}
+
+// Turning radius at a given speed
+export function getTurnRadius(speed, params = DEFAULT_SHIP_PARAMS) {
+    return params.minTurnRadius + params.turnRadiusPerSpeed * Math.abs(speed);
+}
+
+export function createShipState(x = 0, z = 0, heading = 0) {
+    return { x: x, z: z, heading: heading, speed: 0, yawRate: 0 };
+}
+
+// Advance a ship by dt seconds and return the new state (the input state is not modified).
+// state: { x, z, heading, speed (signed, along the bow), yawRate }
+// input: { drive: speed the sails are pushing toward (negative = backing sails), rudder: -1 (right) .. 1 (left) }
+export function stepShipDynamics(state, input, dt, params = DEFAULT_SHIP_PARAMS) {
+    let { x, z, heading, speed, yawRate } = state;
+    const drive = Math.max(-params.reverseSpeed, Math.min(params.maxSpeed, input.drive || 0));
+    const rudder = Math.max(-1, Math.min(1, input.rudder || 0));
+
+    // The sails push just hard enough that drag balances them at the drive speed
+    const thrust = getHullDrag(drive, params);
+
+    let remaining = Math.max(0, dt);
+    while (remaining > 0) {
+        const h = Math.min(remaining, MAX_SUBSTEP);
+        remaining -= h;
+
+        speed += (thrust - getHullDrag(speed, params)) / params.mass * h;
+        speed = Math.max(-params.maxSpeed, Math.min(params.maxSpeed, speed));
+        if (drive === 0 && Math.abs(speed) < STOP_SPEED) speed = 0;
+
+        // Yaw rate = flow past the rudder / turning radius (steering reverses when going astern)
+        const flow = Math.abs(speed) < params.steerageSpeed ? (speed < 0 ? -params.steerageSpeed : params.steerageSpeed) : speed;
+        const targetYawRate = rudder * flow / getTurnRadius(speed, params);
+        yawRate += (targetYawRate - yawRate) * (1 - Math.exp(-params.yawResponse * h));
+
+        heading += yawRate * h;
+        x -= Math.sin(heading) * speed * h;
+        z -= Math.cos(heading) * speed * h;
+    }
+
+    return { x: x, z: z, heading: heading, speed: speed, yawRate: yawRate };
+}
@@ -1,6 +1,37 @@
 import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
-import { GLTFLoader } from 'https://cdn.skypack.dev/three@0.134.0/examples/jsm/loaders/GLTFLoader.js';
 import { createStar } from './star.js';
+import { waveField } from './waveField.js';
+import { currentField } from './currentField.js';
+import { windSystem } from './windSystem.js';
+import { stepShipDynamics } from './shipDynamics.js';
+import { createBuoyancyState, updateBuoyancy } from './buoyancy.js';
+import { SHIP_CLASSES, DEFAULT_SHIP_CLASS, getShipClass, getShipParams, getHullProfile } from './shipClasses.js';
+import { assetManager } from './assetManager.js';
+import { ShipHull, getGroundingDamage, applyDamageVisuals } from './hullHealth.js';
+import { sweepHullAgainstTerrain, resolveTerrainImpact } from './terrainCollision.js';
+import { updateShipSails } from './sailRig.js';
+import { updateAnchoredShip, ANCHOR_DRAG } from './anchor.js';
+
+// How far the keel reaches below the waterline - water shallower than this grounds the ship
+export const SHIP_DRAFT = 1.5;
+const SHIP_FLOAT_HEIGHT = SHIP_CLASSES[DEFAULT_SHIP_CLASS].waterline; // Pawn origin above the waterline
+
+// Water depth at world x,z (the sampler terrain sweeps run against)
+export function getWaterDepth(x, z) {
+    return waveField.getWaterDepth(x, z);
+}
+
+// Surface a hull rests on at world x,z: the waves, or the seabed plus the draft when aground
+export function getShipWaterline(x, z) {
+    const seabed = waveField.baseLevel - waveField.getWaterDepth(x, z);
+    return Math.max(waveField.getHeight(x, z), seabed + SHIP_DRAFT);
+}
+
+// Pawn height for a ship at world x,z from a single sample (spawning and replicated AI;
+// simulated ships use the multi-point hull in buoyancy.js)
+export function getShipFloatHeight(x, z, waterline = SHIP_FLOAT_HEIGHT) {
+    return getShipWaterline(x, z) + waterline;
+}
 
 function pseudoPerlinNoise(t, seed) {
     const a = Math.sin(t * 1.3 + seed) * 1.7;
@@ -9,54 +40,62 @@ function pseudoPerlinNoise(t, seed) {
     return (a + b + c) / 3;
 }
 
-// Calculate ocean surface height at given x,z coordinates (matches game.js exactly)
-function calculateOceanHeight(x, z) {
-    // Access the global ocean variables from game.js
-    const globalOceanTime = window.globalOceanTime || 0;
-    const globalOceanWaveState = window.globalOceanWaveState || { 
-        amp: 1.0, 
-        speed: 1.0
-    };
-    
-    // Base ocean level (matches game.js)
-    let height = 20.0;
-    
-    // Apply the exact same simple wave calculation as in game.js
-    const t = globalOceanTime;
-    
-    // Simple waves - no storms, no complex multipliers
-    height += Math.sin(0.08 * x + t * 0.6) * 1.0;
-    height += Math.cos(0.07 * z + t * 0.4) * 0.8;
-    height += Math.sin(0.06 * (x + z) + t * 0.2) * 0.5;
-    
-    return height;
+// Tint a ship model's materials toward a player colour (each loaded model has its own materials)
+export function tintShipModel(shipModel, color, amount = 0.2, emissiveIntensity = 0.1) {
+    const colorVector = new THREE.Color(color);
+    shipModel.traverse((child) => {
+        if (child.isMesh && child.material) {
+            if (child.material.color) {
+                child.material.color.lerp(colorVector, amount);
+            }
+            // Slight emissive glow for visibility
+            if (child.material.emissive) {
+                child.material.emissive.copy(colorVector);
+                child.material.emissiveIntensity = emissiveIntensity;
+            }
+        }
+    });
 }
 
-// Calculate ocean surface normal at given x,z coordinates for ship tilting
-function calculateOceanSurfaceNormal(x, z, sampleDistance = 0.1) {
-    // Sample ocean height at nearby points to calculate surface normal
-    const heightCenter = calculateOceanHeight(x, z);
-    const heightRight = calculateOceanHeight(x + sampleDistance, z);
-    const heightForward = calculateOceanHeight(x, z + sampleDistance);
-    
-    // Create vectors for the surface
-    const vectorRight = new THREE.Vector3(sampleDistance, heightRight - heightCenter, 0);
-    const vectorForward = new THREE.Vector3(0, heightForward - heightCenter, sampleDistance);
-    
-    // Calculate normal using cross product (corrected order for upward normal)
-    const normal = new THREE.Vector3();
-    normal.crossVectors(vectorForward, vectorRight); // Swapped order to get upward normal
-    normal.normalize();
-    
-    // Ensure normal points upward (positive Y component)
-    if (normal.y < 0) {
-        normal.negate();
-    }
-    
-    return normal;
+// Load the model for a ship class, scaled and set at the class waterline.
+// Calls onLoad(shipModel), or onError(error) if the model can't be loaded.
+// The file is loaded once (see assetManager.js); every call gets its own copy.
+export function loadShipModel(shipClassId, onLoad, onError = null) {
+    const shipClass = getShipClass(shipClassId);
+    assetManager.loadModel(shipClass.model, (shipModel) => {
+        shipModel.userData.modelPath = shipClass.model;
+        shipModel.scale.setScalar(shipClass.scale);
+        shipModel.position.y = shipClass.modelOffset; // Waterline at the proper level
+        onLoad(shipModel);
+    }, onError);
 }
 
-export function createShipPawn(isAI = false, color = null, showStar = false, onLoadCallback = null) {
+// Procedural stand-in used by every ship whose model failed to load. It fits any class, so a class
+// change rescales it in place (userData.isFallback) rather than loading a model that already failed.
+export function createFallbackShipModel(shipClassId, shipColor) {
+    const shipClass = getShipClass(shipClassId);
+    const shipModel = new THREE.Group();
+    shipModel.userData.isFallback = true;
+    const shipGeometry = createFallbackShipGeometry();
+    const shipMaterial = new THREE.MeshLambertMaterial({ 
+        color: 0x8B4513, // Brown hull color
+        emissive: new THREE.Color(shipColor),
+        emissiveIntensity: 0.05
+    });
+    shipModel.add(new THREE.Mesh(shipGeometry, shipMaterial));
+
+    // Masts, sails and rigging are laid out relative to the pawn origin
+    const details = new THREE.Group();
+    details.position.y = -SHIP_CLASSES[DEFAULT_SHIP_CLASS].modelOffset;
+    addShipDetails(details, shipColor);
+    shipModel.add(details);
+
+    shipModel.scale.setScalar(shipClass.scale);
+    shipModel.position.y = shipClass.modelOffset;
+    return shipModel;
+}
+
+export function createShipPawn(isAI = false, color = null, showStar = false, onLoadCallback = null, shipClassId = DEFAULT_SHIP_CLASS) {
     // Determine color: custom color takes priority, then AI/human default
     let shipColor;
     if (color !== null) {
@@ -66,142 +105,41 @@ export function createShipPawn(isAI = false, color = null, showStar = false, onL
     }
     
     const playerGroup = new THREE.Group();
+    playerGroup.shipColor = shipColor;
     
-    // Create procedural ship geometry as fallback
-    // Removed ship creation logging for performance
-    
-    // Skip placeholder creation - load GLTF directly
-    
-    // For networked players, immediately create a simple ship without trying to load GLTF
+    // For networked players, no callback: the model just appears when it has loaded
     if (color === 0xFF0000) { // If this is a networked player (red color)
-        console.log('Creating simple ship for networked player');
-        console.log('Color check passed:', color, '=== 0xFF0000:', color === 0xFF0000);
-        
-        // Skip creating the simple red box - networked players will use the GLTF model instead
-        console.log('Skipping simple ship creation for networked player - will use GLTF model');
-        
-        // Try to load Ship1.glb for networked players too
-        const loader = new GLTFLoader();
-        loader.load(
-        './Ship1.glb',
-        (gltf) => {
-            console.log('Ship1.glb loaded successfully for networked player');
-            const shipModel = gltf.scene;
-            
-            // Configure and add the GLTF ship
-            shipModel.scale.setScalar(1.0);
-            shipModel.position.y = -0.375; // Position ship so waterline is at proper level (3/8 hull underwater)
-            
-            // Apply color tint to ship materials
-            shipModel.traverse((child) => {
-                if (child.isMesh && child.material) {
-                    child.material = child.material.clone();
-                    const colorVector = new THREE.Color(shipColor);
-                    if (child.material.color) {
-                        child.material.color.lerp(colorVector, 0.2);
-                    }
-                    if (child.material.emissive) {
-                        child.material.emissive.copy(colorVector);
-                        child.material.emissiveIntensity = 0.1;
-                    }
-                }
-            });
-            
+        loadShipModel(shipClassId, (shipModel) => {
+            tintShipModel(shipModel, shipColor);
             playerGroup.add(shipModel);
             playerGroup.shipModel = shipModel;
-            console.log('Ship1.glb added to networked player group');
-        },
-        (progress) => {
-            console.log('Loading Ship1.glb progress for networked player:', (progress.loaded / progress.total) * 100 + '%');
-        },
-        (error) => {
-            console.error('Error loading Ship1.glb for networked player:', error);
-            // If GLTF fails, create a simple non-red placeholder
-            const simpleShipGeometry = new THREE.BoxGeometry(3, 1, 6);
-            const simpleShipMaterial = new THREE.MeshLambertMaterial({ 
-                color: 0x888888, // Gray instead of red
-                emissive: new THREE.Color(0x888888),
-                emissiveIntensity: 0.1
-            });
-            const simpleShip = new THREE.Mesh(simpleShipGeometry, simpleShipMaterial);
-            simpleShip.position.y = -0.375; // Match waterline position
-            playerGroup.add(simpleShip);
-            playerGroup.shipModel = simpleShip;
-            console.log('Gray fallback ship created for networked player');
-        }
-        );
+            playerGroup.setShipClass(playerGroup.shipClass); // Fit to the class (it may have changed while loading)
+        }, () => {
+            const shipModel = createFallbackShipModel(playerGroup.shipClass, shipColor);
+            playerGroup.add(shipModel);
+            playerGroup.shipModel = shipModel;
+        });
     } else {
-        console.log('Not a networked player, using GLTF loader. Color:', color);
-        // Try to load Ship1.glb for local and AI players
-        const loader = new GLTFLoader();
-        loader.load(
-        './Ship1.glb',
-        (gltf) => {
-            console.log('Ship1.glb loaded successfully');
-            const shipModel = gltf.scene;
-            
-            // Configure and add the GLTF ship
-            shipModel.scale.setScalar(1.0); // Adjust scale as needed
-            shipModel.position.y = -0.375; // Position ship so waterline is at proper level (3/8 hull underwater)
-            
-            // Apply color tint to ship materials
-            shipModel.traverse((child) => {
-                if (child.isMesh && child.material) {
-                    // Clone material to avoid affecting other instances
-                    child.material = child.material.clone();
-                    
-                    // Apply color tint based on player type
-                    const colorVector = new THREE.Color(shipColor);
-                    if (child.material.color) {
-                        child.material.color.lerp(colorVector, 0.2); // 20% color tint
-                    }
-                    
-                    // Add slight emissive glow for visibility
-                    if (child.material.emissive) {
-                        child.material.emissive.copy(colorVector);
-                        child.material.emissiveIntensity = 0.1;
-                    }
-                }
-            });
-            
+        // Local and AI players
+        loadShipModel(shipClassId, (shipModel) => {
+            tintShipModel(shipModel, shipColor); // 20% colour tint based on player type
             playerGroup.add(shipModel);
             playerGroup.shipModel = shipModel; // Store reference for animations
-            
-            console.log('Ship1.glb added to player group');
+            playerGroup.setShipClass(playerGroup.shipClass); // Fit to the class (it may have changed while loading)
 
             if (onLoadCallback) {
                 onLoadCallback(playerGroup);
             }
-        },
-        (progress) => {
-            console.log('Loading Ship1.glb progress:', (progress.loaded / progress.total) * 100 + '%');
-        },
-        (error) => {
-            console.error('Error loading Ship1.glb:', error);
+        }, () => {
             console.log('Using procedural ship geometry fallback');
-            
-            // Create the procedural ship hull
-            const shipGeometry = createFallbackShipGeometry();
-            const shipMaterial = new THREE.MeshLambertMaterial({ 
-                color: 0x8B4513, // Brown hull color
-                emissive: new THREE.Color(shipColor),
-                emissiveIntensity: 0.05
-            });
-            const shipMesh = new THREE.Mesh(shipGeometry, shipMaterial);
-            shipMesh.position.y = -0.375; // Match waterline position
-            playerGroup.add(shipMesh);
-            
-            // Add sailing ship details
-            addShipDetails(playerGroup, shipColor);
-            
-            // Store ship reference for animations
-            playerGroup.shipModel = shipMesh;
+            const shipModel = createFallbackShipModel(playerGroup.shipClass, shipColor);
+            playerGroup.add(shipModel);
+            playerGroup.shipModel = shipModel;
 
             if (onLoadCallback) {
                 onLoadCallback(playerGroup);
             }
-        }
-        );
+        });
     }
 
     // Create and add star to the player group (positioned above ship) - only if showStar is true
@@ -226,104 +164,171 @@ export function createShipPawn(isAI = false, color = null, showStar = false, onL
 
     // Add properties for game mechanics
     playerGroup.position.set(0, 20.625, 0); // Start at water level (ocean surface is at y=20) + proper waterline
-    playerGroup.velocity = new THREE.Vector3();
-    playerGroup.maxSpeed = 8;
-    playerGroup.acceleration = 0.15;
-    playerGroup.deceleration = 0.92;
+    playerGroup.velocity = new THREE.Vector3(); // World velocity from the ship dynamics (excludes current drift)
+    playerGroup.speed = 0; // Signed speed along the bow
+    playerGroup.yawRate = 0;
+    playerGroup.buoyancy = createBuoyancyState();
+    playerGroup.hull = new ShipHull(getShipClass(shipClassId).hullStrength); // Health, flooding and sinking
+    playerGroup.damageHandler = null; // Optional (amount, source) that takes over damage (clients send it to the host)
+    playerGroup.terrainContact = false; // Hull resting against terrain this frame
+    playerGroup.sailMode = 'noSail'; // Canvas set (see SAIL_SETTINGS in sailRig.js); replicated to other players
+    playerGroup.anchor = null; // { x, z, depth, rodeLength } while anchored (see anchor.js); replicated
+    playerGroup.onTerrainImpact = null; // Optional callback(impact, contact) for hard impacts
     playerGroup.isAI = isAI;
+    playerGroup.isAground = false;
     
     // Create a forward direction vector that stays with the ship
     playerGroup.forwardVector = new THREE.Vector3(0, 0, -1); // Forward is negative Z in Three.js
 
-    // Simplified update function for ship movement following ocean surface
-    playerGroup.update = function(deltaTime, animationTime, sailSpeed, moveState, camera) {
-        // Calculate the actual ocean surface height at the ship's position
-        // Use the global ocean chunk system if available, otherwise fallback to local calculation
-        let oceanHeight;
-        let surfaceNormal;
-        
-        if (window.oceanChunkSystem) {
-            oceanHeight = window.oceanChunkSystem.getOceanHeightAtPosition(this.position.x, this.position.z);
-            surfaceNormal = window.oceanChunkSystem.getOceanSurfaceNormal(this.position.x, this.position.z);
+    // Take on a ship class: handling, hull and hold from shipClasses.js, and (once the pawn has a
+    // model) the class's model in place of the current one
+    playerGroup.setShipClass = function(classId) {
+        const shipClass = getShipClass(classId);
+        this.shipClass = SHIP_CLASSES[classId] ? classId : DEFAULT_SHIP_CLASS;
+        this.shipClassDef = shipClass;
+        this.dynamics = getShipParams(this.shipClass); // Mass, drag and turning (see shipDynamics.js)
+        this.hullProfile = getHullProfile(this.shipClass); // Buoyancy sample points and springs
+        this.sailPower = shipClass.sailPower;
+        this.modelOffset = shipClass.modelOffset;
+        this.cargoCapacity = shipClass.cargoCapacity;
+        this.hull.setMaxHealth(shipClass.hullStrength);
+
+        if (!this.shipModel) return; // Still loading - the model is fitted to the class when it arrives
+        if (this.shipModel.userData.isFallback || this.shipModel.userData.modelPath === shipClass.model) {
+            // Same model (or the procedural stand-in), different size
+            this.shipModel.scale.setScalar(shipClass.scale);
+            this.shipModel.position.y = shipClass.modelOffset;
         } else {
-            oceanHeight = calculateOceanHeight(this.position.x, this.position.z);
-            surfaceNormal = calculateOceanSurfaceNormal(this.position.x, this.position.z);
-        }
-        
-        const shipFloatHeight = 0.625; // Adjusted so 3/8 of hull is underwater
-        
-        // Ship follows the ocean surface directly - no extra bobbing
-        this.position.y = oceanHeight + shipFloatHeight;
-        
-        // Safety check: ensure ship never goes too far underwater, even during extreme storms
-        const minShipHeight = 18.0; // Minimum Y position to prevent ship from going deep underwater
-        if (this.position.y < minShipHeight) {
-            this.position.y = minShipHeight;
+            loadShipModel(this.shipClass, (shipModel) => {
+                if (this.shipClassDef.model !== shipModel.userData.modelPath) return; // Changed again while loading
+                tintShipModel(shipModel, this.shipColor);
+                shipModel.scale.setScalar(this.shipClassDef.scale);
+                shipModel.position.y = this.shipClassDef.modelOffset;
+                this.replaceShipModel(shipModel);
+            }, () => {
+                if (this.shipClassDef.model !== shipClass.model) return; // Changed again while loading
+                this.replaceShipModel(createFallbackShipModel(this.shipClass, this.shipColor));
+            });
         }
-        
-        // Ship model follows ocean surface normal for realistic tilting
-        if (this.shipModel) {
-            // Convert surface normal to rotation angles
-            // Calculate pitch (rotation around X axis) from the Z component of normal
-            const pitch = Math.asin(-surfaceNormal.z);
-            
-            // Calculate roll (rotation around Z axis) from the X component of normal
-            const roll = Math.asin(surfaceNormal.x);
-            
-            // Apply rotation to ship model with some damping for smoother movement
-            const dampingFactor = 0.1; // Adjust this to make rotation more or less responsive
-            
-            // Update ship model position and rotation
-            this.shipModel.position.y = -0.375; // Fixed waterline position
-            this.shipModel.rotation.x += (pitch - this.shipModel.rotation.x) * dampingFactor;
-            this.shipModel.rotation.z += (roll - this.shipModel.rotation.z) * dampingFactor;
+    };
+
+    // Swap in a new model, keeping the attitude the old one was riding at
+    playerGroup.replaceShipModel = function(shipModel) {
+        shipModel.rotation.copy(this.shipModel.rotation);
+        this.remove(this.shipModel);
+        this.add(shipModel);
+        this.shipModel = shipModel;
+    };
+    playerGroup.setShipClass(shipClassId);
+
+    // Damage the hull (terrain, collisions, weapons), or hand it to whoever owns this ship's health
+    playerGroup.takeDamage = function(amount, source = null) {
+        if (!(amount > 0) || this.hull.sinking) return;
+        if (typeof this.damageHandler === 'function') {
+            this.damageHandler(amount, source);
+        } else {
+            this.hull.damage(amount, source);
         }
-        
-        // Handle movement based on sail mode and controls (only if parameters are provided)
-        if (sailSpeed !== undefined && moveState && camera) {
-            const isAutoSailing = !moveState.left && !moveState.right && !moveState.backward && sailSpeed > 0;
-            
-            if (isAutoSailing) {
-                // Removed frequent auto-sailing logging for performance
-            } else {
-                // Removed frequent manual control logging for performance
-            }
-            
-            // Use the ship's forwardVector and rotate it based on current ship rotation
-            const worldForward = this.forwardVector.clone();
-            worldForward.applyEuler(new THREE.Euler(0, this.rotation.y, 0)); // Apply Y rotation to forward vector
-            worldForward.normalize();
-
-            // Removed frequent forward direction logging for performance
-
-            // Ship movement - automatic forward movement based on sail mode
-            if (sailSpeed > 0) {
-                const movement = worldForward.clone().multiplyScalar(sailSpeed * deltaTime);
-                this.position.add(movement);
-                // Removed frequent movement logging for performance
-            }
+    };
 
-            // New simple turning mechanics with better rotation speed
-            const turnSpeed = 2.0; // Increased turn speed for responsive control
-            if (moveState.left) {
-                // Turn left with consistent speed
-                this.rotation.y += turnSpeed * deltaTime;
-            }
-            if (moveState.right) {
-                // Turn right with consistent speed
-                this.rotation.y -= turnSpeed * deltaTime;
-            }
+    // Simplified update function for ship movement following ocean surface
+    playerGroup.update = function(deltaTime, animationTime, sailSpeed, moveState, camera) {
+        // Remember where this step started so a move into the terrain can be undone
+        const start = { x: this.position.x, z: this.position.z, heading: this.rotation.y };
+
+        // Ocean currents carry the ship along regardless of sail
+        currentField.applyDrift(this.position, deltaTime);
+
+        // Sail and rudder inputs (only if parameters are provided - otherwise the ship coasts)
+        let drive = 0;
+        let rudder = 0;
+        if (sailSpeed !== undefined && moveState && camera && !this.hull.sinking && !this.anchor) {
+            // Shallow water drags on the hull
+            const shallowFactor = waveField.getShallowWaterSpeedFactor(this.position.x, this.position.z);
 
-            // Manual reverse with S key (only when pressed in normal mode)
+            // Sails only drive the ship as well as the heading allows (polar curve x wind strength)
+            const forwardX = -Math.sin(this.rotation.y);
+            const forwardZ = -Math.cos(this.rotation.y);
+            const windFactor = windSystem.getSailFactor(this.position.x, this.position.z, forwardX, forwardZ);
+            drive = sailSpeed * this.sailPower * windFactor * shallowFactor * this.hull.speedFactor; // Water aboard slows her
+
+            // Manual reverse with S key (backing the sails, only with no sail set)
             if (moveState.backward) {
-                const reverseMovement = worldForward.clone().multiplyScalar(-sailSpeed * 0.5 * deltaTime);
-                this.position.add(reverseMovement);
+                drive = -this.dynamics.reverseSpeed * shallowFactor;
             }
 
+            // Analog rudder from the input manager when given, else hard over from left/right
+            if (typeof moveState.rudder === 'number') {
+                rudder = moveState.rudder;
+            } else {
+                if (moveState.left) rudder += 1;
+                if (moveState.right) rudder -= 1;
+            }
+        }
+
+        // Momentum: speed builds and coasts, the turning circle widens with speed
+        const next = stepShipDynamics({
+            x: this.position.x,
+            z: this.position.z,
+            heading: this.rotation.y,
+            speed: this.speed,
+            yawRate: this.yawRate
+        }, { drive: drive, rudder: rudder }, deltaTime, this.dynamics);
+        this.position.x = next.x;
+        this.position.z = next.z;
+        this.rotation.y = next.heading;
+        this.speed = next.speed;
+        this.yawRate = next.yawRate;
+
+        // At anchor the rode takes the way off her and holds the bow (wind and current swing her)
+        if (this.anchor) {
+            this.speed *= Math.exp(-ANCHOR_DRAG * deltaTime);
+            this.yawRate = 0;
+            this.rotation.y = updateAnchoredShip(this, this.rotation.y, deltaTime);
+        }
+
+        // Islands, reefs and sandbars: slow contact grounds the ship, fast contact damages and bounces it
+        this.terrainContact = false;
+        const scrapeSpeed = this.speed; // Way on her before any contact stops her
+        const contact = sweepHullAgainstTerrain(this.hullProfile, SHIP_DRAFT, start, { x: this.position.x, z: this.position.z, heading: this.rotation.y }, getWaterDepth);
+        if (contact) {
+            const impact = resolveTerrainImpact(contact, contact.x, contact.z, contact.heading, this.speed);
+            this.position.x = contact.x;
+            this.position.z = contact.z;
+            this.rotation.y = contact.heading;
+            this.speed = impact.bounceSpeed;
+            this.yawRate = 0;
+            this.terrainContact = impact.grounded;
+            if (!impact.grounded) {
+                this.takeDamage(impact.damage, 'terrain');
+                if (typeof this.onTerrainImpact === 'function') {
+                    this.onTerrainImpact(impact, contact);
+                }
+            }
         }
         
         // Update velocity
-        this.velocity.multiplyScalar(this.deceleration);
+        this.velocity.set(-Math.sin(this.rotation.y) * this.speed, 0, -Math.cos(this.rotation.y) * this.speed);
+
+        // Hull buoyancy: heave, pitch and roll from the water under bow, stern and both sides
+        // (or the seabed if the tide has left the ship aground)
+        this.buoyancy = updateBuoyancy(this.buoyancy, this.hullProfile, this.position.x, this.position.z, this.rotation.y, deltaTime, getShipWaterline);
+        this.isAground = this.terrainContact || waveField.getWaterDepth(this.position.x, this.position.z) < SHIP_DRAFT;
+
+        // Hull: dragging over the seabed chafes it, water comes in through the damage, and a ship
+        // with no hull left settles and goes under
+        if (this.isAground) {
+            this.takeDamage(getGroundingDamage(scrapeSpeed, deltaTime), 'grounding');
+        }
+        this.hull.update(deltaTime);
+        this.position.y = this.buoyancy.heave + this.hullProfile.waterline - this.hull.getWaterlineDrop(this.hullProfile.waterline);
+        if (this.shipModel) {
+            this.shipModel.position.y = this.modelOffset; // Fixed waterline position
+            this.shipModel.rotation.x = this.buoyancy.pitch + this.hull.getPitchOffset();
+            this.shipModel.rotation.z = this.buoyancy.roll + this.hull.getRollOffset();
+            applyDamageVisuals(this.shipModel, this.hull.damageState);
+        }
+        updateShipSails(this, deltaTime);
         
         // No position limits - allow infinite sailing in the ocean world
         // Removed world boundary constraints to enable unlimited exploration
@@ -418,8 +423,8 @@ function addShipDetails(shipGroup, shipColor) {
     foreMast.position.set(0, 2, 1.5);
     shipGroup.add(foreMast);
     
-    // === MAIN SAIL ===
-    const mainSailGeometry = new THREE.PlaneGeometry(2, 2.5);
+    // === MAIN SAIL === (subdivided so it can billow, see sailRig.js)
+    const mainSailGeometry = new THREE.PlaneGeometry(2, 2.5, 6, 6);
     const sailMaterial = new THREE.MeshLambertMaterial({ 
         color: 0xF5F5DC, // Beige
         side: THREE.DoubleSide,
@@ -429,12 +434,14 @@ function addShipDetails(shipGroup, shipColor) {
         emissiveIntensity: 0.02
     });
     const mainSail = new THREE.Mesh(mainSailGeometry, sailMaterial);
+    mainSail.userData.isSail = true;
     mainSail.position.set(0, 3, -0.3);
     shipGroup.add(mainSail);
     
     // === FORE SAIL ===
-    const foreSailGeometry = new THREE.PlaneGeometry(1.5, 2);
+    const foreSailGeometry = new THREE.PlaneGeometry(1.5, 2, 6, 6);
     const foreSail = new THREE.Mesh(foreSailGeometry, sailMaterial);
+    foreSail.userData.isSail = true;
     foreSail.position.set(0, 2.5, 1.2);
     shipGroup.add(foreSail);
     
@@ -450,6 +457,7 @@ function addShipDetails(shipGroup, shipColor) {
     jibGeometry.computeVertexNormals();
     
     const jibSail = new THREE.Mesh(jibGeometry, sailMaterial);
+    jibSail.userData.isSail = true;
     jibSail.position.set(0, 1.5, 2.5);
     shipGroup.add(jibSail);
     
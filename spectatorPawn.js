@@ -1,4 +1,15 @@
 import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
+import { keyBindings, getEventKey } from './keyBindings.js';
+
+// Movement direction -> key binding action
+const SPECTATOR_ACTIONS = {
+    forward: 'spectator_forward',
+    backward: 'spectator_backward',
+    left: 'spectator_left',
+    right: 'spectator_right',
+    up: 'spectator_up',
+    down: 'spectator_down'
+};
 
 export class SpectatorPawn {
     constructor(scene, camera) {
@@ -12,16 +23,20 @@ export class SpectatorPawn {
         this.position = new THREE.Vector3(0, 100, 0);
         this.rotation = new THREE.Euler(0, 0, 0);
 
-        // Movement state - tracks which keys are pressed
+        // Movement state - tracks which keys are pressed (see SPECTATOR_ACTIONS for the bindings)
         this.keys = {
-            forward: false,    // W key
-            backward: false,   // S key
-            left: false,       // A key
-            right: false,      // D key
-            up: false,         // Space key
-            down: false        // Shift key
+            forward: false,    // W by default
+            backward: false,   // S
+            left: false,       // A
+            right: false,      // D
+            up: false,         // Space
+            down: false        // Shift
         };
 
+        // Gamepad state - analog flying (-1..1 each way) and look rate at full stick
+        this.analogMove = { forward: 0, right: 0, up: 0 };
+        this.stickLookSpeed = 2.0; // Radians per second
+
         // Mouse look state
         this.yaw = 0;
         this.pitch = 0;
@@ -71,6 +86,11 @@ export class SpectatorPawn {
             movement.add(up.clone().multiplyScalar(-speed));
         }
 
+        // Gamepad sticks and triggers fly in proportion to how far they're pushed
+        movement.add(forward.clone().multiplyScalar(speed * this.analogMove.forward));
+        movement.add(right.clone().multiplyScalar(speed * this.analogMove.right));
+        movement.add(up.clone().multiplyScalar(speed * this.analogMove.up));
+
         // Apply movement to position and camera
         if (movement.length() > 0) {
             this.position.add(movement);
@@ -85,7 +105,25 @@ export class SpectatorPawn {
         // Update yaw and pitch based on mouse movement
         this.yaw -= mouseX * this.mouseSensitivity;
         this.pitch -= mouseY * this.mouseSensitivity;
+        this.applyLook();
+    }
+
+    // Handle gamepad input: move { forward, right, up } flies, look { x, y } turns the view
+    handleGamepadInput(move, look, deltaTime) {
+        if (!this.active) return;
+
+        this.analogMove.forward = move.forward;
+        this.analogMove.right = move.right;
+        this.analogMove.up = move.up;
 
+        if (look.x !== 0 || look.y !== 0) {
+            this.yaw -= look.x * this.stickLookSpeed * deltaTime;
+            this.pitch -= look.y * this.stickLookSpeed * deltaTime;
+            this.applyLook();
+        }
+    }
+
+    applyLook() {
         // Clamp pitch to prevent camera flipping
         this.pitch = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, this.pitch));
 
@@ -122,8 +160,9 @@ export class SpectatorPawn {
         console.log('[SpectatorPawn] Deactivating...');
         this.active = false;
         
-        // Reset key states
+        // Reset key and stick states
         Object.keys(this.keys).forEach(key => this.keys[key] = false);
+        Object.keys(this.analogMove).forEach(axis => this.analogMove[axis] = 0);
         
         // Remove keyboard event listeners
         document.removeEventListener('keydown', this.handleKeyDown);
@@ -132,59 +171,32 @@ export class SpectatorPawn {
         console.log('[SpectatorPawn] Deactivated, Active:', this.active);
     }
 
-    // Handle key press events
+    // Handle key press events (keys come from the spectator bindings)
     handleKeyDown(event) {
         if (!this.active) return;
-        
-        const key = event.key.toLowerCase();
-        switch (key) {
-            case 'w':
-                this.keys.forward = true;
-                break;
-            case 's':
-                this.keys.backward = true;
-                break;
-            case 'a':
-                this.keys.left = true;
-                break;
-            case 'd':
-                this.keys.right = true;
-                break;
-            case ' ':
-                this.keys.up = true;
-                event.preventDefault(); // Prevent page scroll
-                break;
-            case 'shift':
-                this.keys.down = true;
-                break;
+
+        const direction = this.getKeyDirection(event);
+        if (direction) {
+            this.keys[direction] = true;
+            if (direction === 'up') event.preventDefault(); // Space would scroll the page
         }
     }
 
     // Handle key release events
     handleKeyUp(event) {
         if (!this.active) return;
-        
-        const key = event.key.toLowerCase();
-        switch (key) {
-            case 'w':
-                this.keys.forward = false;
-                break;
-            case 's':
-                this.keys.backward = false;
-                break;
-            case 'a':
-                this.keys.left = false;
-                break;
-            case 'd':
-                this.keys.right = false;
-                break;
-            case ' ':
-                this.keys.up = false;
-                break;
-            case 'shift':
-                this.keys.down = false;
-                break;
+
+        const direction = this.getKeyDirection(event);
+        if (direction) this.keys[direction] = false;
+    }
+
+    // Which movement direction a key is bound to, if any
+    getKeyDirection(event) {
+        const key = getEventKey(event);
+        for (const [direction, action] of Object.entries(SPECTATOR_ACTIONS)) {
+            if (keyBindings.matches(key, action)) return direction;
         }
+        return null;
     }
 
     // Clean up event listeners
@@ -0,0 +1,379 @@
+// stormSystem.js - Deterministic moving storm cells
+// Storms are a pure function of the terrain seed and the synced ocean time, so every peer
+// computes the same storms without any per-frame network traffic. Each storm drifts across
+// the map, raises wave amplitude/frequency under it (via WaveField), blows a cyclonic wind
+// and is drawn as a dark cloud deck with rain.
+//
+// Intensity and wind at a point come from every live storm that can reach that point's spawn
+// cell, never from the viewer's neighbourhood, so peers in different places agree on the sea
+// and forces anywhere. Only the drawn set (and the ocean shader's) is picked around the viewer.
+import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
+import { seededRandom } from './seededRandom.js';
+
+// Storm spawning grid
+const STORM_CELL_SIZE = 3000; // World units per spawn cell
+const STORM_EPOCH = 300; // Ocean-time seconds per spawn roll
+const STORM_SPAWN_CHANCE = 0.35; // Chance per cell per epoch
+const STORM_MIN_LIFETIME = 400;
+const STORM_MAX_LIFETIME = 900;
+const STORM_MIN_SPEED = 1.5; // World units per ocean-time second
+const STORM_MAX_SPEED = 4.0;
+const STORM_MIN_RADIUS = 300;
+const STORM_MAX_RADIUS = 900;
+const STORM_MAX_WIND = 12.0; // Peak wind speed at the storm core
+
+// Spawn cells and epochs whose storms can reach a point: a storm travels at most
+// STORM_MAX_SPEED * STORM_MAX_LIFETIME from its cell and reaches STORM_MAX_RADIUS past that
+const STORM_REACH_CELLS = Math.ceil((STORM_MAX_SPEED * STORM_MAX_LIFETIME + STORM_MAX_RADIUS) / STORM_CELL_SIZE);
+const STORM_LOOKBACK_EPOCHS = Math.ceil(STORM_MAX_LIFETIME / STORM_EPOCH);
+const STORM_CACHE_LIMIT = 20000; // Spawn rolls kept before the cache is dropped
+
+// Drawn set (shared with the ocean shader, so kept small and fixed)
+export const MAX_ACTIVE_STORMS = 8;
+const ACTIVE_RANGE = 6000; // Only storms this close to the viewer are drawn
+
+// Visuals
+const CLOUD_HEIGHT = 140;
+const RAIN_STREAKS = 300;
+const RAIN_TOP = 120;
+const RAIN_BOTTOM = 15;
+
+// Deterministic integer hash for storm cells (same mixing as the terrain hash)
+function hashStormCell(seed, cellX, cellZ, epoch) {
+    let h = seed ^ (cellX * 374761393) ^ (cellZ * 668265263) ^ (epoch * 2246822519);
+    h = (h ^ (h >> 13)) * 1274126177;
+    h = h ^ (h >> 16);
+    return h >>> 0;
+}
+
+// Smooth 0..1 ramp
+function smoothstep(edge0, edge1, x) {
+    const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+}
+
+const _wind = new THREE.Vector2();
+
+export class StormSystem {
+    constructor(scene, seed = 0) {
+        this.scene = scene;
+        this.seed = seed;
+        this.time = 0;
+
+        // Storms drawn around the viewer (nearest first, max MAX_ACTIVE_STORMS)
+        this.activeStorms = [];
+
+        // Candidate storms for the viewer's spawn neighbourhood (rebuilt when cell/epoch changes)
+        this._candidates = [];
+        this._candidateKey = null;
+
+        // Spawn rolls by storm id (null: no storm), and for the current time each storm's state
+        // and the storms reaching each spawn cell (see getStormsAt)
+        this._spawnCache = new Map();
+        this._stormStates = new Map();
+        this._stormsByCell = new Map();
+
+        // Sky darkening under storms
+        this.baseSkyColor = scene && scene.background ? scene.background.clone() : null;
+        this.stormSkyColor = new THREE.Color(0x3a4350);
+
+        this.createVisuals();
+
+        console.log('[StormSystem] Initialized with seed:', seed);
+    }
+
+    // Storms follow the terrain seed so a client re-seeded by the host gets the host's storms
+    setSeed(seed) {
+        if (seed === this.seed) return;
+        this.seed = seed;
+        this._candidateKey = null;
+        this._spawnCache.clear();
+        this._stormStates.clear();
+        this._stormsByCell.clear();
+        console.log('[StormSystem] Storm seed set to:', seed);
+    }
+
+    // Generate the storm (if any) spawned in a cell during an epoch
+    generateStorm(cellX, cellZ, epoch) {
+        const rand = seededRandom(hashStormCell(this.seed || 1, cellX, cellZ, epoch) || 1);
+        if (rand() >= STORM_SPAWN_CHANCE) return null;
+
+        const heading = rand() * Math.PI * 2;
+        const speed = STORM_MIN_SPEED + rand() * (STORM_MAX_SPEED - STORM_MIN_SPEED);
+        return {
+            id: `${cellX},${cellZ},${epoch}`,
+            originX: (cellX + rand()) * STORM_CELL_SIZE,
+            originZ: (cellZ + rand()) * STORM_CELL_SIZE,
+            velX: Math.cos(heading) * speed,
+            velZ: Math.sin(heading) * speed,
+            startTime: (epoch + rand()) * STORM_EPOCH,
+            lifetime: STORM_MIN_LIFETIME + rand() * (STORM_MAX_LIFETIME - STORM_MIN_LIFETIME),
+            radius: STORM_MIN_RADIUS + rand() * (STORM_MAX_RADIUS - STORM_MIN_RADIUS),
+            peakIntensity: 0.6 + rand() * 0.9,
+            spin: rand() < 0.5 ? 1 : -1
+        };
+    }
+
+    // generateStorm, remembered (spawn rolls never change for a seed)
+    getSpawnedStorm(cellX, cellZ, epoch) {
+        const id = `${cellX},${cellZ},${epoch}`;
+        let storm = this._spawnCache.get(id);
+        if (storm === undefined) {
+            if (this._spawnCache.size > STORM_CACHE_LIMIT) this._spawnCache.clear();
+            storm = this.generateStorm(cellX, cellZ, epoch);
+            this._spawnCache.set(id, storm);
+        }
+        return storm;
+    }
+
+    // Where a storm is and how strong at the current time (null before it forms or after it dies)
+    getStormState(storm) {
+        let state = this._stormStates.get(storm.id);
+        if (state !== undefined) return state;
+        state = null;
+        const age = this.time - storm.startTime;
+        if (age >= 0 && age <= storm.lifetime) {
+            // Build up over the first 20% of the lifetime, die out over the last 20%
+            const lifeFraction = age / storm.lifetime;
+            const envelope = smoothstep(0, 0.2, lifeFraction) * (1 - smoothstep(0.8, 1, lifeFraction));
+            state = {
+                id: storm.id,
+                x: storm.originX + storm.velX * age,
+                z: storm.originZ + storm.velZ * age,
+                velX: storm.velX,
+                velZ: storm.velZ,
+                radius: storm.radius,
+                intensity: storm.peakIntensity * envelope,
+                spin: storm.spin
+            };
+        }
+        this._stormStates.set(storm.id, state);
+        return state;
+    }
+
+    // Live storms overlapping the spawn cell containing x,z, in id order so every peer sums them
+    // the same way
+    getStormsAt(x, z) {
+        const cellX = Math.floor(x / STORM_CELL_SIZE);
+        const cellZ = Math.floor(z / STORM_CELL_SIZE);
+        const key = `${cellX},${cellZ}`;
+        let storms = this._stormsByCell.get(key);
+        if (storms) return storms;
+
+        storms = [];
+        const minX = cellX * STORM_CELL_SIZE;
+        const minZ = cellZ * STORM_CELL_SIZE;
+        const epoch = Math.floor(this.time / STORM_EPOCH);
+        for (let e = epoch - STORM_LOOKBACK_EPOCHS; e <= epoch; e++) {
+            for (let cx = cellX - STORM_REACH_CELLS; cx <= cellX + STORM_REACH_CELLS; cx++) {
+                for (let cz = cellZ - STORM_REACH_CELLS; cz <= cellZ + STORM_REACH_CELLS; cz++) {
+                    const storm = this.getSpawnedStorm(cx, cz, e);
+                    if (!storm) continue;
+                    const state = this.getStormState(storm);
+                    if (!state) continue;
+                    const dx = Math.max(minX - state.x, 0, state.x - minX - STORM_CELL_SIZE);
+                    const dz = Math.max(minZ - state.z, 0, state.z - minZ - STORM_CELL_SIZE);
+                    if (dx * dx + dz * dz >= state.radius * state.radius) continue;
+                    storms.push(state);
+                }
+            }
+        }
+        storms.sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+        this._stormsByCell.set(key, storms);
+        return storms;
+    }
+
+    // Collect every storm that could reach the viewer's neighbourhood around time t
+    rebuildCandidates(centerCellX, centerCellZ, epoch) {
+        const maxTravel = STORM_MAX_SPEED * (STORM_MAX_LIFETIME + STORM_EPOCH) + STORM_MAX_RADIUS + ACTIVE_RANGE;
+        const cellRadius = Math.ceil(maxTravel / STORM_CELL_SIZE);
+        const firstEpoch = epoch - Math.ceil(STORM_MAX_LIFETIME / STORM_EPOCH);
+
+        this._candidates = [];
+        for (let e = firstEpoch; e <= epoch; e++) {
+            for (let cx = centerCellX - cellRadius; cx <= centerCellX + cellRadius; cx++) {
+                for (let cz = centerCellZ - cellRadius; cz <= centerCellZ + cellRadius; cz++) {
+                    const storm = this.getSpawnedStorm(cx, cz, e);
+                    if (storm) this._candidates.push(storm);
+                }
+            }
+        }
+    }
+
+    // Advance storms to ocean time t, and pick the ones drawn around the viewer position
+    update(time, viewerPosition) {
+        if (time !== this.time) {
+            this._stormStates.clear();
+            this._stormsByCell.clear();
+        }
+        this.time = time;
+        const centerCellX = Math.floor(viewerPosition.x / STORM_CELL_SIZE);
+        const centerCellZ = Math.floor(viewerPosition.z / STORM_CELL_SIZE);
+        const epoch = Math.floor(time / STORM_EPOCH);
+
+        const key = `${this.seed}:${centerCellX},${centerCellZ}:${epoch}`;
+        if (key !== this._candidateKey) {
+            this._candidateKey = key;
+            this.rebuildCandidates(centerCellX, centerCellZ, epoch);
+        }
+
+        const active = [];
+        for (const storm of this._candidates) {
+            const state = this.getStormState(storm);
+            if (!state) continue;
+            const distance = Math.sqrt((state.x - viewerPosition.x) ** 2 + (state.z - viewerPosition.z) ** 2);
+            if (distance - state.radius > ACTIVE_RANGE) continue;
+            active.push({ state: state, distance: distance });
+        }
+        active.sort((a, b) => (a.distance - b.distance) || (a.state.id < b.state.id ? -1 : 1));
+        this.activeStorms = active.slice(0, MAX_ACTIVE_STORMS).map(entry => entry.state);
+    }
+
+    // Storm intensity (0 = calm, ~1.5 = storm core) at world x,z
+    getIntensityAt(x, z) {
+        let intensity = 0;
+        for (const storm of this.getStormsAt(x, z)) {
+            const dx = x - storm.x;
+            const dz = z - storm.z;
+            const distSq = dx * dx + dz * dz;
+            if (distSq >= storm.radius * storm.radius) continue;
+            const falloff = 1 - smoothstep(0, 1, Math.sqrt(distSq) / storm.radius);
+            intensity += storm.intensity * falloff;
+        }
+        return Math.min(intensity, 2.0);
+    }
+
+    // Storm wind at world x,z: cyclonic swirl with a slight inflow toward the core
+    getWindAt(x, z, target = new THREE.Vector2()) {
+        target.set(0, 0);
+        for (const storm of this.getStormsAt(x, z)) {
+            const dx = x - storm.x;
+            const dz = z - storm.z;
+            const dist = Math.sqrt(dx * dx + dz * dz);
+            if (dist >= storm.radius || dist < 1e-3) continue;
+
+            // Wind peaks around a third of the radius and fades to calm at the edge and in the eye
+            const r = dist / storm.radius;
+            const strength = storm.intensity * STORM_MAX_WIND * smoothstep(0, 0.33, r) * (1 - smoothstep(0.33, 1, r));
+            const tangentX = -dz / dist * storm.spin;
+            const tangentZ = dx / dist * storm.spin;
+            target.x += (tangentX - dx / dist * 0.3) * strength + storm.velX;
+            target.y += (tangentZ - dz / dist * 0.3) * strength + storm.velZ;
+        }
+        return target;
+    }
+
+    // --- VISUALS ---
+
+    // Pool of cloud decks and rain volumes, one per active storm slot
+    createVisuals() {
+        this.visuals = [];
+        if (!this.scene) return;
+
+        const cloudGeometry = new THREE.CylinderGeometry(1, 1, 1, 32, 1, true);
+        const cloudCapGeometry = new THREE.CircleGeometry(1, 32);
+        cloudCapGeometry.rotateX(Math.PI / 2); // Face downward so it is visible from the sea
+
+        for (let i = 0; i < MAX_ACTIVE_STORMS; i++) {
+            const group = new THREE.Group();
+            group.visible = false;
+
+            const cloudMaterial = new THREE.MeshBasicMaterial({
+                color: 0x2b2f36,
+                transparent: true,
+                opacity: 0.0,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            });
+            const cloudWall = new THREE.Mesh(cloudGeometry, cloudMaterial);
+            cloudWall.scale.set(1, 30, 1);
+            cloudWall.position.y = CLOUD_HEIGHT;
+            const cloudCap = new THREE.Mesh(cloudCapGeometry, cloudMaterial);
+            cloudCap.position.y = CLOUD_HEIGHT - 15;
+            group.add(cloudWall);
+            group.add(cloudCap);
+
+            // Rain streaks in unit-radius local space, scaled to the storm radius on X/Z
+            const rainPositions = new Float32Array(RAIN_STREAKS * 6);
+            const rainSeeds = new Float32Array(RAIN_STREAKS * 3);
+            for (let s = 0; s < RAIN_STREAKS; s++) {
+                const angle = Math.random() * Math.PI * 2;
+                const radius = Math.sqrt(Math.random()) * 0.9;
+                rainSeeds[s * 3] = Math.cos(angle) * radius;
+                rainSeeds[s * 3 + 1] = Math.sin(angle) * radius;
+                rainSeeds[s * 3 + 2] = Math.random(); // Fall phase
+            }
+            const rainGeometry = new THREE.BufferGeometry();
+            rainGeometry.setAttribute('position', new THREE.BufferAttribute(rainPositions, 3));
+            const rainMaterial = new THREE.LineBasicMaterial({
+                color: 0x9fb4c8,
+                transparent: true,
+                opacity: 0.0
+            });
+            const rain = new THREE.LineSegments(rainGeometry, rainMaterial);
+            rain.frustumCulled = false;
+            group.add(rain);
+
+            this.scene.add(group);
+            this.visuals.push({ group, cloudWall, cloudCap, cloudMaterial, rain, rainMaterial, rainSeeds });
+        }
+    }
+
+    // Update cloud/rain visuals and sky colour for the current active storms
+    updateVisuals(deltaTime, viewerPosition) {
+        if (!this.scene) return;
+
+        for (let i = 0; i < this.visuals.length; i++) {
+            const visual = this.visuals[i];
+            const storm = this.activeStorms[i];
+            if (!storm || storm.intensity < 0.01) {
+                visual.group.visible = false;
+                continue;
+            }
+
+            visual.group.visible = true;
+            visual.group.position.set(storm.x, 0, storm.z);
+            visual.cloudWall.scale.set(storm.radius, 30, storm.radius);
+            visual.cloudCap.scale.set(storm.radius, storm.radius, 1);
+            visual.cloudMaterial.opacity = Math.min(0.75, storm.intensity * 0.55);
+            visual.rainMaterial.opacity = Math.min(0.6, storm.intensity * 0.45);
+
+            // Rain falls through a fixed column and leans with the storm wind
+            this.getWindAt(storm.x + storm.radius * 0.3, storm.z, _wind);
+            const leanX = _wind.x * 0.15;
+            const leanZ = _wind.y * 0.15;
+            const positions = visual.rain.geometry.attributes.position.array;
+            const fallSpan = RAIN_TOP - RAIN_BOTTOM;
+            for (let s = 0; s < RAIN_STREAKS; s++) {
+                const phase = (visual.rainSeeds[s * 3 + 2] + this.time * 0.8) % 1;
+                const y = RAIN_TOP - phase * fallSpan;
+                const x = visual.rainSeeds[s * 3] * storm.radius;
+                const z = visual.rainSeeds[s * 3 + 1] * storm.radius;
+                positions[s * 6] = x;
+                positions[s * 6 + 1] = y;
+                positions[s * 6 + 2] = z;
+                positions[s * 6 + 3] = x + leanX;
+                positions[s * 6 + 4] = y - 6;
+                positions[s * 6 + 5] = z + leanZ;
+            }
+            visual.rain.geometry.attributes.position.needsUpdate = true;
+        }
+
+        // Darken the sky while the viewer is under a storm
+        if (this.baseSkyColor && this.scene.background && this.scene.background.isColor) {
+            const local = Math.min(1, this.getIntensityAt(viewerPosition.x, viewerPosition.z));
+            this.scene.background.copy(this.baseSkyColor).lerp(this.stormSkyColor, local * 0.8);
+        }
+    }
+
+    // Cleanup method
+    remove() {
+        for (const visual of this.visuals) {
+            this.scene.remove(visual.group);
+            visual.rain.geometry.dispose();
+            visual.rainMaterial.dispose();
+            visual.cloudMaterial.dispose();
+        }
+        this.visuals = [];
+    }
+}
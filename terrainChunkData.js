@@ -0,0 +1,165 @@
+// terrainChunkData.js - Vertex data for one terrain chunk
+// Positions, colours and heights of a chunk's (resolution + 1)^2 vertex grid, as flat typed
+// arrays so a worker can hand them to the main thread without copying (see terrainWorker.js).
+// Pure, like terrainHeight.js: the workers, the main-thread fallback and reseeding all build
+// exactly the same chunk for the same seed.
+//
+// A chunk can also be a coarser level-of-detail tile: level L covers 2^L x 2^L chunks with the
+// same vertex count, so its vertices sit on every 2^L-th lattice point of the full-detail grid.
+// Neighbouring tiles of different levels only agree at those shared points, so every tile hangs
+// a skirt (a strip of vertices dropped straight down from its edge) to hide the gaps between.
+import { generateTerrainHeight } from './terrainHeight.js';
+
+// World coordinate of grid line i (0..resolution) of tile tileIndex at an LOD level along one axis.
+// Level 0 tiles are the chunks themselves; a level L tile spans chunks tileIndex * 2^L onwards.
+export function getChunkVertexCoord(chunkIndex, i, chunkSize, resolution, level = 0) {
+    const size = chunkSize * Math.pow(2, level);
+    return chunkIndex * size + (i / resolution) * size - chunkSize / 2;
+}
+
+// How far a tile's skirt hangs below its edge: deep enough to cover the height a coarser
+// neighbour can miss between shared vertices
+export function getSkirtDepth(chunkSize, level = 0) {
+    return 10 + chunkSize * Math.pow(2, level) * 0.1;
+}
+
+// Grid vertex indices along each edge of a tile (z = 0, z = resolution, x = 0, x = resolution)
+function getEdgeVertexIndices(resolution) {
+    const row = resolution + 1;
+    const edges = [[], [], [], []];
+    for (let t = 0; t <= resolution; t++) {
+        edges[0].push(t);
+        edges[1].push(resolution * row + t);
+        edges[2].push(t * row);
+        edges[3].push(t * row + resolution);
+    }
+    return edges;
+}
+
+// Seabed colour for a generated height, written into out at offset
+export function writeTerrainColor(height, out, offset) {
+    // Height-based coloring to match provided images
+    // Deep water: dark blue, shallow water: blue, low land: green, high land: light gray/white
+    let r, g, b;
+    if (height < -15) {
+        // Deep sand - light gray (#cccccc)
+        r = 0.81; g = 0.80; b = 0.60; // #cfdf98ff
+    }else if (height < -5) {
+        // Deep sand - light gray (#cccccc)
+        r = 0.81; g = 0.87; b = 0.60; // #cfdf98ff
+    }else if (height < 0) {
+        // Deep sand - light gray (#cccccc)
+        r = 0.71; g = 0.69; b = 0.51; // #cccccc
+    }else if (height < 8) {
+        // Deep sand - light gray (#cccccc)
+        r = 0.8; g = 0.8; b = 0.7; // #cccccc
+    } else if (height < 15) {
+        // Deep sand - tan brown (#8c7a52)
+        r = 0.55; g = 0.48; b = 0.32; // #8c7a52
+    } else if (height < 22) {
+        // Deep water - beige (#dfdcb9ff)
+        r = 0.8; g = 0.8; b = 0.7; // #b6b181ff
+    } else if (height < 25.5) {
+        // Shallow water - pale green (#d4dfadff)
+        r = 0.8; g = 0.8; b = 0.7; // #d4dfadff
+    } else if (height < 31.2) {
+        // Shoreline - greenish blue (#00804d)
+        r = 0.0; g = 0.5; b = 0.3; // #00804d
+    } else if (height < 42.0) {
+        // Low land - green (#339933)
+        r = 0.2; g = 0.6; b = 0.2; // #339933
+    } else if (height < 47.0) {
+        // Mid land - gray brown (#807575ff)
+        r = 0.8; g = 0.8; b = 0.7; // #807575ff
+    } else if (height < 50.0) {
+        // High land (peaks) - off white (#575050ff)
+        r = 1.0; g = 1.0; b = 0.9; // #575050ff
+    } else {
+        // High land (peaks) - light gray (#6d6161ff)
+        r = 1.0; g = 1.0; b = 0.9; // #6d6161ff
+    }
+    out[offset] = r;
+    out[offset + 1] = g;
+    out[offset + 2] = b;
+}
+
+// { positions, colors, heights } for a tile (Float32Arrays). Positions and colours hold the grid,
+// row by row along x, then the four skirts; heights holds the grid only.
+export function buildChunkData(chunkX, chunkZ, seed, chunkSize, resolution, level = 0) {
+    const count = (resolution + 1) * (resolution + 1);
+    const skirtCount = 4 * (resolution + 1);
+    const positions = new Float32Array((count + skirtCount) * 3);
+    const colors = new Float32Array((count + skirtCount) * 3);
+    const heights = new Float32Array(count);
+    let i = 0;
+    for (let z = 0; z <= resolution; z++) {
+        const pz = getChunkVertexCoord(chunkZ, z, chunkSize, resolution, level);
+        for (let x = 0; x <= resolution; x++) {
+            const px = getChunkVertexCoord(chunkX, x, chunkSize, resolution, level);
+            const height = generateTerrainHeight(px, pz, seed);
+            positions[i * 3] = px;
+            positions[i * 3 + 1] = height;
+            positions[i * 3 + 2] = pz;
+            writeTerrainColor(height, colors, i * 3);
+            heights[i] = height;
+            i++;
+        }
+    }
+    for (const edge of getEdgeVertexIndices(resolution)) {
+        for (const v of edge) {
+            positions[i * 3] = positions[v * 3];
+            positions[i * 3 + 2] = positions[v * 3 + 2];
+            colors[i * 3] = colors[v * 3];
+            colors[i * 3 + 1] = colors[v * 3 + 1];
+            colors[i * 3 + 2] = colors[v * 3 + 2];
+            i++;
+        }
+    }
+    writeSkirtHeights(positions, resolution, getSkirtDepth(chunkSize, level));
+    return { positions, colors, heights };
+}
+
+// Hang the skirt vertices skirtDepth below the grid's edge heights
+function writeSkirtHeights(positions, resolution, skirtDepth) {
+    let i = (resolution + 1) * (resolution + 1);
+    for (const edge of getEdgeVertexIndices(resolution)) {
+        for (const v of edge) {
+            positions[i * 3 + 1] = positions[v * 3 + 1] - skirtDepth;
+            i++;
+        }
+    }
+}
+
+// Triangle indices shared by every tile of this resolution
+export function buildChunkIndices(resolution) {
+    const indices = new Uint16Array(resolution * resolution * 6 + 4 * resolution * 12);
+    let n = 0;
+    for (let z = 0; z < resolution; z++) {
+        for (let x = 0; x < resolution; x++) {
+            const i0 = z * (resolution + 1) + x;
+            const i1 = z * (resolution + 1) + (x + 1);
+            const i2 = (z + 1) * (resolution + 1) + x;
+            const i3 = (z + 1) * (resolution + 1) + (x + 1);
+            indices[n++] = i0;
+            indices[n++] = i1;
+            indices[n++] = i2;
+            indices[n++] = i1;
+            indices[n++] = i3;
+            indices[n++] = i2;
+        }
+    }
+    // Skirts face both ways: which side a seam is seen from depends on the neighbour
+    let skirt = (resolution + 1) * (resolution + 1);
+    for (const edge of getEdgeVertexIndices(resolution)) {
+        for (let t = 0; t < resolution; t++) {
+            const a = edge[t];
+            const b = edge[t + 1];
+            const a2 = skirt + t;
+            const b2 = skirt + t + 1;
+            indices.set([a, b, a2, b, b2, a2, a, a2, b, b, a2, b2], n);
+            n += 12;
+        }
+        skirt += resolution + 1;
+    }
+    return indices;
+}
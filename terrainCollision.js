@@ -0,0 +1,88 @@
+// terrainCollision.js - Ship versus terrain contacts
+// A ship touches the terrain when any of its hull points (the same points buoyancy samples)
+// would sit in water shallower than its draft. Moves are swept in short steps so fast ships and
+// long frames can't tunnel through thin reefs or trench walls. The check only reads the seabed
+// (seeded terrain) and the tide-synced sea level, so every peer finds the same contacts.
+// The depth sampler is passed in (ships use WaveField.getWaterDepth), keeping this module pure.
+//
+// Response, by speed into the obstacle:
+//   - slow: the ship runs aground and stops
+//   - fast: the hull takes damage and the ship bounces back
+export const GROUNDING_SPEED = 1.5; // Impacts slower than this just ground the ship
+export const IMPACT_DAMAGE_PER_SPEED = 8.0; // Hull damage per unit of impact speed above GROUNDING_SPEED
+export const BOUNCE_RESTITUTION = 0.35; // Fraction of the impact speed the ship rebounds with
+
+const SWEEP_STEP = 1.0; // Maximum distance between checks along a move
+const HULL_REACH = 3.0; // Rough bow distance from the ship origin, for turning sweeps
+
+// Depth under every hull point of a ship at x,z with the given heading (bow toward -Z in ship space)
+function sampleHullDepths(profile, x, z, heading, getDepth, out) {
+    const cos = Math.cos(heading);
+    const sin = Math.sin(heading);
+    for (let i = 0; i < profile.points.length; i++) {
+        const point = profile.points[i];
+        out[i] = getDepth(x + point.x * cos + point.z * sin, z - point.x * sin + point.z * cos);
+    }
+    return out;
+}
+
+// Sweep a move between two poses ({ x, z, heading }) and return the first terrain contact, or null.
+// getDepth(x, z) returns the water depth at a world point.
+// A hull point only collides if it is below the draft AND moving into shallower water, so a
+// grounded ship can always work its way back toward deep water.
+// Returns the last free pose ({ x, z, heading }), the world contact point (pointX, pointZ) and its index.
+export function sweepHullAgainstTerrain(profile, draft, from, to, getDepth) {
+    const dx = to.x - from.x;
+    const dz = to.z - from.z;
+    const turn = to.heading - from.heading;
+    const sweepLength = Math.max(Math.sqrt(dx * dx + dz * dz), Math.abs(turn) * HULL_REACH);
+    const steps = Math.max(1, Math.ceil(sweepLength / SWEEP_STEP));
+    let previous = sampleHullDepths(profile, from.x, from.z, from.heading, getDepth, []);
+    let current = [];
+
+    for (let step = 1; step <= steps; step++) {
+        const x = from.x + dx * step / steps;
+        const z = from.z + dz * step / steps;
+        const heading = from.heading + turn * step / steps;
+        sampleHullDepths(profile, x, z, heading, getDepth, current);
+        for (let i = 0; i < current.length; i++) {
+            if (current[i] < draft && current[i] < previous[i]) {
+                const point = profile.points[i];
+                const cos = Math.cos(heading);
+                const sin = Math.sin(heading);
+                return {
+                    x: from.x + dx * (step - 1) / steps,
+                    z: from.z + dz * (step - 1) / steps,
+                    heading: from.heading + turn * (step - 1) / steps,
+                    pointX: x + point.x * cos + point.z * sin,
+                    pointZ: z - point.x * sin + point.z * cos,
+                    pointIndex: i
+                };
+            }
+        }
+        [previous, current] = [current, previous];
+    }
+    return null;
+}
+
+// Classify a contact for a ship moving at signed speed along heading: how hard it hit the
+// terrain and what happens. Returns { impactSpeed, grounded, damage, bounceSpeed }.
+export function resolveTerrainImpact(contact, shipX, shipZ, heading, speed) {
+    // Only the part of the motion aimed at the contact point counts as impact
+    const toContactX = contact.pointX - shipX;
+    const toContactZ = contact.pointZ - shipZ;
+    const length = Math.sqrt(toContactX * toContactX + toContactZ * toContactZ) || 1;
+    const velocityX = -Math.sin(heading) * speed;
+    const velocityZ = -Math.cos(heading) * speed;
+    const impactSpeed = Math.max(0, (velocityX * toContactX + velocityZ * toContactZ) / length);
+
+    if (impactSpeed < GROUNDING_SPEED) {
+        return { impactSpeed, grounded: true, damage: 0, bounceSpeed: 0 };
+    }
+    return {
+        impactSpeed,
+        grounded: false,
+        damage: (impactSpeed - GROUNDING_SPEED) * IMPACT_DAMAGE_PER_SPEED,
+        bounceSpeed: -speed * BOUNCE_RESTITUTION
+    };
+}
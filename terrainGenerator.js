@@ -1,6 +1,8 @@
 // TerrainGenerator.js - Updated to use unified terrain system
 import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
 import { UnifiedTerrain } from './unifiedTerrain.js';
+import { StormSystem } from './stormSystem.js';
+import { DepthMap } from './depthMap.js';
 
 export class TerrainGenerator {
     constructor(scene, planeSize, planeGeometry, planeMaterial) {
@@ -9,7 +11,11 @@ export class TerrainGenerator {
         // Create unified terrain system
         this.unifiedTerrain = new UnifiedTerrain(scene, 800, 128); // 800x800 units, 128x128 resolution
         
-        // Storm system removed
+        // Deterministic storm cells, seeded from the terrain seed and driven by the synced ocean clock
+        this.stormSystem = new StormSystem(scene, this.unifiedTerrain.terrainSeed);
+
+        // Seabed grid around the viewer so waves shoal and break over shallows
+        this.depthMap = new DepthMap(this.unifiedTerrain);
         
         // For networking compatibility
         this.newPlanes = new Set();
@@ -25,9 +31,28 @@ export class TerrainGenerator {
         this.removedPlanes.clear();
     }
 
-    // updateStormSystem removed
+    // Advance storms to the current ocean time around the viewer
+    updateStormSystem(deltaTime, playerPosition) {
+        // Follow the terrain seed so clients pick up the host's storms once its seed arrives
+        this.stormSystem.setSeed(this.unifiedTerrain.terrainSeed);
+        this.stormSystem.update(window.globalOceanTime || 0, playerPosition);
+        this.stormSystem.updateVisuals(deltaTime, playerPosition);
+    }
+
+    // Storm intensity at a world position (0 = calm)
+    getStormIntensityAtPosition(x, z) {
+        return this.stormSystem.getIntensityAt(x, z);
+    }
 
-    // getStormIntensityAtPosition removed
+    // Recenter the seabed grid on the viewer (rebuilds only when it moves or the terrain is reseeded)
+    updateDepthMap(viewerPosition) {
+        this.depthMap.update(viewerPosition);
+    }
+
+    // Storm wind at a world position (THREE.Vector2 of x/z wind velocity)
+    getStormWindAtPosition(x, z, target) {
+        return this.stormSystem.getWindAt(x, z, target);
+    }
 
     // Remove distant planes (disabled: unified terrain doesn't need this)
     removeDistantPlanes(playerPosition, aiPlayers) {
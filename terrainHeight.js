@@ -0,0 +1,578 @@
+// terrainHeight.js - Seabed and island height for a terrain seed
+// The one definition of the terrain's shape: land masses, mountain ridges, islands, deep spots
+// and trenches. It is a pure function of (x, z, seed), so chunks built on workers or the main
+// thread, the lattice heights read outside loaded chunks (ship physics, the depth grid) and the Node
+// golden tests (tests/terrainHeight.test.js) all see the same terrain.
+// Any change to the output here changes every player's world - update the golden values on purpose.
+import { seededRandom } from './seededRandom.js';
+
+// Deterministic integer hash for seeding
+export function hash2D(seed, x, z) {
+    // Use only integer math for full determinism
+    let h = seed ^ (x * 374761393) ^ (z * 668265263);
+    h = (h ^ (h >> 13)) * 1274126177;
+    h = h ^ (h >> 16);
+    return h >>> 0; // Ensure unsigned
+}
+
+// Smootherstep helper for smooth blending
+function smootherstep(edge0, edge1, x) {
+    x = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+    return x * x * x * (x * (x * 6 - 15) + 10);
+}
+
+// Deterministic fractal noise for natural surface detail
+function deterministicFractalNoise(x, z, octaves, baseFreq, baseAmp, randGen) {
+    let total = 0;
+    let freq = baseFreq;
+    let amp = baseAmp;
+    let phaseX = randGen() * 1000;
+    let phaseZ = randGen() * 1000;
+    for (let i = 0; i < octaves; ++i) {
+        // Each octave uses a different random phase and frequency
+        total += Math.sin((x + phaseX) * freq + randGen() * 10) * Math.cos((z + phaseZ) * freq + randGen() * 10) * amp;
+        freq *= 2.1 + randGen() * 0.3; // Slightly randomize frequency step
+        amp *= 0.45 + randGen() * 0.15; // Slightly randomize amplitude falloff
+        phaseX += randGen() * 1000;
+        phaseZ += randGen() * 1000;
+    }
+    return total;
+}
+
+// Terrain height at world x,z for a seed (no seed: flat, 0 everywhere)
+export function generateTerrainHeight(x, z, seed) {
+    if (!seed) return 0;
+
+    // --- Deterministic very large land mass ---
+    // Place on a coarse grid, rare spawn, deterministic
+    const landMassInterval = 8000;
+    const landMassSize = 5000;
+    const landGridX = Math.round(x / landMassInterval);
+    const landGridZ = Math.round(z / landMassInterval);
+    const landCenterX = landGridX * landMassInterval;
+    const landCenterZ = landGridZ * landMassInterval;
+    const distToLand = Math.sqrt((x - landCenterX) ** 2 + (z - landCenterZ) ** 2);
+    let hasLandMass = false;
+    let landMassBlend = 0;
+    let landMassHeight = 0;
+    // Deterministic spawn: rare, seed-based
+    const landCellSeed = hash2D(seed ^ 0x1A2B3C4D, landGridX, landGridZ);
+    const landCellRand = seededRandom(landCellSeed);
+    if (landCellRand() < 0.08) { // 8% chance per grid cell
+        if (distToLand < landMassSize) {
+            hasLandMass = true;
+            landMassBlend = Math.pow(1 - (distToLand / landMassSize), 2.2);
+            // Large, rolling hills and plateaus
+            const landSeed = hash2D(seed ^ 0x5EEDBEEF, landGridX, landGridZ);
+            const landRand = seededRandom(landSeed);
+            const hill1 = Math.sin((x - landCenterX) * 0.0007 + landRand() * 10) * 60;
+            const hill2 = Math.cos((z - landCenterZ) * 0.0009 + landRand() * 20) * 40;
+            const plateau = Math.max(0, 1 - (distToLand / (landMassSize * 0.7))) * 120;
+            const rough = Math.sin((x - landCenterX) * 0.005 + (z - landCenterZ) * 0.005 + landRand() * 12) * 8;
+            landMassHeight = 80 + hill1 + hill2 + plateau + rough;
+        }
+    }
+
+    // --- Normal terrain, islands, deep spots ---
+    // Multi-scale noise for realistic terrain, seeded
+    let height = 0;
+    const rand = seededRandom(seed + Math.floor(x * 1000 + z * 1000));
+    // --- Mountainous ocean floor regions ---
+    // Deterministic, seed-based placement of mountain regions
+    const mountainSeed = seed ^ 0xA7A7A7A7;
+    // Use a low-frequency noise to modulate mountain presence
+    const mountainPhase = (x * 0.00018 + z * 0.00021) + mountainSeed * 0.000001;
+    const mountainNoise = Math.sin(x * 0.00013 + mountainSeed * 0.0001) * Math.cos(z * 0.00019 + mountainSeed * 0.0002);
+    // Map noise to [0, 1]
+    const mountainFactor = Math.max(0, mountainNoise * 0.5 + 0.5);
+    // Only apply mountains if factor is high enough
+    let mountainBlend = 0;
+    if (mountainFactor > 0.7) {
+        // Mountain region: add large amplitude, multi-frequency ridges
+        const ridge1 = Math.sin(x * 0.008 + z * 0.011 + mountainSeed * 0.1) * 7.5;
+        const ridge2 = Math.cos(x * 0.014 + z * 0.017 + mountainSeed * 0.2) * 5.2;
+        const ridge3 = Math.sin(x * 0.021 + z * 0.019 + mountainSeed * 0.3) * 3.1;
+        // Extra roughness
+        const rough = Math.sin(x * 0.09 + z * 0.07 + mountainSeed * 0.4) * 1.2;
+        // Blend strength based on mountainFactor
+        mountainBlend = Math.pow((mountainFactor - 0.7) / 0.3, 1.5);
+        height += (ridge1 + ridge2 + ridge3 + rough) * mountainBlend;
+    }
+    // Island/deep spot grid
+    const islandInterval = 1000;
+    const islandSize = 600;
+    const gridX = Math.round(x / islandInterval);
+    const gridZ = Math.round(z / islandInterval);
+    const nearestX = gridX * islandInterval;
+    const nearestZ = gridZ * islandInterval;
+    const isOrigin = (gridX === 0 && gridZ === 0);
+    const distToFeature = Math.sqrt((x - nearestX) ** 2 + (z - nearestZ) ** 2);
+    let featureBlend = 0;
+    let featureType = null;
+    let hasIsland = false;
+    let hasDeep = false;
+    let islandType = 0;
+    let islandHeightParams = {};
+    let featureRand = null;
+    if (!isOrigin) {
+        const cellSeed = hash2D(seed, gridX, gridZ);
+        const cellRand = seededRandom(cellSeed);
+        const featureRoll = cellRand();
+        // --- Deterministic density modulation ---
+        // Use a low-frequency, seed-based noise to modulate island density
+        const densitySeed = seed ^ 0xD3A5171;
+        const densityPhase = (gridX * 0.13 + gridZ * 0.17) + densitySeed * 0.000001;
+        const densityNoise = Math.sin(gridX * 0.07 + densitySeed * 0.0001) * Math.cos(gridZ * 0.09 + densitySeed * 0.0002);
+        // Map noise to [0.7, 1.3] for density factor
+        const densityFactor = 1.0 + densityNoise * 0.3;
+        // Base thresholds
+        const deepThreshold = 0.20 * densityFactor;
+        const islandThreshold = 0.86 * densityFactor;
+        if (featureRoll < deepThreshold) {
+            hasDeep = true;
+            featureType = 'deep';
+        } else if (featureRoll < islandThreshold) {
+            hasIsland = true;
+            featureType = 'island';
+            // Remove spire and pillar types
+            const typeRand = cellRand();
+            if (typeRand < 0.18) islandType = 1; // jagged
+            else if (typeRand < 0.36) islandType = 2; // tall
+            else if (typeRand < 0.60) islandType = 4; // wide
+            else if (typeRand < 0.72) islandType = 5; // arch
+            else if (typeRand < 0.86) islandType = 7; // rocky outcrop
+            else if (typeRand < 0.93) islandType = 9; // curvy wide island
+            else islandType = 8; // cliff/overhang
+            islandHeightParams = {
+                base: 10 + cellRand() * 20,
+                jagged: cellRand() * 10 + 5,
+                tall: 20 + cellRand() * 30,
+                wide: 1.2 + cellRand() * 1.5,
+                arch: 10 + cellRand() * 10,
+                rocky: 8 + cellRand() * 12,
+                cliff: 18 + cellRand() * 22,
+                noise: cellRand() * 2.5 + 0.5
+            };
+            featureRand = cellRand;
+        }
+    }
+    // Main deep spot at 0,0 for spawn
+    const mainDeepSpotRadius = 300;
+    const mainDeepDensitySeed = seed ^ 0xDEEFACE;
+    const mainDeepDensityNoise = Math.sin(0 * 0.07 + mainDeepDensitySeed * 0.0001) * Math.cos(0 * 0.09 + mainDeepDensitySeed * 0.0002);
+    const mainDeepDensityFactor = 1.0 + mainDeepDensityNoise * 0.3;
+    const distToMainDeep = Math.sqrt(x * x + z * z);
+    let mainDeepBlend = 0;
+    if (distToMainDeep < mainDeepSpotRadius * mainDeepDensityFactor) {
+        mainDeepBlend = 1 - (distToMainDeep / (mainDeepSpotRadius * mainDeepDensityFactor));
+    }
+    // Deep spot height
+    let deepHeight = -10.0 + Math.sin(x * 0.002) * Math.cos(z * 0.002) * 0.5 + (rand() - 0.5) * 0.1;
+    // Deep spot blending
+    let deepBlend = 0;
+    if (hasDeep && distToFeature < islandSize) {
+        featureBlend = 1 - (distToFeature / islandSize);
+        deepBlend = smootherstep(0, 1, featureBlend);
+    }
+    // Island heights
+    let islandBlend = 0;
+    let islandHeight = 0;
+    if (hasIsland && distToFeature < islandSize) {
+        featureBlend = 1 - (distToFeature / islandSize);
+        islandBlend = smootherstep(0, 1, featureBlend);
+        // Use a unique, deterministic PRNG for each island
+        const islandSeed = hash2D(seed ^ 0xA1A1A1, gridX, gridZ);
+        const localRand = seededRandom(islandSeed);
+        // --- Deterministic island shape filter to break symmetry ---
+        // Generate deterministic shape parameters
+        const shapeSkewAngle = localRand() * Math.PI * 2; // 0 - 2PI
+        const shapeSkewStrength = 0.18 + localRand() * 0.32; // 0.18 - 0.5
+        const shapeWarpFreq = 0.001 + localRand() * 0.003; // 0.001 - 0.004
+        const shapeWarpAmp = 30 + localRand() * 60; // 30 - 90
+        const shapeNoiseFreq = 0.012 + localRand() * 0.018; // 0.012 - 0.03
+        const shapeNoiseAmp = 8 + localRand() * 18; // 8 - 26
+        // Skew and warp the (x, z) coordinates deterministically for this island
+        let dx = x - nearestX;
+        let dz = z - nearestZ;
+        // Skew: rotate and stretch
+        const skewedX = dx + Math.sin(shapeSkewAngle) * dz * shapeSkewStrength;
+        const skewedZ = dz + Math.cos(shapeSkewAngle) * dx * shapeSkewStrength;
+        // Warp: add a wavy offset
+        const warpedX = skewedX + Math.sin(skewedZ * shapeWarpFreq) * shapeWarpAmp;
+        const warpedZ = skewedZ + Math.cos(skewedX * shapeWarpFreq) * shapeWarpAmp;
+        // Extra noise: add deterministic noise to the height
+        const shapeNoise = Math.sin(skewedX * shapeNoiseFreq + localRand() * 10) * Math.cos(skewedZ * shapeNoiseFreq + localRand() * 10) * shapeNoiseAmp;
+
+        const noiseRand = seededRandom(islandSeed ^ 0xBADA55);
+        const fractalNoise = deterministicFractalNoise(warpedX, warpedZ, 4, 0.012 + noiseRand() * 0.01, 7 + noiseRand() * 5, noiseRand);
+        // Randomize parameters for each island
+        const freq1 = 0.008 + localRand() * 0.012; // 0.008 - 0.02
+        const freq2 = 0.05 + localRand() * 0.09;   // 0.05 - 0.14
+        const freq3 = 0.1 + localRand() * 0.12;    // 0.1 - 0.22
+        const amp1 = 8 + localRand() * 16;         // 8 - 24
+        const amp2 = 10 + localRand() * 18;        // 10 - 28
+        const amp3 = 12 + localRand() * 20;        // 12 - 32
+        const noiseAmp = 2 + localRand() * 6;      // 2 - 8
+        const blendCurve = 0.5 + localRand() * 1.2; // 0.5 - 1.7
+        if (islandType === 1) {
+            islandHeight = islandHeightParams.base + islandHeightParams.jagged
+                + Math.sin(warpedX * freq1) * Math.cos(warpedZ * freq1) * (amp1 * 0.35)
+                + Math.sin(warpedX * freq2 + warpedZ * freq3) * (amp2 * 0.25)
+                + Math.abs(Math.sin(warpedX * freq3) * Math.cos(warpedZ * freq3)) * (amp3 * 0.18)
+                + (localRand() - 0.5) * (noiseAmp * 0.5)
+                + shapeNoise * 0.7
+                + fractalNoise;
+        } else if (islandType === 2) {
+            islandHeight = islandHeightParams.tall
+                + Math.sin(warpedX * (freq1 * 0.5)) * Math.cos(warpedZ * (freq1 * 0.5)) * (amp1 * 0.28)
+                + Math.abs(Math.sin(warpedX * (freq2 * 0.4)) * Math.cos(warpedZ * (freq2 * 0.4))) * (amp2 * 0.22)
+                + (localRand() - 0.5) * (noiseAmp * 0.3)
+                + shapeNoise * 0.7
+                + fractalNoise;
+        } else if (islandType === 3) {
+            // Simple small island: low, round, with some noise
+            const smallRadius = 90 + localRand() * 30;
+            const dist = Math.sqrt(dx * dx + dz * dz);
+            let base = islandHeightParams.base * 0.5 + 4;
+            let mask = Math.max(0, 1 - (dist / smallRadius));
+            let noise = Math.sin(dx * 0.07 + localRand() * 10) * Math.cos(dz * 0.07 + localRand() * 10) * 2;
+            noise += (localRand() - 0.5) * 1.2;
+            islandHeight = base * mask + noise * mask + shapeNoise * 0.3 + fractalNoise * 0.5;
+            islandBlend = Math.pow(islandBlend, blendCurve * 0.8);
+        } else if (islandType === 4) {
+            islandHeight = islandHeightParams.base
+                + Math.sin(warpedX * (freq1 * 0.2)) * Math.cos(warpedZ * (freq1 * 0.2)) * (amp1 * 0.08)
+                + Math.sin(warpedX * (freq2 * 0.5)) * Math.cos(warpedZ * (freq2 * 0.5)) * (amp2 * 0.04)
+                + (localRand() - 0.5) * (noiseAmp * 0.08)
+                + shapeNoise * 0.7
+                + fractalNoise;
+            islandBlend = Math.pow(islandBlend, blendCurve);
+        } else if (islandType === 9) {
+            // Curvy wide island: copy of wide, but with curvy, organic noise
+            let base = islandHeightParams.base;
+            let wide = islandHeightParams.wide;
+            // Use sin/cos with phase shifts and nonlinear combinations for curvy shapes
+            let curveNoise = Math.sin(warpedX * freq1 * 0.22 + Math.cos(warpedZ * freq1 * 0.18)) * (amp1 * 0.09);
+            curveNoise += Math.cos(warpedZ * freq2 * 0.51 + Math.sin(warpedX * freq2 * 0.47)) * (amp2 * 0.05);
+            curveNoise += Math.sin((warpedX + warpedZ) * freq3 * 0.33 + Math.cos(warpedX * freq3 * 0.29)) * (amp3 * 0.04);
+            // Add some nonlinear blending for extra curves
+            curveNoise += Math.sin(warpedX * 0.021 + warpedZ * 0.017) * Math.cos(warpedZ * 0.019 + warpedX * 0.013) * 2.2;
+            curveNoise += Math.sin(warpedX * 0.09 + warpedZ * 0.11) * Math.sin(warpedZ * 0.07 + warpedX * 0.05) * 1.1;
+            // Add deterministic noise
+            curveNoise += (localRand() - 0.5) * (noiseAmp * 0.09);
+            islandHeight = base
+                + wide * 0.9
+                + curveNoise
+                + shapeNoise * 0.7
+                + fractalNoise;
+            islandBlend = Math.pow(islandBlend, blendCurve * 0.95);
+        } else if (islandType === 5) {
+            const archOffset = 100 + localRand() * 60;
+            const archSpread = 60 + localRand() * 40;
+            const arch1 = Math.exp(-((warpedX - archOffset) ** 2 + warpedZ ** 2) / (2 * archSpread ** 2)) * islandHeightParams.arch;
+            const arch2 = Math.exp(-((warpedX + archOffset) ** 2 + warpedZ ** 2) / (2 * archSpread ** 2)) * islandHeightParams.arch;
+            islandHeight = arch1 + arch2
+                + Math.sin(warpedX * freq1) * Math.cos(warpedZ * freq1) * (amp1 * 0.08)
+                + (localRand() - 0.5) * (noiseAmp * 0.2)
+                + shapeNoise * 0.7
+                + fractalNoise;
+        } else if (islandType === 6) {
+            // Removed spire type
+        } else if (islandType === 7) {
+            // Rocky outcrop: high-frequency, moderate amplitude, localized
+            const outcropFreq = 0.09 + localRand() * 0.07;
+            const outcropAmp = islandHeightParams.rocky;
+            const outcropMask = Math.exp(-((warpedX) ** 2 + (warpedZ) ** 2) / (2 * 120 ** 2));
+            let rocky = Math.sin(warpedX * outcropFreq + localRand() * 10) * Math.cos(warpedZ * outcropFreq + localRand() * 10) * outcropAmp;
+            rocky += Math.sin(warpedX * outcropFreq * 1.7 + warpedZ * outcropFreq * 1.3 + localRand() * 10) * outcropAmp * 0.5;
+            rocky += (localRand() - 0.5) * outcropAmp * 0.2;
+            // Add some vertical spikes
+            rocky += Math.abs(Math.sin(warpedX * 0.23 + warpedZ * 0.19)) * outcropAmp * 0.7;
+            islandHeight = islandHeightParams.base
+                + rocky * outcropMask
+                + shapeNoise * 3.5
+                + fractalNoise * 3.7;
+        } else if (islandType === 8) {
+            // Cliff/overhang: SDF-based vertical wall, with gentler overhang
+            
+        }
+    }
+    // Normal terrain height
+    let normalHeight = 0;
+    normalHeight += Math.sin(x * 0.01) * Math.cos(z * 0.01) * 3.0;
+    normalHeight += Math.sin(x * 0.015 + z * 0.01) * 2.0;
+    normalHeight += Math.sin(x * 0.03) * Math.cos(z * 0.025) * 1.5;
+    normalHeight += Math.cos(x * 0.025 + z * 0.035) * 1.2;
+    normalHeight += Math.sin(x * 0.08) * Math.cos(z * 0.06) * 0.6;
+    normalHeight += Math.sin(x * 0.05 + z * 0.07) * 0.8;
+    normalHeight += (rand() - 0.5) * 0.5;
+
+    // --- Blend all features except trenches ---
+    if (hasLandMass && landMassBlend > 0) {
+        height = landMassHeight * landMassBlend + normalHeight * (1 - landMassBlend);
+    } else if (mainDeepBlend > 0) {
+        height = deepHeight * mainDeepBlend + normalHeight * (1 - mainDeepBlend);
+    } else if (deepBlend > 0) {
+        height = deepHeight * deepBlend + normalHeight * (1 - deepBlend);
+    } else if (islandBlend > 0) {
+        height = islandHeight * islandBlend + normalHeight * (1 - islandBlend);
+    } else {
+        height = normalHeight;
+    }
+
+    // --- Apply trenches LAST, with random (deterministic) size/spacing/placement ---
+    // Trench centers are placed on a coarse grid, but their parameters (size, angle, etc) are fully random and deterministic
+    // For each (x,z), check all nearby trench centers and blend the deepest result
+    // Prevent trenches from cutting through land mass
+    let trenchFinalBlend = 0;
+    let trenchFinalDepth = height;
+    if (hasLandMass && landMassBlend > 0.5) {
+        // If inside land mass, skip trench logic
+        return height;
+    }
+    const trenchGrid = 1200; // Trench centers every 1200 units (not aligned to islands)
+    const trenchSearchRadius = 2; // Check +/-2 grid cells for influence
+    // First, apply trenches
+    for (let tx = -trenchSearchRadius; tx <= trenchSearchRadius; ++tx) {
+        for (let tz = -trenchSearchRadius; tz <= trenchSearchRadius; ++tz) {
+            // Trench center position
+            const trenchCenterX = Math.floor((x + tx * trenchGrid) / trenchGrid) * trenchGrid;
+            const trenchCenterZ = Math.floor((z + tz * trenchGrid) / trenchGrid) * trenchGrid;
+            // Deterministic PRNG for this trench center
+            const trenchSeed = hash2D(seed ^ 0xBEEFCAFE, trenchCenterX, trenchCenterZ);
+            const trenchRand = seededRandom(trenchSeed);
+            // Deterministic density modulation for trenches
+            const trenchDensitySeed = seed ^ 0x7A7A7A7;
+            const trenchDensityNoise = Math.sin(trenchCenterX * 0.00013 + trenchDensitySeed * 0.0001) * Math.cos(trenchCenterZ * 0.00019 + trenchDensitySeed * 0.0002);
+            const trenchDensityFactor = 1.0 + trenchDensityNoise * 0.3;
+            // Only spawn a trench if random threshold is met, modulated by density
+            if (trenchRand() < 0.33 * trenchDensityFactor) {
+                // Trench parameters: angle, length, width, depth, all deterministic
+                const angle = trenchRand() * Math.PI * 2;
+                const length = 1200 + trenchRand() * 4000; // 1200-5200 units
+                const width = 80 + trenchRand() * 320; // 80-400 units
+                // Up to 10x deeper trenches, variable and natural
+                const baseDepth = -18 - trenchRand() * 32;
+                // Deterministic noise factor for trench depth (0.5 to 1.5)
+                const depthNoise = 0.5 + Math.abs(Math.sin(trenchCenterX * 0.00021 + trenchCenterZ * 0.00017 + trenchSeed * 0.00001)) * 1.0;
+                const depth = baseDepth * (8 + depthNoise * 2); // 8x to 10x deeper, variable
+                // Project (x,z) onto trench axis
+                const dx = x - trenchCenterX;
+                const dz = z - trenchCenterZ;
+                let along = dx * Math.cos(angle) + dz * Math.sin(angle);
+                let across = -dx * Math.sin(angle) + dz * Math.cos(angle);
+                // --- Enhanced natural path: More curves, mountain-like roughness, and rare forking ---
+                // Add extra layers of curves for more organic shape
+                const curveAmp1 = 80 + trenchRand() * 100;
+                const curveFreq1 = 0.00035 + trenchRand() * 0.0007;
+                const curveAmp2 = 20 + trenchRand() * 40;
+                const curveFreq2 = 0.0007 + trenchRand() * 0.0015;
+                const curveAmp3 = 8 + trenchRand() * 16;
+                const curveFreq3 = 0.001 + trenchRand() * 0.002;
+                // Extra curves for more bending
+                const curveAmp4 = 40 + trenchRand() * 60;
+                const curveFreq4 = 0.0015 + trenchRand() * 0.0025;
+                const curveAmp5 = 16 + trenchRand() * 24;
+                const curveFreq5 = 0.0025 + trenchRand() * 0.0035;
+                // Local noise for extra wiggle
+                const localNoiseSeed = hash2D(seed ^ 0xF00DF00D, Math.floor(x), Math.floor(z));
+                const localNoiseRand = seededRandom(localNoiseSeed);
+                const localWiggle = (localNoiseRand() - 0.5) * 6;
+                // Path offset: more curves and bends
+                const curveOffset =
+                    Math.sin(along * curveFreq1 + trenchRand() * 10) * curveAmp1 +
+                    Math.cos(along * curveFreq2 + trenchRand() * 20) * curveAmp2 +
+                    Math.sin(along * curveFreq3 + trenchRand() * 30) * curveAmp3 +
+                    Math.sin(along * curveFreq4 + trenchRand() * 40) * curveAmp4 +
+                    Math.cos(along * curveFreq5 + trenchRand() * 50) * curveAmp5 +
+                    Math.sin((along + across) * 0.001 + trenchRand() * 5) * 22 +
+                    Math.cos((along - across) * 0.0012 + trenchRand() * 7) * 16 +
+                    localWiggle;
+                // Rare forking: sometimes a trench splits into two
+                let forkOffset = 0;
+                if (trenchRand() < 0.08) {
+                    // Fork angle and offset
+                    const forkAngle = angle + (trenchRand() < 0.5 ? Math.PI / 4 : -Math.PI / 4);
+                    const forkAlong = dx * Math.cos(forkAngle) + dz * Math.sin(forkAngle);
+                    const forkCurve = Math.sin(forkAlong * 0.001 + trenchRand() * 5) * 30;
+                    if (Math.abs(forkAlong) < length * 0.4) {
+                        forkOffset = forkCurve;
+                    }
+                }
+                across = across - curveOffset + forkOffset;
+                // Add mountain-like roughness to trench floor
+                const trenchMountainSeed = trenchSeed ^ 0xA7A7A7A7;
+                const trenchMountainPhase = (x * 0.00018 + z * 0.00021) + trenchMountainSeed * 0.000001;
+                const trenchMountainNoise = Math.sin(x * 0.00013 + trenchMountainSeed * 0.0001) * Math.cos(z * 0.00019 + trenchMountainSeed * 0.0002);
+                const trenchMountainFactor = Math.max(0, trenchMountainNoise * 0.5 + 0.5);
+                let trenchMountainBlend = 0;
+                if (trenchMountainFactor > 0.6) {
+                    const ridge1 = Math.sin(x * 0.008 + z * 0.011 + trenchMountainSeed * 0.1) * 5.5;
+                    const ridge2 = Math.cos(x * 0.014 + z * 0.017 + trenchMountainSeed * 0.2) * 3.2;
+                    const ridge3 = Math.sin(x * 0.021 + z * 0.019 + trenchMountainSeed * 0.3) * 2.1;
+                    const rough = Math.sin(x * 0.09 + z * 0.07 + trenchMountainSeed * 0.4) * 0.8;
+                    trenchMountainBlend = Math.pow((trenchMountainFactor - 0.6) / 0.4, 1.3);
+                    // Add to trench depth (not height)
+                    trenchFinalDepth -= (ridge1 + ridge2 + ridge3 + rough) * trenchMountainBlend;
+                }
+                // Trench width and depth variation along path (less noise)
+                const trenchWidth = width
+                    + Math.sin(along * 0.001 + trenchRand() * 5) * width * 0.12
+                    + Math.cos(along * 0.0012 + trenchRand() * 7) * width * 0.05
+                    + (localNoiseRand() - 0.5) * 4;
+                const trenchLength = length * (0.98 + (localNoiseRand() - 0.5) * 0.03);
+                // Blend: strong in center, fades at edges (even softer, more natural)
+                if (Math.abs(along) < trenchLength / 2 && Math.abs(across) < trenchWidth) {
+                    const core = 1 - Math.abs(across) / trenchWidth;
+                    // Soft falloff for trench ends using smootherstep
+                    const endBlend = smootherstep(0, 1, 1 - Math.abs(along) / (trenchLength / 2));
+                    // Combine core and end blend for final blend strength
+                    const blend = Math.pow(smootherstep(0, 1, core), 0.18) * endBlend;
+                    // Rocky outcrops, but even less spiky
+                    const rockAmp = 2 + trenchRand() * 3;
+                    let rock = 0;
+                    rock += Math.sin(x * 0.011 + trenchRand() * 10) * Math.cos(z * 0.013 + trenchRand() * 8) * rockAmp * 0.18;
+                    rock += Math.sin(x * 0.003 + z * 0.005 + trenchRand() * 20) * (rockAmp * 0.08);
+                    rock += (trenchRand() - 0.5) * rockAmp * 0.02;
+                    // Depth variation along trench (slightly reduced)
+                    const alongNorm = (along + trenchLength / 2) / trenchLength;
+                    const depthVar = Math.sin(alongNorm * Math.PI * 2 + trenchRand() * 6.28) * 2.5
+                        + Math.cos(alongNorm * Math.PI * 4 + trenchRand() * 12.56) * 1.1;
+                    // Final trench depth
+                    const trenchDepth = depth + rock * blend + depthVar;
+                    const blended = trenchDepth * blend + trenchFinalDepth * (1 - blend);
+                    // If this trench is deeper at this point, use it
+                    if (blend > trenchFinalBlend || blended < trenchFinalDepth) {
+                        trenchFinalBlend = blend;
+                        trenchFinalDepth = blended;
+                    }
+                }
+            // --- Second trench type: smaller, skinnier, snaking ---
+            const snakeTrenchSeed = hash2D(seed ^ 0xDEADBEEF, trenchCenterX, trenchCenterZ);
+            const snakeTrenchRand = seededRandom(snakeTrenchSeed);
+            // Lower density for snaking trenches
+            if (snakeTrenchRand() < 0.18 * trenchDensityFactor) {
+                // Smaller, skinnier, super unique snaking trench parameters
+                const angle = snakeTrenchRand() * Math.PI * 2;
+                const length = 600 + snakeTrenchRand() * 1200; // 600-1800 units
+                const width = 30 + snakeTrenchRand() * 60; // 30-90 units
+                const baseDepth = -10 - snakeTrenchRand() * 18;
+                // Deterministic noise factor for trench depth (0.5 to 1.2)
+                const depthNoise = 0.5 + Math.abs(Math.sin(trenchCenterX * 0.00031 + trenchCenterZ * 0.00027 + snakeTrenchSeed * 0.00003)) * 0.7;
+                const depth = baseDepth * (4 + depthNoise * 1.2); // 4x to 5.2x deeper, variable
+                // Project (x,z) onto trench axis
+                const dx = x - trenchCenterX;
+                const dz = z - trenchCenterZ;
+                let along = dx * Math.cos(angle) + dz * Math.sin(angle);
+                let across = -dx * Math.sin(angle) + dz * Math.cos(angle);
+                // --- Super unique snaking path: multiple curves, twists, bends, and local changes ---
+                // Add more layers of curves and twists for uniqueness
+                const curveAmp1 = 60 + snakeTrenchRand() * 60;
+                const curveFreq1 = 0.0007 + snakeTrenchRand() * 0.0012;
+                const curveAmp2 = 18 + snakeTrenchRand() * 22;
+                const curveFreq2 = 0.0012 + snakeTrenchRand() * 0.0021;
+                const curveAmp3 = 7 + snakeTrenchRand() * 9;
+                const curveFreq3 = 0.002 + snakeTrenchRand() * 0.003;
+                // Extra unique curves
+                const curveAmp4 = 30 + snakeTrenchRand() * 40;
+                const curveFreq4 = 0.003 + snakeTrenchRand() * 0.004;
+                const curveAmp5 = 12 + snakeTrenchRand() * 18;
+                const curveFreq5 = 0.004 + snakeTrenchRand() * 0.005;
+                // Local noise for extra wiggle
+                const localNoiseSeed = hash2D(seed ^ 0xF00DF00D, Math.floor(x), Math.floor(z));
+                const localNoiseRand = seededRandom(localNoiseSeed);
+                const localWiggle = (localNoiseRand() - 0.5) * 3;
+                // Path offset: super snaking and unique
+                const curveOffset =
+                    Math.sin(along * curveFreq1 + snakeTrenchRand() * 10) * curveAmp1 +
+                    Math.cos(along * curveFreq2 + snakeTrenchRand() * 20) * curveAmp2 +
+                    Math.sin(along * curveFreq3 + snakeTrenchRand() * 30) * curveAmp3 +
+                    Math.sin(along * curveFreq4 + snakeTrenchRand() * 40) * curveAmp4 +
+                    Math.cos(along * curveFreq5 + snakeTrenchRand() * 50) * curveAmp5 +
+                    Math.sin((along + across) * 0.001 + snakeTrenchRand() * 5) * 18 +
+                    Math.cos((along - across) * 0.0012 + snakeTrenchRand() * 7) * 12 +
+                    localWiggle;
+                // Add local twists and bends
+                const twist = Math.sin(along * 0.002 + snakeTrenchRand() * 8) * 22;
+                const bend = Math.cos(across * 0.002 + snakeTrenchRand() * 6) * 14;
+                across = across - curveOffset + twist + bend;
+                // Trench width and depth variation along path
+                const trenchWidth = width
+                    + Math.sin(along * 0.001 + snakeTrenchRand() * 5) * width * 0.09
+                    + Math.cos(along * 0.0012 + snakeTrenchRand() * 7) * width * 0.04
+                    + (localNoiseRand() - 0.5) * 2;
+                const trenchLength = length * (0.98 + (localNoiseRand() - 0.5) * 0.03);
+                // Blend: strong in center, fades at edges
+                if (Math.abs(along) < trenchLength / 2 && Math.abs(across) < trenchWidth) {
+                    const core = 1 - Math.abs(across) / trenchWidth;
+                    const endBlend = smootherstep(0, 1, 1 - Math.abs(along) / (trenchLength / 2));
+                    const blend = Math.pow(smootherstep(0, 1, core), 0.22) * endBlend;
+                    // Rocky outcrops, but less pronounced
+                    const rockAmp = 1.2 + snakeTrenchRand() * 1.8;
+                    let rock = 0;
+                    rock += Math.sin(x * 0.011 + snakeTrenchRand() * 10) * Math.cos(z * 0.013 + snakeTrenchRand() * 8) * rockAmp * 0.12;
+                    rock += Math.sin(x * 0.003 + z * 0.005 + snakeTrenchRand() * 20) * (rockAmp * 0.05);
+                    rock += (snakeTrenchRand() - 0.5) * rockAmp * 0.01;
+                    // Depth variation along trench
+                    const alongNorm = (along + trenchLength / 2) / trenchLength;
+                    const depthVar = Math.sin(alongNorm * Math.PI * 2 + snakeTrenchRand() * 6.28) * 1.2
+                        + Math.cos(alongNorm * Math.PI * 4 + snakeTrenchRand() * 12.56) * 0.6;
+                    // Final trench depth
+                    const trenchDepth = depth + rock * blend + depthVar;
+                    const blended = trenchDepth * blend + trenchFinalDepth * (1 - blend);
+                    // If this trench is deeper at this point, use it
+                    if (blend > trenchFinalBlend || blended < trenchFinalDepth) {
+                        trenchFinalBlend = blend;
+                        trenchFinalDepth = blended;
+                    }
+                }
+            }
+            }
+        }
+    }
+    // Now, apply massive deep ocean pits and override trench depth if pit is deeper
+    // Deep pits logic commented out
+    // let pitFinalBlend = 0;
+    // let pitFinalDepth = trenchFinalDepth;
+    // for (let tx = -trenchSearchRadius; tx <= trenchSearchRadius; ++tx) {
+    //     for (let tz = -trenchSearchRadius; tz <= trenchSearchRadius; ++tz) {
+    //         const trenchCenterX = Math.floor((x + tx * trenchGrid) / trenchGrid) * trenchGrid;
+    //         const trenchCenterZ = Math.floor((z + tz * trenchGrid) / trenchGrid) * trenchGrid;
+    //         const digSeed = hash2D(seed ^ 0xD1661A9, trenchCenterX, trenchCenterZ);
+    //         const digRand = seededRandom(digSeed);
+    //         if (digRand() < 0.04) { // 4% chance per grid cell
+    //             const digRadius = 600 + digRand() * 1200; // 600-1800 units
+    //             const digDepth = (-120 - digRand() * 380) * 5; // -600 to -2500
+    //             const digCenterX = trenchCenterX + (digRand() - 0.5) * trenchGrid * 0.7;
+    //             const digCenterZ = trenchCenterZ + (digRand() - 0.5) * trenchGrid * 0.7;
+    //             // Spherical distance for pit
+    //             const distToDig = Math.sqrt((x - digCenterX) ** 2 + (z - digCenterZ) ** 2);
+    //             // Rim noise: modulate radius with low-freq noise
+    //             const rimNoise = Math.sin((x - digCenterX) * 0.002 + digRand() * 8) * Math.cos((z - digCenterZ) * 0.002 + digRand() * 6) * 0.22
+    //                 + Math.sin((x - digCenterX) * 0.005 + (z - digCenterZ) * 0.005 + digRand() * 12) * 0.09;
+    //             const noisyRadius = digRadius * (1 + rimNoise);
+    //             // SDF for sphere cutout
+    //             const sphereMask = Math.max(0, 1 - (distToDig / noisyRadius));
+    //             // Blend: strong in center, fades at rim, very soft
+    //             let digBlend = 0;
+    //             if (distToDig < noisyRadius * 0.9) {
+    //                 // Core: gentle nonlinear blend
+    //                 digBlend = Math.pow(smootherstep(0, 1, sphereMask), 0.8);
+    //             } else if (distToDig < noisyRadius * 1.2) {
+    //                 // Rim: very soft gradient
+    //                 const rimMask = Math.max(0, 1 - ((distToDig - noisyRadius * 0.9) / (noisyRadius * 0.3)));
+    //                 digBlend = Math.pow(smootherstep(0, 1, rimMask), 0.5) * 0.35;
+    //             }
+    //             // Blend pit depth with trench/terrain
+    //             const digBlended = digDepth * digBlend + pitFinalDepth * (1 - digBlend);
+    //             // If this pit is deeper, use it
+    //             if (digBlend > pitFinalBlend || digBlended < pitFinalDepth) {
+    //                 pitFinalBlend = digBlend;
+    //                 pitFinalDepth = digBlended;
+    //             }
+    //         }
+    //     }
+    // }
+    // If any pit applies, override/blend as last step
+    return trenchFinalDepth;
+}
@@ -0,0 +1,22 @@
+// terrainWorker.js - Builds terrain chunk vertex data off the main thread
+// Module worker run by TerrainWorkerPool (terrainWorkerPool.js). One message per chunk:
+// { type: 'buildChunk', id, chunkX, chunkZ, seed, chunkSize, resolution, level } in, and
+// { type: 'chunkBuilt', id, chunkX, chunkZ, seed, positions, colors, heights } back, with the
+// typed array buffers transferred rather than copied.
+import { buildChunkData } from './terrainChunkData.js';
+
+onmessage = function(event) {
+    const job = event.data;
+    if (job.type !== 'buildChunk') return;
+    const data = buildChunkData(job.chunkX, job.chunkZ, job.seed, job.chunkSize, job.resolution, job.level);
+    postMessage({
+        type: 'chunkBuilt',
+        id: job.id,
+        chunkX: job.chunkX,
+        chunkZ: job.chunkZ,
+        seed: job.seed,
+        positions: data.positions,
+        colors: data.colors,
+        heights: data.heights
+    }, [data.positions.buffer, data.colors.buffer, data.heights.buffer]);
+};
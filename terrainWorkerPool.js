@@ -0,0 +1,150 @@
+// terrainWorkerPool.js - Terrain chunk generation on a pool of Web Workers
+// Chunks are queued by key and handed to whichever worker is free, nearest to the ship first,
+// so the water around the player fills in before the horizon does. Results come back as
+// transferred typed arrays (see terrainWorker.js) through onResult.
+//
+// Where module workers aren't available (or a worker dies) the pool falls back to building on
+// the main thread, a chunk or so per frame, so a slow machine still never builds the whole
+// render distance in one frame.
+import { buildChunkData } from './terrainChunkData.js';
+
+const MAX_WORKERS = 4;
+const MAIN_THREAD_BUILDS_PER_PUMP = 1; // Fallback chunks built per pump() without workers
+
+function getDefaultPoolSize() {
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+    return Math.max(1, Math.min(MAX_WORKERS, cores - 1)); // Leave a core for the game
+}
+
+export class TerrainWorkerPool {
+    constructor(size = getDefaultPoolSize()) {
+        this.queue = new Map(); // key -> job waiting for a worker
+        this.running = new Map(); // job id -> job being built
+        this.workers = [];
+        this.idle = [];
+        this.nextId = 1;
+        this.focusX = 0;
+        this.focusZ = 0;
+        this.onResult = null; // (key, data) where data = { seed, positions, colors, heights }
+
+        try {
+            for (let i = 0; i < size; i++) {
+                const worker = this.createWorker();
+                this.workers.push(worker);
+                this.idle.push(worker);
+            }
+            console.log('[TerrainWorkerPool] Started', size, 'terrain workers');
+        } catch (error) {
+            console.warn('[TerrainWorkerPool] Workers unavailable, building terrain on the main thread:', error);
+            this.terminateAll();
+        }
+    }
+
+    createWorker() {
+        const worker = new Worker(new URL('./terrainWorker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = (event) => this.handleMessage(worker, event.data);
+        worker.onerror = (event) => this.handleWorkerError(worker, event);
+        return worker;
+    }
+
+    // Chunks nearest this point are built first
+    setFocus(x, z) {
+        this.focusX = x;
+        this.focusZ = z;
+    }
+
+    // Queue a chunk build. params: { chunkX, chunkZ, seed, chunkSize, resolution, level, centerX, centerZ }
+    // (centerX/centerZ: the tile's middle in world units, for the nearest-first order)
+    request(key, params) {
+        if (this.queue.has(key)) return;
+        for (const job of this.running.values()) {
+            if (job.key === key && !job.cancelled && job.params.seed === params.seed) return;
+        }
+        this.queue.set(key, { key: key, params: params });
+    }
+
+    // Forget a chunk: drop it from the queue, or ignore its result if a worker has it already
+    cancel(key) {
+        this.queue.delete(key);
+        for (const job of this.running.values()) {
+            if (job.key === key) job.cancelled = true;
+        }
+    }
+
+    cancelAll() {
+        this.queue.clear();
+        for (const job of this.running.values()) job.cancelled = true;
+    }
+
+    // Start queued builds on idle workers (or build on this thread without workers)
+    pump() {
+        if (this.workers.length === 0) {
+            for (let i = 0; i < MAIN_THREAD_BUILDS_PER_PUMP && this.queue.size > 0; i++) {
+                const job = this.takeNearestJob();
+                const p = job.params;
+                const data = buildChunkData(p.chunkX, p.chunkZ, p.seed, p.chunkSize, p.resolution, p.level);
+                data.seed = p.seed;
+                if (this.onResult) this.onResult(job.key, data);
+            }
+            return;
+        }
+        while (this.idle.length > 0 && this.queue.size > 0) {
+            const worker = this.idle.pop();
+            const job = this.takeNearestJob();
+            job.id = this.nextId++;
+            job.worker = worker;
+            this.running.set(job.id, job);
+            worker.postMessage(Object.assign({ type: 'buildChunk', id: job.id }, job.params));
+        }
+    }
+
+    takeNearestJob() {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        for (const job of this.queue.values()) {
+            const p = job.params;
+            const dx = p.centerX - this.focusX;
+            const dz = p.centerZ - this.focusZ;
+            const distance = dx * dx + dz * dz;
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearest = job;
+            }
+        }
+        this.queue.delete(nearest.key);
+        return nearest;
+    }
+
+    handleMessage(worker, data) {
+        if (data.type !== 'chunkBuilt') return;
+        const job = this.running.get(data.id);
+        this.running.delete(data.id);
+        this.idle.push(worker);
+        if (job && !job.cancelled && this.onResult) this.onResult(job.key, data);
+        this.pump();
+    }
+
+    // A worker that fails (e.g. module workers unsupported) is dropped and its chunk built elsewhere
+    handleWorkerError(worker, event) {
+        console.error('[TerrainWorkerPool] Terrain worker failed:', event.message || event);
+        if (event.preventDefault) event.preventDefault();
+        worker.terminate();
+        this.workers = this.workers.filter(w => w !== worker);
+        this.idle = this.idle.filter(w => w !== worker);
+        for (const [id, job] of this.running) {
+            if (job.worker !== worker) continue;
+            this.running.delete(id);
+            if (!job.cancelled) this.queue.set(job.key, { key: job.key, params: job.params });
+        }
+        if (this.workers.length === 0) {
+            console.warn('[TerrainWorkerPool] No terrain workers left, building terrain on the main thread');
+        }
+    }
+
+    terminateAll() {
+        for (const worker of this.workers) worker.terminate();
+        this.workers = [];
+        this.idle = [];
+        this.running.clear();
+    }
+}
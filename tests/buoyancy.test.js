@@ -0,0 +1,79 @@
+// Hull buoyancy: the plane fitted under the hull points, and the damped springs that carry the
+// ship toward it.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HULL_PROFILES, DEFAULT_HULL_PROFILE, createBuoyancyState, sampleHull, stepBuoyancy, updateBuoyancy } from '../buoyancy.js';
+
+const PROFILE = HULL_PROFILES[DEFAULT_HULL_PROFILE];
+const DT = 1 / 60;
+const EPSILON = 1e-9;
+
+test('on flat water the hull settles level at the water height', () => {
+    const flat = () => 2.5;
+    const target = sampleHull(PROFILE, 40, -15, 0.7, flat);
+    assert.ok(Math.abs(target.heave - 2.5) < EPSILON);
+    assert.ok(Math.abs(target.pitch) < EPSILON);
+    assert.ok(Math.abs(target.roll) < EPSILON);
+
+    // The first update puts a new ship straight on the water...
+    let state = updateBuoyancy(createBuoyancyState(), PROFILE, 40, -15, 0.7, DT, flat);
+    assert.equal(state.heave, 2.5);
+    // ...and dropped in from above it comes to rest there
+    state = Object.assign({}, state, { heave: 4.0 });
+    for (let i = 0; i < 60 * 20; i++) state = updateBuoyancy(state, PROFILE, 40, -15, 0.7, DT, flat);
+    assert.ok(Math.abs(state.heave - 2.5) < 1e-3, `heave ${state.heave}`);
+    assert.ok(Math.abs(state.pitch) < EPSILON && Math.abs(state.roll) < EPSILON);
+    assert.ok(PROFILE.waterline > 0, 'the pawn origin rides above the fitted water plane');
+});
+
+test('a sloped surface pitches and rolls the hull to match', () => {
+    const slope = 0.1;
+    // Water rising toward +Z: at heading 0 the bow (-Z) is downhill
+    const towardStern = sampleHull(PROFILE, 0, 0, 0, (x, z) => slope * z);
+    assert.ok(Math.abs(towardStern.pitch + Math.atan(slope)) < EPSILON, `pitch ${towardStern.pitch}`);
+    assert.ok(Math.abs(towardStern.roll) < EPSILON);
+
+    // Water rising toward +X: starboard is uphill
+    const towardStarboard = sampleHull(PROFILE, 0, 0, 0, (x) => slope * x);
+    assert.ok(Math.abs(towardStarboard.roll - Math.atan(slope)) < EPSILON, `roll ${towardStarboard.roll}`);
+    assert.ok(Math.abs(towardStarboard.pitch) < EPSILON);
+
+    // Turned to face -X (heading PI/2), the same +X slope is under the stern instead
+    const turned = sampleHull(PROFILE, 0, 0, Math.PI / 2, (x) => slope * x);
+    assert.ok(Math.abs(turned.pitch + Math.atan(slope)) < EPSILON, `pitch ${turned.pitch}`);
+    assert.ok(Math.abs(turned.roll) < 1e-6);
+
+    // The springs carry the hull over to the new attitude
+    let state = stepBuoyancy(createBuoyancyState(), { heave: 0, pitch: 0, roll: 0 }, DT, PROFILE);
+    for (let i = 0; i < 60 * 20; i++) state = stepBuoyancy(state, towardStarboard, DT, PROFILE);
+    assert.ok(Math.abs(state.roll - towardStarboard.roll) < 1e-4, `roll ${state.roll}`);
+});
+
+test('the springs are damped: oscillations shrink and settle', () => {
+    const target = { heave: 0, pitch: 0.2, roll: -0.3 };
+    let state = Object.assign(createBuoyancyState(), { heave: 1.0, pitch: 0, roll: 0 });
+    // Heights of successive overshoots above/below the target
+    const peaks = [];
+    let previousVelocity = state.heaveVelocity;
+    for (let i = 0; i < 60 * 30; i++) {
+        state = stepBuoyancy(state, target, DT, PROFILE);
+        if (Math.sign(state.heaveVelocity) !== Math.sign(previousVelocity) && previousVelocity !== 0) {
+            peaks.push(Math.abs(state.heave - target.heave));
+        }
+        previousVelocity = state.heaveVelocity;
+    }
+    assert.ok(peaks.length >= 2, 'the hull overshoots at least once (it has inertia)');
+    for (let i = 1; i < peaks.length; i++) assert.ok(peaks[i] < peaks[i - 1], `peaks ${peaks}`);
+    assert.ok(peaks[0] < 1.0);
+
+    assert.ok(Math.abs(state.heave - target.heave) < 1e-4);
+    assert.ok(Math.abs(state.pitch - target.pitch) < 1e-4);
+    assert.ok(Math.abs(state.roll - target.roll) < 1e-4);
+    assert.ok(Math.abs(state.heaveVelocity) < 1e-3 && Math.abs(state.rollVelocity) < 1e-3);
+});
+
+test('a target too far away is snapped to rather than sprung toward', () => {
+    const state = Object.assign(createBuoyancyState(), { heave: 0, heaveVelocity: 1 });
+    const next = stepBuoyancy(state, { heave: 50, pitch: 0.1, roll: 0 }, DT, PROFILE);
+    assert.deepEqual(next, { heave: 50, heaveVelocity: 0, pitch: 0.1, pitchVelocity: 0, roll: 0, rollVelocity: 0 });
+});
@@ -0,0 +1,20 @@
+// Hull damage from running aground: scraping over the bottom hurts, resting on it doesn't.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getGroundingDamage, GROUNDED_DAMAGE_RATE } from '../hullHealth.js';
+
+test('a ship resting on the bottom takes no grounding damage', () => {
+    assert.equal(getGroundingDamage(0, 1), 0); // Stopped, at anchor, or left dry by the tide
+    assert.equal(getGroundingDamage(0.1, 1), 0); // Swinging gently on the rode
+    assert.equal(getGroundingDamage(-0.1, 1), 0);
+});
+
+test('grounding damage grows with the speed scraped over the bottom', () => {
+    const slow = getGroundingDamage(1, 1);
+    const fast = getGroundingDamage(4, 1);
+    assert.ok(slow > 0);
+    assert.ok(fast > slow);
+    assert.ok(fast <= 4 * GROUNDED_DAMAGE_RATE);
+    assert.equal(getGroundingDamage(-4, 1), fast, 'going astern scrapes just the same');
+    assert.ok(Math.abs(getGroundingDamage(4, 0.5) - fast / 2) < 1e-12, 'damage is per second');
+});
@@ -0,0 +1,84 @@
+// The momentum ship model: speed builds and decays through hull drag, reversing means stopping
+// first, and the faster a ship goes the wider it turns.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_SHIP_PARAMS, createShipState, getTurnRadius, stepShipDynamics } from '../shipDynamics.js';
+
+const DT = 1 / 60;
+
+// Run the model for a number of seconds at a fixed input, calling onStep after every frame
+function run(state, input, seconds, onStep = () => {}) {
+    for (let i = 0; i < Math.round(seconds / DT); i++) {
+        state = stepShipDynamics(state, input, DT);
+        onStep(state);
+    }
+    return state;
+}
+
+test('speed builds up gradually under sail toward the drive speed', () => {
+    const drive = DEFAULT_SHIP_PARAMS.maxSpeed;
+    let previous = 0;
+    let state = run(createShipState(), { drive: drive, rudder: 0 }, 1, (s) => {
+        assert.ok(s.speed >= previous);
+        previous = s.speed;
+    });
+    assert.ok(state.speed > 0 && state.speed < drive * 0.5, `speed after 1s: ${state.speed}`);
+
+    state = run(state, { drive: drive, rudder: 0 }, 120);
+    assert.ok(Math.abs(state.speed - drive) < 0.05, `speed after 121s: ${state.speed}`);
+    assert.ok(state.z < 0, 'heading 0 sails toward -Z');
+    assert.ok(Math.abs(state.x) < 1e-9);
+});
+
+test('a ship with the sails furled coasts down to a stop', () => {
+    let state = Object.assign(createShipState(), { speed: DEFAULT_SHIP_PARAMS.maxSpeed });
+    let previous = state.speed;
+    state = run(state, { drive: 0, rudder: 0 }, 2, (s) => {
+        assert.ok(s.speed <= previous);
+        previous = s.speed;
+    });
+    assert.ok(state.speed > 1, `still coasting after 2s: ${state.speed}`);
+
+    state = run(state, { drive: 0, rudder: 0 }, 120);
+    assert.equal(state.speed, 0);
+    const stopped = run(state, { drive: 0, rudder: 0 }, 1);
+    assert.equal(stopped.z, state.z, 'a stopped ship stays put');
+});
+
+test('backing the sails stops the ship before it goes astern', () => {
+    const reverse = -DEFAULT_SHIP_PARAMS.reverseSpeed;
+    let state = Object.assign(createShipState(), { speed: 4 });
+    let sawSlowAhead = false;
+    state = run(state, { drive: reverse, rudder: 0 }, 60, (s) => {
+        if (s.speed > 0 && s.speed < 1) sawSlowAhead = true;
+    });
+    assert.ok(sawSlowAhead, 'speed passes through slow ahead on its way to astern');
+    assert.ok(Math.abs(state.speed - reverse) < 0.05, `astern speed: ${state.speed}`);
+
+    const before = state.z;
+    state = run(state, { drive: reverse, rudder: 0 }, 1);
+    assert.ok(state.z > before, 'going astern moves toward +Z at heading 0');
+});
+
+test('the turning radius widens with speed', () => {
+    assert.ok(getTurnRadius(0) < getTurnRadius(2));
+    assert.ok(getTurnRadius(2) < getTurnRadius(6));
+
+    // Steady turn at a held speed: radius = speed / yaw rate
+    const measureRadius = (speed) => {
+        const state = run(createShipState(), { drive: speed, rudder: 1 }, 120);
+        assert.ok(state.yawRate > 0, 'full left rudder turns left');
+        return state.speed / state.yawRate;
+    };
+    const slow = measureRadius(2);
+    const fast = measureRadius(6);
+    assert.ok(fast > slow, `radius at 2: ${slow}, at 6: ${fast}`);
+    assert.ok(Math.abs(fast - getTurnRadius(6)) < 0.1);
+});
+
+test('stepping does not modify the input state', () => {
+    const state = createShipState(5, -3, 1);
+    const copy = Object.assign({}, state);
+    stepShipDynamics(state, { drive: 4, rudder: -1 }, 0.5);
+    assert.deepEqual(state, copy);
+});
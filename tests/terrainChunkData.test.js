@@ -0,0 +1,74 @@
+// Chunk vertex data must be the terrain height function sampled on the chunk lattice, so chunks
+// built by workers or on the main thread line up with each other and with the lattice heights
+// generated outside loaded chunks.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildChunkData, buildChunkIndices, getChunkVertexCoord, getSkirtDepth } from '../terrainChunkData.js';
+import { generateTerrainHeight } from '../terrainHeight.js';
+
+const SEED = 12345;
+const CHUNK_SIZE = 200;
+const RESOLUTION = 8;
+
+test('chunk heights match the terrain height function', () => {
+    const data = buildChunkData(-30, -25, SEED, CHUNK_SIZE, RESOLUTION);
+    assert.equal(data.heights.length, (RESOLUTION + 1) ** 2);
+    for (let z = 0; z <= RESOLUTION; z++) {
+        for (let x = 0; x <= RESOLUTION; x++) {
+            const i = z * (RESOLUTION + 1) + x;
+            const px = getChunkVertexCoord(-30, x, CHUNK_SIZE, RESOLUTION);
+            const pz = getChunkVertexCoord(-25, z, CHUNK_SIZE, RESOLUTION);
+            const expected = Math.fround(generateTerrainHeight(px, pz, SEED));
+            assert.equal(data.heights[i], expected);
+            assert.equal(data.positions[i * 3 + 1], expected);
+            assert.equal(data.positions[i * 3], Math.fround(px));
+            assert.equal(data.positions[i * 3 + 2], Math.fround(pz));
+        }
+    }
+});
+
+test('neighbouring chunks share their edge', () => {
+    const left = buildChunkData(2, 3, SEED, CHUNK_SIZE, RESOLUTION);
+    const right = buildChunkData(3, 3, SEED, CHUNK_SIZE, RESOLUTION);
+    for (let z = 0; z <= RESOLUTION; z++) {
+        assert.equal(left.heights[z * (RESOLUTION + 1) + RESOLUTION], right.heights[z * (RESOLUTION + 1)]);
+    }
+});
+
+test('chunk indices cover the grid with two triangles per cell, then the skirts', () => {
+    const indices = buildChunkIndices(RESOLUTION);
+    const gridCount = (RESOLUTION + 1) ** 2;
+    assert.equal(indices.length, RESOLUTION * RESOLUTION * 6 + 4 * RESOLUTION * 12);
+    assert.equal(Math.max(...indices.subarray(0, RESOLUTION * RESOLUTION * 6)), gridCount - 1);
+    assert.equal(Math.max(...indices), gridCount + 4 * (RESOLUTION + 1) - 1);
+});
+
+test('coarser tiles sample the full-detail lattice, so shared vertices match exactly', () => {
+    // Level 1 tile (1, -2) covers chunks 2..3 by -4..-3 with every other lattice point
+    const coarse = buildChunkData(1, -2, SEED, CHUNK_SIZE, RESOLUTION, 1);
+    for (let z = 0; z <= RESOLUTION; z++) {
+        for (let x = 0; x <= RESOLUTION; x++) {
+            const fineX = 2 + Math.min(1, Math.floor((2 * x) / RESOLUTION));
+            const fineZ = -4 + Math.min(1, Math.floor((2 * z) / RESOLUTION));
+            const localX = 2 * x - (fineX - 2) * RESOLUTION;
+            const localZ = 2 * z - (fineZ + 4) * RESOLUTION;
+            const fine = buildChunkData(fineX, fineZ, SEED, CHUNK_SIZE, RESOLUTION);
+            assert.equal(coarse.heights[z * (RESOLUTION + 1) + x], fine.heights[localZ * (RESOLUTION + 1) + localX]);
+        }
+    }
+});
+
+test('skirts hang below every edge vertex', () => {
+    const level = 2;
+    const data = buildChunkData(-1, 4, SEED, CHUNK_SIZE, RESOLUTION, level);
+    const gridCount = (RESOLUTION + 1) ** 2;
+    const depth = getSkirtDepth(CHUNK_SIZE, level);
+    // First skirt runs along the z = 0 edge
+    for (let x = 0; x <= RESOLUTION; x++) {
+        const skirt = gridCount + x;
+        assert.equal(data.positions[skirt * 3], data.positions[x * 3]);
+        assert.equal(data.positions[skirt * 3 + 2], data.positions[x * 3 + 2]);
+        assert.equal(data.positions[skirt * 3 + 1], Math.fround(data.positions[x * 3 + 1] - depth));
+    }
+    assert.equal(data.positions.length, (gridCount + 4 * (RESOLUTION + 1)) * 3);
+});
@@ -0,0 +1,79 @@
+// Ship versus terrain: swept contacts against the seabed, and how hard a contact hits.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sweepHullAgainstTerrain, resolveTerrainImpact, GROUNDING_SPEED, IMPACT_DAMAGE_PER_SPEED, BOUNCE_RESTITUTION } from '../terrainCollision.js';
+import { HULL_PROFILES, DEFAULT_HULL_PROFILE } from '../buoyancy.js';
+
+const PROFILE = HULL_PROFILES[DEFAULT_HULL_PROFILE];
+const DRAFT = 1.5;
+const BOW = 0; // Index of the bow point in the profile
+
+// 10 units deep down to z = -20, then shoaling by 1 per unit toward -Z (a beach ahead at heading 0)
+function beachAhead(x, z) {
+    return 10 - Math.max(0, -20 - z);
+}
+
+test('a sweep into rising terrain stops at the contact', () => {
+    const from = { x: 0, z: 0, heading: 0 };
+    const to = { x: 0, z: -50, heading: 0 };
+    const contact = sweepHullAgainstTerrain(PROFILE, DRAFT, from, to, beachAhead);
+    assert.ok(contact, 'the hull hits the beach');
+    assert.equal(contact.pointIndex, BOW);
+
+    // The bow (3 ahead of the origin) reaches draft depth at z = -28.5, so the ship at -25.5
+    assert.ok(contact.z > -25.5 && contact.z <= -24.5, `stopped at z ${contact.z}`);
+    assert.equal(contact.x, 0);
+    assert.equal(contact.heading, 0);
+    assert.ok(beachAhead(contact.x, contact.z - 3) >= DRAFT, 'the returned pose is still afloat');
+    assert.ok(beachAhead(contact.pointX, contact.pointZ) < DRAFT, 'the contact point is aground');
+});
+
+test('a long move cannot tunnel through a thin reef', () => {
+    const reef = (x, z) => (z < -30 && z > -31.5 ? 0.5 : 10);
+    const contact = sweepHullAgainstTerrain(PROFILE, DRAFT, { x: 0, z: 0, heading: 0 }, { x: 0, z: -80, heading: 0 }, reef);
+    assert.ok(contact, 'the reef is found between the two poses');
+    assert.ok(contact.z > -30, `stopped at z ${contact.z}`);
+});
+
+test('no contact when moving into deeper water', () => {
+    // Already touching the bottom at z = -28, backing out toward deep water
+    const contact = sweepHullAgainstTerrain(PROFILE, DRAFT, { x: 0, z: -28, heading: 0 }, { x: 0, z: -10, heading: 0 }, beachAhead);
+    assert.equal(contact, null);
+
+    // Open water all the way
+    assert.equal(sweepHullAgainstTerrain(PROFILE, DRAFT, { x: 0, z: 0, heading: 0 }, { x: 40, z: 15, heading: 1 }, () => 10), null);
+
+    // Sliding along water that is shallow but not getting shallower
+    assert.equal(sweepHullAgainstTerrain(PROFILE, DRAFT, { x: 0, z: 0, heading: 0 }, { x: 0, z: -10, heading: 0 }, () => 1), null);
+});
+
+test('slow impacts ground the ship, fast ones damage it and bounce it back', () => {
+    const ahead = { pointX: 0, pointZ: -3 }; // Contact at the bow of a ship at the origin, heading 0
+
+    const slow = resolveTerrainImpact(ahead, 0, 0, 0, GROUNDING_SPEED - 0.1);
+    assert.equal(slow.grounded, true);
+    assert.equal(slow.damage, 0);
+    assert.equal(slow.bounceSpeed, 0);
+
+    const atThreshold = resolveTerrainImpact(ahead, 0, 0, 0, GROUNDING_SPEED);
+    assert.equal(atThreshold.grounded, false);
+    assert.equal(atThreshold.damage, 0);
+
+    const fast = resolveTerrainImpact(ahead, 0, 0, 0, GROUNDING_SPEED + 2);
+    assert.equal(fast.grounded, false);
+    assert.ok(Math.abs(fast.impactSpeed - (GROUNDING_SPEED + 2)) < 1e-9);
+    assert.ok(Math.abs(fast.damage - 2 * IMPACT_DAMAGE_PER_SPEED) < 1e-9);
+    assert.ok(Math.abs(fast.bounceSpeed + (GROUNDING_SPEED + 2) * BOUNCE_RESTITUTION) < 1e-9);
+});
+
+test('only the motion toward the contact counts as impact', () => {
+    // Contact off the starboard side while sailing straight ahead fast: a scrape, not a crash
+    const beside = resolveTerrainImpact({ pointX: 1.4, pointZ: 0 }, 0, 0, 0, 6);
+    assert.ok(beside.impactSpeed < 1e-9);
+    assert.equal(beside.grounded, true);
+    assert.equal(beside.damage, 0);
+
+    // Moving away from the contact (going astern from a bow contact) is no impact either
+    const astern = resolveTerrainImpact({ pointX: 0, pointZ: -3 }, 0, 0, 0, -4);
+    assert.equal(astern.impactSpeed, 0);
+});
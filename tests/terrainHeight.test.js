@@ -0,0 +1,86 @@
+// Golden values for the terrain height function (run with: npm test)
+// These pin the exact shape of the world for a few seeds: the spawn deep spot, islands, land
+// masses and trenches. Every player generates terrain from the host's seed, so a change that
+// moves any of these numbers changes what everyone sails over - regenerate them only on purpose.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateTerrainHeight, hash2D } from '../terrainHeight.js';
+
+const TOLERANCE = 1e-9;
+
+// seed -> [x, z, height]
+const GOLDEN_HEIGHTS = {
+    12345: [
+        [0, 0, 239.21987615293585],
+        [100, 50, 216.3074098985874],
+        [-250.5, 180.25, 202.2307174883978],
+        [612.5, -3125, -8.69025691218474],
+        [-5962.5, -4012.25, 37.07445311653944],
+        [-5962.5, -5012.25, -269.7265791066111],
+        [-5962.5, -6012.25, 13.777460083823854],
+        [-5962.5, -2012.25, -226.62752395239121],
+        [-23900, 8050, 43.889804639754566],
+        [-15900, 24050, -380.0401828688259],
+        [40000.75, -17000.5, 2.8824364253733465]
+    ],
+    987654321: [
+        [0, 0, -9.964550264095124],
+        [100, 50, -4.948420671274191],
+        [-250.5, 180.25, 0.22977863320433087],
+        [612.5, -3125, 0.08480166205657458],
+        [-5962.5, -4012.25, 48.061889797219074],
+        [-5962.5, -5012.25, -9.483330432199033],
+        [-5962.5, -6012.25, -191.45635801581264],
+        [-5962.5, -2012.25, 16.73225628474236],
+        [-23900, 8050, 200.40373820121923],
+        [-15900, 24050, -57.97633576330887],
+        [40000.75, -17000.5, -256.02084127888986]
+    ],
+    42: [
+        [0, 0, -127.19689282975523],
+        [100, 50, -4.87323081943813],
+        [-250.5, 180.25, -265.67545328114846],
+        [612.5, -3125, 2.0769787023267723],
+        [-5962.5, -4012.25, 0.582849978554069],
+        [-5962.5, -5012.25, -30.69709330787339],
+        [-5962.5, -6012.25, -233.41601516519847],
+        [-5962.5, -2012.25, 17.904564338434344],
+        [-23900, 8050, 37.764294462646994],
+        [-15900, 24050, 169.7232903908836],
+        [40000.75, -17000.5, -85.43283831630507]
+    ]
+};
+
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) <= TOLERANCE, `${message}: expected ${expected}, got ${actual}`);
+}
+
+for (const [seed, points] of Object.entries(GOLDEN_HEIGHTS)) {
+    test(`terrain heights for seed ${seed}`, () => {
+        for (const [x, z, expected] of points) {
+            assertClose(generateTerrainHeight(x, z, Number(seed)), expected, `height at ${x},${z}`);
+        }
+    });
+}
+
+test('no seed is flat ocean', () => {
+    assert.equal(generateTerrainHeight(0, 0, 0), 0);
+    assert.equal(generateTerrainHeight(-5962.5, -4012.25, undefined), 0);
+});
+
+test('heights are repeatable', () => {
+    for (const [x, z] of GOLDEN_HEIGHTS[42]) {
+        assert.equal(generateTerrainHeight(x, z, 42), generateTerrainHeight(x, z, 42));
+    }
+});
+
+test('seeds give different terrain', () => {
+    const [x, z] = GOLDEN_HEIGHTS[42][4];
+    assert.notEqual(generateTerrainHeight(x, z, 42), generateTerrainHeight(x, z, 12345));
+});
+
+test('hash2D golden values', () => {
+    assert.equal(hash2D(12345, 0, 0), 356706181);
+    assert.equal(hash2D(12345, 3, -7), 2084500929);
+    assert.equal(hash2D(987654321 ^ 0x1A2B3C4D, -2, 5), 840248085);
+});
@@ -0,0 +1,33 @@
+// The tidal cycle: sea level over time, and how far low water falls (what anchoring has to allow for).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TideSystem, TIDE_PERIODS } from '../tideSystem.js';
+
+// Lowest sea level reached over one full cycle (sampled every second)
+function lowestLevel(tide, seconds) {
+    let lowest = Infinity;
+    for (let t = 0; t <= seconds; t++) lowest = Math.min(lowest, tide.getLevelOffset(t));
+    return lowest;
+}
+
+test('with the tide off the sea never moves and low water is mean sea level', () => {
+    const tide = new TideSystem({ period: 'off', range: 3.0 });
+    assert.equal(tide.getLowWaterOffset(), 0);
+    assert.equal(lowestLevel(tide, 3600), 0);
+    assert.equal(tide.update(1234), 0);
+});
+
+test('on a tide low water falls the full range below the mean', () => {
+    const tide = new TideSystem({ period: 'short', range: 2.5 });
+    assert.equal(tide.getLowWaterOffset(), 2.5);
+    const lowest = lowestLevel(tide, TIDE_PERIODS.short);
+    assert.ok(Math.abs(lowest + tide.getLowWaterOffset()) < 1e-3, `lowest level ${lowest}`);
+
+    // update reports the level for the wave field to follow
+    assert.equal(tide.update(TIDE_PERIODS.short * 0.75), tide.getLevelOffset(TIDE_PERIODS.short * 0.75));
+    assert.ok(Math.abs(tide.offset + 2.5) < 1e-9, 'three quarters through the cycle is low water');
+
+    // Switching the tide off takes low water with it
+    tide.setPeriod('off');
+    assert.equal(tide.getLowWaterOffset(), 0);
+});
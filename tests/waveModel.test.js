@@ -0,0 +1,197 @@
+// The CPU wave model against the ocean shader: ships must float on the surface that is drawn,
+// including where waves shoal and break over the seabed. shaderDisplacement below is a line-by-line
+// port of waveDisplacement in WAVE_SHADER_CHUNK (waveField.js), fed the uniforms WaveField uploads.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    WaveModel, STORM_AMPLITUDE_GAIN, STORM_CHOP_HEIGHT, STORM_CHOP_WAVES, SHOAL_GROWTH, SHOAL_STEEPEN,
+    SHOAL_HARMONIC, BREAKING_RATIO, SHOAL_START_DEPTH, MAX_TOTAL_STEEPNESS, CHOP_FADE_DEPTH
+} from '../waveModel.js';
+import { DepthMap } from '../depthMap.js';
+
+const DEEP_SEABED = -1000.0;
+const TIME = 123.4;
+
+// A beach rising toward +X with a wavy shoreline, on the same lattice as UnifiedTerrain
+// (generated heights rounded to Float32, seabed drawn 2.5 below them)
+function createBeachTerrain() {
+    const terrain = {
+        chunkSize: 200,
+        chunkResolution: 32,
+        seabedOffset: -2.5,
+        terrainSeed: 1,
+        getLatticeHeight(ix, iz) {
+            const step = terrain.chunkSize / terrain.chunkResolution;
+            return Math.fround(6.5 + 0.05 * (ix * step + 100) + 1.5 * Math.sin(iz * step / 23));
+        },
+        getSeabedHeight(x, z) {
+            const step = terrain.chunkSize / terrain.chunkResolution;
+            const ix = Math.floor(x / step);
+            const iz = Math.floor(z / step);
+            const fx = x / step - ix;
+            const fz = z / step - iz;
+            const h00 = terrain.getLatticeHeight(ix, iz);
+            const h10 = terrain.getLatticeHeight(ix + 1, iz);
+            const h01 = terrain.getLatticeHeight(ix, iz + 1);
+            const h11 = terrain.getLatticeHeight(ix + 1, iz + 1);
+            return (h00 * (1 - fx) + h10 * fx) * (1 - fz) + (h01 * (1 - fx) + h11 * fx) * fz + terrain.seabedOffset;
+        }
+    };
+    return terrain;
+}
+
+function wrapPhase(angle) {
+    return ((angle % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+}
+
+// What WaveField.updateShaderUniforms uploads, with positions relative to (originX, originZ)
+function shaderUniforms(model, grid, originX, originZ, t) {
+    const phaseAt = (wave) => wrapPhase(wave.k * (wave.dirX * originX + wave.dirZ * originZ) - wave.omega * t + wave.phase);
+    return {
+        waves: model.waves.map(wave => ({ a: [wave.dirX, wave.dirZ, wave.k, phaseAt(wave)], b: [wave.amplitude, wave.steepness] })),
+        chop: model.stormWaves.map(wave => [wave.dirX, wave.dirZ, wave.k, phaseAt(wave)]),
+        chopAmplitude: STORM_CHOP_HEIGHT / STORM_CHOP_WAVES,
+        storms: [],
+        stormGain: STORM_AMPLITUDE_GAIN,
+        baseLevel: model.baseLevel,
+        seabedMap: grid.heights,
+        seabedGrid: [grid.originX - originX, grid.originZ - originZ, grid.cellSize, grid.seabedOffset],
+        seabedNodes: grid.hasData ? grid.nodes : 0,
+        shoal: [SHOAL_GROWTH, SHOAL_STEEPEN, SHOAL_HARMONIC, BREAKING_RATIO],
+        shoalLimits: [MAX_TOTAL_STEEPNESS, CHOP_FADE_DEPTH, SHOAL_START_DEPTH]
+    };
+}
+
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+const smoothstep = (e0, e1, v) => {
+    const t = clamp((v - e0) / (e1 - e0), 0, 1);
+    return t * t * (3 - 2 * t);
+};
+
+function waveStormIntensity(u, p) {
+    let intensity = 0;
+    for (const storm of u.storms) {
+        const dist = Math.hypot(p[0] - storm[0], p[1] - storm[1]);
+        if (dist < storm[2]) intensity += storm[3] * (1 - smoothstep(0, 1, dist / storm[2]));
+    }
+    return Math.min(intensity, 2);
+}
+
+// Nearest-filtered texel (ix, iz) of the seabed texture
+function texel(u, ix, iz) {
+    return u.seabedMap[iz * u.seabedNodes + ix];
+}
+
+function waveSeabedHeight(u, p) {
+    const gx = (p[0] - u.seabedGrid[0]) / u.seabedGrid[2];
+    const gz = (p[1] - u.seabedGrid[1]) / u.seabedGrid[2];
+    if (u.seabedNodes < 2 || gx < 0 || gz < 0 || gx >= u.seabedNodes - 1 || gz >= u.seabedNodes - 1) {
+        return DEEP_SEABED;
+    }
+    const ix = Math.floor(gx);
+    const iz = Math.floor(gz);
+    const fx = gx - ix;
+    const fz = gz - iz;
+    const h00 = texel(u, ix, iz);
+    const h10 = texel(u, ix + 1, iz);
+    const h01 = texel(u, ix, iz + 1);
+    const h11 = texel(u, ix + 1, iz + 1);
+    return (h00 * (1 - fx) + h10 * fx) * (1 - fz) + (h01 * (1 - fx) + h11 * fx) * fz + u.seabedGrid[3];
+}
+
+// [dx, y, dz] for the grid vertex at p (origin relative), as the vertex shader computes it
+function shaderDisplacement(u, p) {
+    const storm = waveStormIntensity(u, p);
+    const depth = u.baseLevel - waveSeabedHeight(u, p);
+    const gain = 1 + u.stormGain * storm;
+    const breakingCap = u.shoal[3] * Math.max(depth, 0);
+
+    const vertical = [];
+    const horizontal = [];
+    const harmonic = [];
+    let totalVertical = 0;
+    let totalHorizontal = 0;
+    let totalSteepness = 0;
+    u.waves.forEach((wave, i) => {
+        const k = wave.a[2];
+        const shallow = 1 - clamp(depth / Math.min(Math.PI / k, u.shoalLimits[2]), 0, 1);
+        const shoaled = wave.b[0] * (1 + u.shoal[0] * shallow);
+        vertical[i] = shoaled * gain;
+        horizontal[i] = wave.b[1] * shoaled * (1 + u.shoal[1] * shallow);
+        harmonic[i] = vertical[i] * u.shoal[2] * shallow;
+        totalVertical += vertical[i] + harmonic[i];
+        totalHorizontal += horizontal[i];
+        totalSteepness += k * horizontal[i];
+    });
+    const verticalScale = totalVertical > breakingCap ? breakingCap / totalVertical : 1;
+    const steepnessScale = Math.min(
+        totalSteepness > u.shoalLimits[0] ? u.shoalLimits[0] / totalSteepness : 1,
+        totalHorizontal > breakingCap ? breakingCap / totalHorizontal : 1
+    );
+
+    const d = [0, 0, 0];
+    u.waves.forEach((wave, i) => {
+        const theta = wave.a[2] * (wave.a[0] * p[0] + wave.a[1] * p[1]) + wave.a[3];
+        const h = horizontal[i] * steepnessScale * Math.cos(theta);
+        d[0] += h * wave.a[0];
+        d[2] += h * wave.a[1];
+        d[1] += (vertical[i] * Math.sin(theta) - harmonic[i] * Math.cos(2 * theta)) * verticalScale;
+    });
+    let chop = 0;
+    if (storm > 0) {
+        for (const wave of u.chop) chop += u.chopAmplitude * Math.sin(wave[2] * (wave[0] * p[0] + wave[1] * p[1]) + wave[3]);
+    }
+    d[1] += u.baseLevel + chop * storm * clamp(depth / u.shoalLimits[1], 0, 1);
+    return d;
+}
+
+function createShoalingSea() {
+    const terrain = createBeachTerrain();
+    const grid = new DepthMap(terrain);
+    grid.update({ x: 0, z: 0 });
+    const model = new WaveModel({ baseLevel: 20, seaState: 'rough', seed: 1337 });
+    model.setDepthField(grid);
+    return { terrain, grid, model };
+}
+
+test('the depth grid holds the terrain lattice and samples exactly like the terrain', () => {
+    const { terrain, grid } = createShoalingSea();
+    assert.equal(grid.cellSize, terrain.chunkSize / terrain.chunkResolution, 'one node per lattice point');
+    for (let x = -700; x <= 700; x += 13.3) {
+        for (let z = -700; z <= 700; z += 17.9) {
+            assert.equal(grid.sampleSeabed(x, z), terrain.getSeabedHeight(x, z), `seabed at ${x}, ${z}`);
+        }
+    }
+    assert.equal(grid.sampleSeabed(900, 0), undefined, 'nothing off the grid');
+});
+
+test('ship heights match the shader over a shoaling seabed', () => {
+    const { grid, model } = createShoalingSea();
+    // The ocean mesh is drawn relative to a snapped origin near the viewer
+    const originX = 37.5;
+    const originZ = -12.5;
+    const uniforms = shaderUniforms(model, grid, originX, originZ, TIME);
+
+    let shoaling = 0;
+    let breaking = 0;
+    let worst = 0;
+    for (let px = -160; px <= 160; px += 3.1) {
+        for (let pz = -120; pz <= 120; pz += 7.3) {
+            const drawn = shaderDisplacement(uniforms, [px, pz]);
+            const depth = model.getShoalingDepth(originX + px, originZ + pz);
+            if (depth > 0 && depth < SHOAL_START_DEPTH) shoaling++;
+            if (depth > 0 && depth < 3) breaking++;
+
+            // The same rest point displaces the same way on the CPU...
+            const cpu = model.getDisplacement(originX + px, originZ + pz, TIME);
+            assert.ok(Math.abs(cpu.x - drawn[0]) < 1e-9 && Math.abs(cpu.z - drawn[2]) < 1e-9, `displacement at ${px}, ${pz}`);
+            assert.ok(Math.abs(cpu.y - drawn[1]) < 1e-9, `height at rest point ${px}, ${pz}: ${cpu.y} vs ${drawn[1]}`);
+
+            // ...and a ship at the drawn vertex samples the drawn height there
+            const height = model.getHeight(originX + px + drawn[0], originZ + pz + drawn[2], TIME);
+            worst = Math.max(worst, Math.abs(height - drawn[1]));
+        }
+    }
+    assert.ok(shoaling > 100 && breaking > 20, `samples shoaling: ${shoaling}, breaking: ${breaking}`);
+    assert.ok(worst < 1e-3, `largest gap between ship and drawn height: ${worst}`);
+});
@@ -0,0 +1,82 @@
+// tideSystem.js - Tidal cycle that raises and lowers mean sea level
+// The tide is a pure function of real time since the host's oceanSync.startTime, so every peer
+// computes the same water level without it being sent every packet. Only the tide settings
+// (period and range) are replicated. The game applies the offset to the shared WaveField, so the
+// ocean shader, shoaling, currents and ship floating all follow the tide together.
+
+// Tide period presets selectable in the settings menu (real seconds per full cycle, 0 = no tide)
+export const TIDE_PERIODS = {
+    off: 0,
+    short: 300,
+    medium: 1200,
+    long: 3600
+};
+
+export const DEFAULT_TIDE_PERIOD = 'medium';
+
+export const DEFAULT_TIDE_CONFIG = {
+    period: DEFAULT_TIDE_PERIOD,
+    range: 3.0 // Height of high water above mean sea level (low water is the same distance below)
+};
+
+export class TideSystem {
+    constructor(config = DEFAULT_TIDE_CONFIG) {
+        this.period = DEFAULT_TIDE_PERIOD;
+        this.range = DEFAULT_TIDE_CONFIG.range;
+        this.offset = 0; // Current sea level relative to the mean
+        this._configKey = null;
+        this.configure(config);
+    }
+
+    // Apply a tide configuration (per session - the host's config is replicated to clients)
+    // config: { period: key of TIDE_PERIODS, range }
+    configure(config = {}) {
+        const key = JSON.stringify(config);
+        if (key === this._configKey) return false; // Unchanged
+
+        this._configKey = key;
+        this.period = TIDE_PERIODS[config.period] !== undefined ? config.period : DEFAULT_TIDE_PERIOD;
+        this.range = typeof config.range === 'number' ? config.range : DEFAULT_TIDE_CONFIG.range;
+        console.log('[TideSystem] Configured tide', this.period, 'with range', this.range);
+        return true;
+    }
+
+    // Switch to one of the named period presets
+    setPeriod(name) {
+        if (TIDE_PERIODS[name] === undefined) {
+            console.warn('[TideSystem] Unknown tide period:', name);
+            return false;
+        }
+        return this.configure({ period: name, range: this.range });
+    }
+
+    // Serializable copy of the current configuration (for network replication)
+    getConfig() {
+        return {
+            period: this.period,
+            range: this.range
+        };
+    }
+
+    // Sea level offset after elapsedSeconds of real time (starts at mean level on a rising tide)
+    getLevelOffset(elapsedSeconds) {
+        const seconds = TIDE_PERIODS[this.period];
+        if (!seconds) return 0;
+        return this.range * Math.sin(2 * Math.PI * elapsedSeconds / seconds);
+    }
+
+    // How far low water falls below mean sea level (0 when the tide is off and the sea never moves)
+    getLowWaterOffset() {
+        return TIDE_PERIODS[this.period] ? this.range : 0;
+    }
+
+    // Advance to the tide at elapsedSeconds since the ocean start time; returns the sea level
+    // offset for WaveField.setTideOffset
+    update(elapsedSeconds) {
+        this.offset = this.getLevelOffset(elapsedSeconds);
+        return this.offset;
+    }
+}
+
+// Shared instance (one sea level for the whole world)
+export const tideSystem = new TideSystem();
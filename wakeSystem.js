@@ -0,0 +1,277 @@
+// wakeSystem.js - Ship wakes and bow spray
+// Every ship leaves a trail of wake points behind its bow. Each point spreads sideways as it
+// ages, so a chain of them traces the two arms of a Kelvin wake (about 19.5 degrees either side
+// of the track), with churned water down the middle. The points are drawn into the ocean
+// shader (see WAKE_SHADER_CHUNK) and bow spray is a small particle pool.
+// Ships are tracked only from their world position each frame, so local, AI and remote
+// (interpolated) ships all get the same wake without any extra network traffic.
+import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
+
+// GPU limit (uniform array size in WAKE_SHADER_CHUNK)
+export const MAX_SHADER_WAKE_POINTS = 64;
+
+const WAKE_LIFETIME = 8.0; // Seconds before a wake point has faded out
+const WAKE_SPACING = 2.0; // Distance travelled between wake points
+const WAKE_MIN_SPEED = 0.3; // Slower ships leave no wake
+const WAKE_FULL_SPEED = 6.0; // Speed at which the wake reaches full strength
+const WAKE_TURN_GAIN = 0.6; // Extra strength per radian/second of turning
+const WAKE_MAX_STRENGTH = 1.5;
+const KELVIN_SPREAD = Math.tan(19.47 * Math.PI / 180); // Sideways spread of each arm per unit travelled
+const WAKE_ARM_WIDTH = 0.8; // Arm width at the bow...
+const WAKE_ARM_WIDEN = 0.25; // ...growing this much per second of age
+const WAKE_WASH_FADE = 0.4; // The centre wash dies out faster than the arms
+const BOW_OFFSET = 3.0; // Bow distance ahead of the ship origin (ships without a hull profile)
+const VELOCITY_SMOOTHING = 4.0; // Per-second rate for smoothing velocity and turn rate from positions
+const SHIP_WATERLINE_OFFSET = 0.625; // Ship origin above the waterline (ships without a hull profile)
+
+// Bow spray
+const MAX_SPRAY_PARTICLES = 400;
+const SPRAY_RATE = 40; // Particles per second per ship at full strength
+const SPRAY_LIFETIME = 1.0;
+const SPRAY_GRAVITY = 9.8;
+
+// Added to the ocean vertex shader next to WAVE_SHADER_CHUNK. Wakes are visual only: ships
+// float on the WaveField surface and do not ride each other's wakes.
+export const WAKE_SHADER_CHUNK = `
+#define MAX_WAKE_POINTS ${MAX_SHADER_WAKE_POINTS}
+uniform vec4 uWakeA[MAX_WAKE_POINTS]; // x, z (origin relative), heading dirX, dirZ
+uniform vec4 uWakeB[MAX_WAKE_POINTS]; // arm offset, arm width, arm strength, wash strength
+uniform int uWakeCount;
+uniform float uWakeHeight;
+
+// x: surface height added by wakes, y: wake foam 0..1
+vec2 wakeDisplacement(vec2 p) {
+    float height = 0.0;
+    float foam = 0.0;
+    for (int i = 0; i < MAX_WAKE_POINTS; i++) {
+        if (i >= uWakeCount) break;
+        vec4 a = uWakeA[i];
+        vec4 b = uWakeB[i];
+        vec2 rel = p - a.xy;
+        float reach = b.x + 3.0 * b.y;
+        if (dot(rel, rel) > reach * reach) continue;
+
+        float along = dot(rel, a.zw);
+        float across = dot(rel, vec2(-a.w, a.z));
+        float alongFade = exp(-along * along / 2.0);
+        float left = (across - b.x) / b.y;
+        float right = (across + b.x) / b.y;
+        float centre = across / (b.y + 0.5);
+        float arms = (exp(-left * left) + exp(-right * right)) * b.z * alongFade;
+        float wash = exp(-centre * centre) * b.w * alongFade;
+
+        height += arms * uWakeHeight;
+        foam += arms + wash;
+    }
+    return vec2(height, clamp(foam, 0.0, 1.0));
+}
+`;
+
+// Uniform values consumed by WAKE_SHADER_CHUNK (filled in by WakeSystem.updateShaderUniforms)
+export function createWakeShaderUniforms() {
+    const uniforms = {
+        uWakeA: { value: [] },
+        uWakeB: { value: [] },
+        uWakeCount: { value: 0 },
+        uWakeHeight: { value: 0.12 }
+    };
+    for (let i = 0; i < MAX_SHADER_WAKE_POINTS; i++) {
+        uniforms.uWakeA.value.push(new THREE.Vector4());
+        uniforms.uWakeB.value.push(new THREE.Vector4());
+    }
+    return uniforms;
+}
+
+export class WakeSystem {
+    constructor(scene) {
+        this.scene = scene;
+        this.time = 0; // Local clock - wakes are cosmetic, so peers don't need to agree on them
+        this.trackers = new Map(); // Map<ship Object3D, tracker>
+        this._packed = [];
+
+        // Bow spray particle pool
+        this.sprayPositions = new Float32Array(MAX_SPRAY_PARTICLES * 3);
+        this.sprayVelocities = new Float32Array(MAX_SPRAY_PARTICLES * 3);
+        this.sprayAges = new Float32Array(MAX_SPRAY_PARTICLES).fill(SPRAY_LIFETIME);
+        this.sprayNext = 0;
+        this.sprayGeometry = new THREE.BufferGeometry();
+        this.sprayGeometry.setAttribute('position', new THREE.BufferAttribute(this.sprayPositions, 3));
+        this.sprayMaterial = new THREE.PointsMaterial({
+            color: 0xffffff,
+            size: 0.35,
+            transparent: true,
+            opacity: 0.8,
+            depthWrite: false
+        });
+        this.spray = new THREE.Points(this.sprayGeometry, this.sprayMaterial);
+        this.spray.frustumCulled = false; // Particles move every frame; bounds are never recomputed
+        this.scene.add(this.spray);
+    }
+
+    // Follow a set of ships for one frame. Ships missing from the list stop leaving a wake.
+    update(deltaTime, ships) {
+        if (deltaTime <= 0) return;
+        this.time += deltaTime;
+
+        const seen = new Set();
+        for (const ship of ships) {
+            if (!ship || seen.has(ship)) continue;
+            seen.add(ship);
+            let tracker = this.trackers.get(ship);
+            if (!tracker) {
+                tracker = this.createTracker(ship);
+                this.trackers.set(ship, tracker);
+            }
+            this.updateTracker(tracker, ship, deltaTime);
+        }
+        for (const ship of this.trackers.keys()) {
+            if (!seen.has(ship)) this.trackers.delete(ship);
+        }
+
+        this.updateSpray(deltaTime);
+    }
+
+    createTracker(ship) {
+        return {
+            lastX: ship.position.x,
+            lastZ: ship.position.z,
+            velX: 0,
+            velZ: 0,
+            heading: 0,
+            turnRate: 0,
+            strength: 0,
+            travelled: 0,
+            sprayDebt: 0,
+            points: [] // { x, z, dirX, dirZ, speed, strength, born }
+        };
+    }
+
+    // Derive speed, heading and turn rate from position history and drop wake points
+    updateTracker(tracker, ship, deltaTime) {
+        const dx = ship.position.x - tracker.lastX;
+        const dz = ship.position.z - tracker.lastZ;
+        tracker.lastX = ship.position.x;
+        tracker.lastZ = ship.position.z;
+
+        // Large jumps are teleports or network corrections, not sailing
+        const stepLength = Math.sqrt(dx * dx + dz * dz);
+        const blend = 1 - Math.exp(-VELOCITY_SMOOTHING * deltaTime);
+        if (stepLength < WAKE_FULL_SPEED * 4 * deltaTime + 1) {
+            tracker.velX += (dx / deltaTime - tracker.velX) * blend;
+            tracker.velZ += (dz / deltaTime - tracker.velZ) * blend;
+            tracker.travelled += stepLength;
+        }
+
+        const speed = Math.sqrt(tracker.velX * tracker.velX + tracker.velZ * tracker.velZ);
+        if (speed > WAKE_MIN_SPEED) {
+            const heading = Math.atan2(tracker.velZ, tracker.velX);
+            let turn = heading - tracker.heading;
+            turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+            tracker.turnRate += (turn / deltaTime - tracker.turnRate) * blend;
+            tracker.heading = heading;
+        } else {
+            tracker.turnRate *= 1 - blend;
+        }
+
+        const speedFactor = Math.max(0, Math.min(1, (speed - WAKE_MIN_SPEED) / (WAKE_FULL_SPEED - WAKE_MIN_SPEED)));
+        tracker.strength = Math.min(WAKE_MAX_STRENGTH, speedFactor * (1 + WAKE_TURN_GAIN * Math.abs(tracker.turnRate)));
+
+        // Drop expired points (oldest first)
+        while (tracker.points.length > 0 && this.time - tracker.points[0].born > WAKE_LIFETIME) {
+            tracker.points.shift();
+        }
+
+        if (tracker.strength <= 0) return;
+        const dirX = Math.cos(tracker.heading);
+        const dirZ = Math.sin(tracker.heading);
+        // Bigger ship classes have their bow further out and ride higher (see shipClasses.js)
+        const bowOffset = ship.hullProfile ? -ship.hullProfile.points[0].z : BOW_OFFSET;
+        const bowX = ship.position.x + dirX * bowOffset;
+        const bowZ = ship.position.z + dirZ * bowOffset;
+
+        if (tracker.travelled >= WAKE_SPACING || tracker.points.length === 0) {
+            tracker.travelled = 0;
+            tracker.points.push({ x: bowX, z: bowZ, dirX, dirZ, speed, strength: tracker.strength, born: this.time });
+        }
+
+        // Bow spray, thrown out to both sides and up
+        tracker.sprayDebt += SPRAY_RATE * tracker.strength * deltaTime;
+        const waterY = ship.position.y - (ship.hullProfile ? ship.hullProfile.waterline : SHIP_WATERLINE_OFFSET);
+        while (tracker.sprayDebt >= 1) {
+            tracker.sprayDebt -= 1;
+            const side = Math.random() < 0.5 ? -1 : 1;
+            const out = (1 + Math.random()) * side * tracker.strength;
+            this.emitSpray(
+                bowX, waterY, bowZ,
+                dirX * speed * 0.3 - dirZ * out,
+                (2 + Math.random() * 2) * tracker.strength,
+                dirZ * speed * 0.3 + dirX * out
+            );
+        }
+    }
+
+    emitSpray(x, y, z, vx, vy, vz) {
+        const i = this.sprayNext;
+        this.sprayNext = (this.sprayNext + 1) % MAX_SPRAY_PARTICLES;
+        this.sprayPositions.set([x, y, z], i * 3);
+        this.sprayVelocities.set([vx, vy, vz], i * 3);
+        this.sprayAges[i] = 0;
+    }
+
+    updateSpray(deltaTime) {
+        for (let i = 0; i < MAX_SPRAY_PARTICLES; i++) {
+            if (this.sprayAges[i] >= SPRAY_LIFETIME) continue;
+            this.sprayAges[i] += deltaTime;
+            const p = i * 3;
+            if (this.sprayAges[i] >= SPRAY_LIFETIME) {
+                this.sprayPositions[p + 1] = -10000; // Park dead particles far below the sea
+                continue;
+            }
+            this.sprayVelocities[p + 1] -= SPRAY_GRAVITY * deltaTime;
+            this.sprayPositions[p] += this.sprayVelocities[p] * deltaTime;
+            this.sprayPositions[p + 1] += this.sprayVelocities[p + 1] * deltaTime;
+            this.sprayPositions[p + 2] += this.sprayVelocities[p + 2] * deltaTime;
+        }
+        this.sprayGeometry.attributes.position.needsUpdate = true;
+    }
+
+    // Refresh wake uniforms with positions relative to (originX, originZ), keeping the points
+    // nearest the viewer when there are more than the shader can take
+    updateShaderUniforms(uniforms, originX, originZ, viewerPosition) {
+        const packed = this._packed;
+        packed.length = 0;
+        for (const tracker of this.trackers.values()) {
+            for (const point of tracker.points) packed.push(point);
+        }
+        if (packed.length > MAX_SHADER_WAKE_POINTS) {
+            for (const point of packed) {
+                point.viewerDistance = Math.hypot(point.x - viewerPosition.x, point.z - viewerPosition.z);
+            }
+            packed.sort((a, b) => a.viewerDistance - b.viewerDistance);
+        }
+
+        const count = Math.min(packed.length, MAX_SHADER_WAKE_POINTS);
+        for (let i = 0; i < count; i++) {
+            const point = packed[i];
+            const age = this.time - point.born;
+            const life = 1 - age / WAKE_LIFETIME;
+            const fade = life * life * point.strength;
+            uniforms.uWakeA.value[i].set(point.x - originX, point.z - originZ, point.dirX, point.dirZ);
+            uniforms.uWakeB.value[i].set(
+                age * point.speed * KELVIN_SPREAD,
+                WAKE_ARM_WIDTH + WAKE_ARM_WIDEN * age,
+                fade,
+                fade * Math.exp(-age * WAKE_WASH_FADE)
+            );
+        }
+        uniforms.uWakeCount.value = count;
+    }
+
+    // Cleanup method
+    remove() {
+        this.scene.remove(this.spray);
+        this.sprayGeometry.dispose();
+        this.sprayMaterial.dispose();
+        this.trackers.clear();
+    }
+}
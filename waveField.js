@@ -0,0 +1,234 @@
+// waveField.js - Shared ocean wave model
+// Single source of truth for the ocean surface. The ocean mesh, the player ship,
+// AI ships and networked replicas all query this module so their physics can't drift apart.
+//
+// The wave maths lives in waveModel.js (no three.js, so it runs under Node too). This module
+// adds its GLSL twin for the ocean mesh, the uniforms that feed it, and the shared instance.
+import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
+import {
+    WaveModel, DEFAULT_WAVE_CONFIG, MAX_SHADER_WAVES, STORM_AMPLITUDE_GAIN, STORM_CHOP_HEIGHT, STORM_CHOP_WAVES,
+    SHOAL_GROWTH, SHOAL_STEEPEN, SHOAL_HARMONIC, BREAKING_RATIO, SHOAL_START_DEPTH, MAX_TOTAL_STEEPNESS, CHOP_FADE_DEPTH
+} from './waveModel.js';
+
+export { SEA_STATES } from './waveModel.js';
+
+// GPU limit (uniform array size in WAVE_SHADER_CHUNK; waves are capped in waveModel.js)
+export const MAX_SHADER_STORMS = 8;
+const TWO_PI = Math.PI * 2;
+
+// Seabed height the shader reports off the depth grid (deep enough that no wave feels the bottom)
+const DEEP_SEABED = -1000.0;
+
+// GLSL twin of WaveModel.computeLocalTerms/getDisplacement. Keep the two in step: ship physics
+// samples the CPU version and the ocean mesh draws this one. Positions are relative to the origin
+// passed to updateShaderUniforms and the origin/time terms are folded into each wave's phase on
+// the CPU (in double precision), so float32 precision doesn't degrade far from the world origin
+// or late in a session.
+export const WAVE_SHADER_CHUNK = `
+#define MAX_WAVES ${MAX_SHADER_WAVES}
+#define MAX_CHOP_WAVES ${STORM_CHOP_WAVES}
+#define MAX_STORMS ${MAX_SHADER_STORMS}
+#define DEEP_SEABED ${DEEP_SEABED.toFixed(1)}
+#define PI 3.141592653589793
+uniform vec4 uWaveA[MAX_WAVES]; // dirX, dirZ, k, phase
+uniform vec2 uWaveB[MAX_WAVES]; // amplitude, steepness
+uniform int uWaveCount;
+uniform vec4 uChopA[MAX_CHOP_WAVES]; // dirX, dirZ, k, phase
+uniform float uChopAmplitude;
+uniform vec4 uStorms[MAX_STORMS]; // x, z (origin relative), radius, intensity
+uniform int uStormCount;
+uniform float uStormGain;
+uniform float uBaseLevel;
+uniform sampler2D uSeabedMap; // Terrain lattice heights from DepthMap
+uniform vec4 uSeabedGrid; // x, z of node (0, 0) (origin relative), cell size, seabed offset
+uniform float uSeabedNodes; // Nodes per side (0 = no seabed data)
+uniform vec4 uShoal; // growth, steepen, harmonic, breaking ratio
+uniform vec3 uShoalLimits; // max total steepness, chop fade depth, shoaling start depth
+
+float waveStormIntensity(vec2 p) {
+    float intensity = 0.0;
+    for (int i = 0; i < MAX_STORMS; i++) {
+        if (i >= uStormCount) break;
+        vec4 storm = uStorms[i];
+        float dist = length(p - storm.xy);
+        if (dist < storm.z) {
+            intensity += storm.w * (1.0 - smoothstep(0.0, 1.0, dist / storm.z));
+        }
+    }
+    return min(intensity, 2.0);
+}
+
+float waveSeabedHeight(vec2 p) {
+    vec2 g = (p - uSeabedGrid.xy) / uSeabedGrid.z;
+    if (uSeabedNodes < 2.0 || g.x < 0.0 || g.y < 0.0 || g.x >= uSeabedNodes - 1.0 || g.y >= uSeabedNodes - 1.0) {
+        return DEEP_SEABED;
+    }
+    // Manual bilinear filter, offset after filtering, so the result matches DepthMap.sampleSeabed
+    vec2 i = floor(g);
+    vec2 f = g - i;
+    float h00 = texture2D(uSeabedMap, (i + vec2(0.5, 0.5)) / uSeabedNodes).r;
+    float h10 = texture2D(uSeabedMap, (i + vec2(1.5, 0.5)) / uSeabedNodes).r;
+    float h01 = texture2D(uSeabedMap, (i + vec2(0.5, 1.5)) / uSeabedNodes).r;
+    float h11 = texture2D(uSeabedMap, (i + vec2(1.5, 1.5)) / uSeabedNodes).r;
+    return (h00 * (1.0 - f.x) + h10 * f.x) * (1.0 - f.y) + (h01 * (1.0 - f.x) + h11 * f.x) * f.y + uSeabedGrid.w;
+}
+
+// xyz: displacement (y is the absolute surface height), w: breaking foam 0..1
+vec4 waveDisplacement(vec2 p) {
+    float storm = waveStormIntensity(p);
+    float depth = uBaseLevel - waveSeabedHeight(p);
+    float gain = 1.0 + uStormGain * storm;
+    float breakingCap = uShoal.w * max(depth, 0.0);
+
+    float vertical[MAX_WAVES];
+    float horizontal[MAX_WAVES];
+    float harmonic[MAX_WAVES];
+    float totalVertical = 0.0;
+    float totalHorizontal = 0.0;
+    float totalSteepness = 0.0;
+    for (int i = 0; i < MAX_WAVES; i++) {
+        if (i >= uWaveCount) break;
+        float k = uWaveA[i].z;
+        float shallow = 1.0 - clamp(depth / min(PI / k, uShoalLimits.z), 0.0, 1.0);
+        float shoaled = uWaveB[i].x * (1.0 + uShoal.x * shallow);
+        vertical[i] = shoaled * gain;
+        horizontal[i] = uWaveB[i].y * shoaled * (1.0 + uShoal.y * shallow);
+        harmonic[i] = vertical[i] * uShoal.z * shallow;
+        totalVertical += vertical[i] + harmonic[i];
+        totalHorizontal += horizontal[i];
+        totalSteepness += k * horizontal[i];
+    }
+    float verticalScale = totalVertical > breakingCap ? breakingCap / totalVertical : 1.0;
+    float steepnessScale = min(
+        totalSteepness > uShoalLimits.x ? uShoalLimits.x / totalSteepness : 1.0,
+        totalHorizontal > breakingCap ? breakingCap / totalHorizontal : 1.0
+    );
+
+    vec3 d = vec3(0.0);
+    float foam = 0.0;
+    for (int i = 0; i < MAX_WAVES; i++) {
+        if (i >= uWaveCount) break;
+        vec4 wave = uWaveA[i];
+        float theta = wave.z * dot(wave.xy, p) + wave.w;
+        float h = horizontal[i] * steepnessScale * cos(theta);
+        d.x += h * wave.x;
+        d.z += h * wave.y;
+        d.y += (vertical[i] * sin(theta) - harmonic[i] * cos(2.0 * theta)) * verticalScale;
+        // Crests of shoaling waves break into foam
+        foam += harmonic[i] * verticalScale * wave.z * max(0.0, sin(theta));
+    }
+    float chop = 0.0;
+    if (storm > 0.0) {
+        for (int i = 0; i < MAX_CHOP_WAVES; i++) {
+            vec4 wave = uChopA[i];
+            chop += uChopAmplitude * sin(wave.z * dot(wave.xy, p) + wave.w);
+        }
+    }
+    d.y += uBaseLevel + chop * storm * clamp(depth / uShoalLimits.y, 0.0, 1.0);
+
+    // Foam from breaking crests plus a surf line where the water meets the beach
+    float surf = depth > 0.0 ? 1.0 - smoothstep(0.0, 3.0, depth) : 0.0;
+    foam = clamp(foam * 8.0 + surf, 0.0, 1.0);
+    return vec4(d, foam);
+}
+`;
+
+// Wrap an angle into [0, 2pi)
+function wrapPhase(angle) {
+    return ((angle % TWO_PI) + TWO_PI) % TWO_PI;
+}
+
+export class WaveField extends WaveModel {
+    constructor(config = DEFAULT_WAVE_CONFIG) {
+        super(config);
+        this._seabedTexture = null; // Float texture over the depth grid's heights
+        this._seabedVersion = -1; // Grid version last uploaded to it
+    }
+
+    // Uniform values consumed by WAVE_SHADER_CHUNK
+    createShaderUniforms() {
+        const uniforms = {
+            uWaveA: { value: [] },
+            uWaveB: { value: [] },
+            uWaveCount: { value: 0 },
+            uChopA: { value: [] },
+            uChopAmplitude: { value: STORM_CHOP_HEIGHT / STORM_CHOP_WAVES },
+            uStorms: { value: [] },
+            uStormCount: { value: 0 },
+            uStormGain: { value: STORM_AMPLITUDE_GAIN },
+            uBaseLevel: { value: this.baseLevel },
+            uSeabedMap: { value: null },
+            uSeabedGrid: { value: new THREE.Vector4(0, 0, 1, 0) },
+            uSeabedNodes: { value: 0 },
+            uShoal: { value: new THREE.Vector4(SHOAL_GROWTH, SHOAL_STEEPEN, SHOAL_HARMONIC, BREAKING_RATIO) },
+            uShoalLimits: { value: new THREE.Vector3(MAX_TOTAL_STEEPNESS, CHOP_FADE_DEPTH, SHOAL_START_DEPTH) }
+        };
+        for (let i = 0; i < MAX_SHADER_WAVES; i++) {
+            uniforms.uWaveA.value.push(new THREE.Vector4());
+            uniforms.uWaveB.value.push(new THREE.Vector2());
+        }
+        for (let i = 0; i < STORM_CHOP_WAVES; i++) {
+            uniforms.uChopA.value.push(new THREE.Vector4());
+        }
+        for (let i = 0; i < MAX_SHADER_STORMS; i++) {
+            uniforms.uStorms.value.push(new THREE.Vector4());
+        }
+        return uniforms;
+    }
+
+    // Refresh shader uniforms for the current time, with positions relative to (originX, originZ)
+    updateShaderUniforms(uniforms, originX, originZ, t = this.time) {
+        const waveCount = Math.min(this.waves.length, MAX_SHADER_WAVES);
+        for (let i = 0; i < waveCount; i++) {
+            const wave = this.waves[i];
+            const phase = wave.k * (wave.dirX * originX + wave.dirZ * originZ) - wave.omega * t + wave.phase;
+            uniforms.uWaveA.value[i].set(wave.dirX, wave.dirZ, wave.k, wrapPhase(phase));
+            uniforms.uWaveB.value[i].set(wave.amplitude, wave.steepness);
+        }
+        uniforms.uWaveCount.value = waveCount;
+
+        for (let i = 0; i < this.stormWaves.length; i++) {
+            const wave = this.stormWaves[i];
+            const phase = wave.k * (wave.dirX * originX + wave.dirZ * originZ) - wave.omega * t + wave.phase;
+            uniforms.uChopA.value[i].set(wave.dirX, wave.dirZ, wave.k, wrapPhase(phase));
+        }
+
+        const storms = this.stormField && this.stormField.activeStorms ? this.stormField.activeStorms : [];
+        const stormCount = Math.min(storms.length, MAX_SHADER_STORMS);
+        for (let i = 0; i < stormCount; i++) {
+            const storm = storms[i];
+            uniforms.uStorms.value[i].set(storm.x - originX, storm.z - originZ, storm.radius, storm.intensity);
+        }
+        uniforms.uStormCount.value = stormCount;
+        uniforms.uBaseLevel.value = this.baseLevel;
+
+        const grid = this.depthField;
+        if (grid && grid.hasData) {
+            uniforms.uSeabedMap.value = this.getSeabedTexture();
+            uniforms.uSeabedGrid.value.set(grid.originX - originX, grid.originZ - originZ, grid.cellSize, grid.seabedOffset);
+            uniforms.uSeabedNodes.value = grid.nodes;
+        } else {
+            uniforms.uSeabedNodes.value = 0;
+        }
+    }
+
+    // Texture the shader reads the depth grid through, re-uploaded whenever the grid is rebuilt
+    getSeabedTexture() {
+        const grid = this.depthField;
+        if (!this._seabedTexture || this._seabedTexture.image.data !== grid.heights) {
+            if (this._seabedTexture) this._seabedTexture.dispose();
+            this._seabedTexture = new THREE.DataTexture(grid.heights, grid.nodes, grid.nodes, THREE.RedFormat, THREE.FloatType);
+            this._seabedTexture.minFilter = THREE.NearestFilter;
+            this._seabedTexture.magFilter = THREE.NearestFilter;
+            this._seabedVersion = -1;
+        }
+        if (this._seabedVersion !== grid.version) {
+            this._seabedTexture.needsUpdate = true;
+            this._seabedVersion = grid.version;
+        }
+        return this._seabedTexture;
+    }
+}
+
+// Shared instance used by every system in the game
+export const waveField = new WaveField();
@@ -0,0 +1,413 @@
+// waveModel.js - Wave maths behind the shared WaveField
+// Everything ship physics asks of the ocean (height, normal, orbital velocity, water depth) is
+// computed here. It doesn't touch three.js, so the same code runs in the Node tests; waveField.js
+// adds the GLSL twin the ocean mesh draws with and the shared instance.
+//
+// The surface is a sum of Gerstner (trochoidal) waves built from a configurable spectrum.
+// Gerstner waves move water horizontally as well as vertically, so a rest point (x0, z0)
+// ends up at (x0 + dx, y, z0 + dz). Height queries invert that displacement so ships
+// sample the same displaced surface that the ocean mesh draws.
+import { seededRandom } from './seededRandom.js';
+
+const GRAVITY = 9.8; // Deep water dispersion: omega = sqrt(g * k)
+const INVERT_ITERATIONS = 5; // Fixed-point iterations used to undo horizontal displacement
+
+// Storm response: under a storm of intensity I the swell grows by (1 + STORM_AMPLITUDE_GAIN * I)
+// and short, fast storm chop of height I * STORM_CHOP_HEIGHT is added on top. Only vertical
+// motion is scaled so the horizontal displacement (and its inversion) stays loop-free.
+export const STORM_AMPLITUDE_GAIN = 0.8;
+export const STORM_CHOP_HEIGHT = 0.35;
+export const STORM_CHOP_WAVES = 4;
+
+// Shoaling: a wave starts to feel the bottom once the water is shallower than half its
+// wavelength (capped at SHOAL_START_DEPTH - most of this world is a shallow sea, and only the
+// island shelves should change the waves). In shallows it grows by up to SHOAL_GROWTH, steepens
+// by up to SHOAL_STEEPEN and gains a phase-locked second harmonic (shorter, peakier crests) until
+// it hits the breaking limit: wave height can't exceed ~0.78 x depth, so the combined amplitude
+// is capped at BREAKING_RATIO x depth and dies out at the shoreline.
+export const SHOAL_GROWTH = 0.4;
+export const SHOAL_STEEPEN = 1.0;
+export const SHOAL_HARMONIC = 0.5;
+export const BREAKING_RATIO = 0.39;
+export const SHOAL_START_DEPTH = 12.0;
+export const MAX_TOTAL_STEEPNESS = 0.95; // Sum of k * horizontal amplitude; 1 would make crests loop
+export const CHOP_FADE_DEPTH = 4.0; // Storm chop fades out over this much water depth
+const SHALLOW_DRAG_MIN_DEPTH = 2.0; // Ships are slowed most at or below this depth
+const SHALLOW_DRAG_DEPTH = 12.0; // ...and not at all in water deeper than this
+const SHALLOW_DRAG_MIN_FACTOR = 0.3;
+
+// Most waves the ocean shader can sum (its uniform array size); spectra are capped to it
+export const MAX_SHADER_WAVES = 16;
+
+// Named sea states. Every field can be overridden per session through the spectrum config.
+//   waveCount        - number of Gerstner waves summed
+//   windDirection    - mean travel direction of the waves (radians, 0 = +X)
+//   directionSpread  - max deviation of each wave from the mean direction (radians)
+//   minWavelength / maxWavelength - wavelength range, spread geometrically across the waves
+//   steepness        - 0 = rolling sine swell, 1 = sharpest crests without looping
+//   heightScale      - amplitude as a fraction of wavelength
+export const SEA_STATES = {
+    calm: {
+        waveCount: 4,
+        windDirection: 0.6,
+        directionSpread: 0.5,
+        minWavelength: 30,
+        maxWavelength: 110,
+        steepness: 0.2,
+        heightScale: 0.006
+    },
+    moderate: {
+        waveCount: 6,
+        windDirection: 0.6,
+        directionSpread: 0.7,
+        minWavelength: 25,
+        maxWavelength: 160,
+        steepness: 0.4,
+        heightScale: 0.007
+    },
+    rough: {
+        waveCount: 8,
+        windDirection: 0.6,
+        directionSpread: 0.9,
+        minWavelength: 20,
+        maxWavelength: 220,
+        steepness: 0.6,
+        heightScale: 0.01
+    },
+    gale: {
+        waveCount: 10,
+        windDirection: 0.6,
+        directionSpread: 1.1,
+        minWavelength: 18,
+        maxWavelength: 300,
+        steepness: 0.8,
+        heightScale: 0.013
+    }
+};
+
+export const DEFAULT_SEA_STATE = 'moderate';
+
+export const DEFAULT_WAVE_CONFIG = {
+    baseLevel: 20.0,
+    seaState: DEFAULT_SEA_STATE,
+    seed: 1337 // Wave directions and phases are generated from this (must be non-zero)
+};
+
+// Build the list of Gerstner waves for a spectrum, deterministically from its seed
+function buildWaves(spectrum, seed) {
+    const rand = seededRandom(seed);
+    // Capped at the shader's array size so the drawn ocean always matches the physics
+    const count = Math.min(MAX_SHADER_WAVES, Math.max(1, Math.floor(spectrum.waveCount)));
+    const waves = [];
+
+    for (let i = 0; i < count; i++) {
+        // Spread wavelengths geometrically from longest swell to shortest chop
+        const f = count > 1 ? i / (count - 1) : 0;
+        const wavelength = spectrum.maxWavelength * Math.pow(spectrum.minWavelength / spectrum.maxWavelength, f);
+        const k = (2 * Math.PI) / wavelength;
+        const angle = spectrum.windDirection + (rand() * 2 - 1) * spectrum.directionSpread;
+        const amplitude = wavelength * spectrum.heightScale;
+
+        waves.push({
+            dirX: Math.cos(angle),
+            dirZ: Math.sin(angle),
+            k: k,
+            omega: Math.sqrt(GRAVITY * k),
+            amplitude: amplitude,
+            // Split total steepness across waves so crests never loop over themselves
+            steepness: spectrum.steepness / (k * amplitude * count),
+            phase: rand() * Math.PI * 2
+        });
+    }
+    return waves;
+}
+
+// Short, steep chop that only shows up under storms
+function buildStormWaves(seed) {
+    const rand = seededRandom(seed * 7 + 11);
+    const waves = [];
+    for (let i = 0; i < STORM_CHOP_WAVES; i++) {
+        const wavelength = 16 * Math.pow(6 / 16, i / (STORM_CHOP_WAVES - 1));
+        const k = (2 * Math.PI) / wavelength;
+        const angle = rand() * Math.PI * 2;
+        waves.push({
+            dirX: Math.cos(angle),
+            dirZ: Math.sin(angle),
+            k: k,
+            omega: Math.sqrt(GRAVITY * k),
+            amplitude: STORM_CHOP_HEIGHT / STORM_CHOP_WAVES,
+            phase: rand() * Math.PI * 2
+        });
+    }
+    return waves;
+}
+
+export class WaveModel {
+    constructor(config = DEFAULT_WAVE_CONFIG) {
+        this.time = 0; // Current ocean time (set every frame from the synced ocean clock)
+        this.meanLevel = DEFAULT_WAVE_CONFIG.baseLevel; // Configured mean sea level
+        this.tideOffset = 0; // Tidal rise/fall on top of the mean (see TideSystem)
+        this.baseLevel = this.meanLevel; // Current still-water level = mean + tide
+        this.seaState = DEFAULT_SEA_STATE;
+        this.spectrum = { ...SEA_STATES[DEFAULT_SEA_STATE] };
+        this.seed = DEFAULT_WAVE_CONFIG.seed;
+        this.waves = [];
+        this.stormWaves = [];
+        this.stormField = null; // Optional { getIntensityAt(x, z), activeStorms } provider (see StormSystem)
+        this.depthField = null; // Optional { sampleSeabed(x, z), getSeabedHeight(x, z) } provider (see DepthMap)
+        this._terms = {
+            vertical: new Float64Array(MAX_SHADER_WAVES),
+            horizontal: new Float64Array(MAX_SHADER_WAVES),
+            harmonic: new Float64Array(MAX_SHADER_WAVES),
+            chop: 0
+        };
+        this._displacement = { x: 0, y: 0, z: 0 };
+        this._configKey = null;
+        this.configure(config);
+    }
+
+    // Apply a wave configuration (per session - the host's config is replicated to clients)
+    // config: { baseLevel, seaState, spectrum: { ...overrides }, seed }
+    configure(config = {}) {
+        const key = JSON.stringify(config);
+        if (key === this._configKey) return false; // Unchanged, skip rebuild
+
+        this._configKey = key;
+        this.meanLevel = typeof config.baseLevel === 'number' ? config.baseLevel : DEFAULT_WAVE_CONFIG.baseLevel;
+        this.baseLevel = this.meanLevel + this.tideOffset;
+        this.seaState = SEA_STATES[config.seaState] ? config.seaState : DEFAULT_SEA_STATE;
+        this.spectrum = { ...SEA_STATES[this.seaState], ...(config.spectrum || {}) };
+        this.seed = config.seed || DEFAULT_WAVE_CONFIG.seed;
+        this.waves = buildWaves(this.spectrum, this.seed);
+        this.stormWaves = buildStormWaves(this.seed);
+        console.log('[WaveField] Configured sea state', this.seaState, 'with', this.waves.length, 'Gerstner waves');
+        return true;
+    }
+
+    // Switch to one of the named sea state presets
+    setSeaState(name) {
+        if (!SEA_STATES[name]) {
+            console.warn('[WaveField] Unknown sea state:', name);
+            return false;
+        }
+        return this.configure({ baseLevel: this.meanLevel, seaState: name, seed: this.seed });
+    }
+
+    // Serializable copy of the current configuration (for network replication)
+    getConfig() {
+        return {
+            baseLevel: this.meanLevel,
+            seaState: this.seaState,
+            spectrum: { ...this.spectrum },
+            seed: this.seed
+        };
+    }
+
+    // Advance the shared ocean clock
+    setTime(time) {
+        this.time = time;
+    }
+
+    // Raise or lower the still-water level by the tide (not part of the replicated config)
+    setTideOffset(offset) {
+        this.tideOffset = offset;
+        this.baseLevel = this.meanLevel + offset;
+    }
+
+    // Attach a storm provider that locally roughens the sea (null to detach)
+    setStormField(stormField) {
+        this.stormField = stormField;
+    }
+
+    // Attach a seabed provider so waves shoal over shallows (null to detach)
+    setDepthField(depthField) {
+        this.depthField = depthField;
+    }
+
+    // Storm intensity at a rest point (0 when no storm provider is attached)
+    getStormIntensity(x0, z0) {
+        return this.stormField ? this.stormField.getIntensityAt(x0, z0) : 0;
+    }
+
+    // Water depth the waves feel at a rest point. Inside the depth grid this reads the grid the
+    // ocean shader draws with, so ships float on the surface that is drawn; the grid holds the
+    // terrain lattice itself, so beyond it the terrain gives the same answer (Infinity with no terrain).
+    getShoalingDepth(x0, z0) {
+        if (!this.depthField) return Infinity;
+        const seabed = this.depthField.sampleSeabed(x0, z0);
+        return seabed === undefined ? this.getWaterDepth(x0, z0) : this.baseLevel - seabed;
+    }
+
+    // Per-wave amplitudes at a rest point after storm and shoaling adjustments.
+    // Returns a shared scratch object that is overwritten on the next call.
+    computeLocalTerms(x0, z0) {
+        const terms = this._terms;
+        const storm = this.getStormIntensity(x0, z0);
+        const depth = this.getShoalingDepth(x0, z0);
+        const gain = 1 + STORM_AMPLITUDE_GAIN * storm;
+        const breakingCap = BREAKING_RATIO * Math.max(depth, 0);
+
+        let totalVertical = 0;
+        let totalHorizontal = 0;
+        let totalSteepness = 0;
+        for (let i = 0; i < this.waves.length; i++) {
+            const wave = this.waves[i];
+            // 0 in deep water, 1 at the shoreline
+            const shallow = 1 - Math.min(1, Math.max(0, depth / Math.min(Math.PI / wave.k, SHOAL_START_DEPTH)));
+            const shoaled = wave.amplitude * (1 + SHOAL_GROWTH * shallow);
+            terms.vertical[i] = shoaled * gain;
+            terms.horizontal[i] = wave.steepness * shoaled * (1 + SHOAL_STEEPEN * shallow);
+            terms.harmonic[i] = terms.vertical[i] * SHOAL_HARMONIC * shallow;
+            totalVertical += terms.vertical[i] + terms.harmonic[i];
+            totalHorizontal += terms.horizontal[i];
+            totalSteepness += wave.k * terms.horizontal[i];
+        }
+        // Waves break once they are too tall for the depth...
+        const verticalScale = totalVertical > breakingCap ? breakingCap / totalVertical : 1;
+        // ...and steepened shallow-water waves must still not loop over themselves
+        const horizontalScale = Math.min(
+            totalSteepness > MAX_TOTAL_STEEPNESS ? MAX_TOTAL_STEEPNESS / totalSteepness : 1,
+            totalHorizontal > breakingCap ? breakingCap / totalHorizontal : 1
+        );
+        if (verticalScale < 1 || horizontalScale < 1) {
+            for (let i = 0; i < this.waves.length; i++) {
+                terms.vertical[i] *= verticalScale;
+                terms.harmonic[i] *= verticalScale;
+                terms.horizontal[i] *= horizontalScale;
+            }
+        }
+        terms.chop = storm * Math.min(1, Math.max(0, depth / CHOP_FADE_DEPTH));
+        return terms;
+    }
+
+    // Gerstner displacement of the rest point (x0, z0); y is the absolute surface height.
+    // Vector results are written into target (any { x, y, z }, e.g. a THREE.Vector3).
+    getDisplacement(x0, z0, t = this.time, target = { x: 0, y: 0, z: 0 }) {
+        const terms = this.computeLocalTerms(x0, z0);
+        let dx = 0;
+        let dy = 0;
+        let dz = 0;
+        for (let i = 0; i < this.waves.length; i++) {
+            const wave = this.waves[i];
+            const theta = wave.k * (wave.dirX * x0 + wave.dirZ * z0) - wave.omega * t + wave.phase;
+            const horizontal = terms.horizontal[i] * Math.cos(theta);
+            dx += horizontal * wave.dirX;
+            dz += horizontal * wave.dirZ;
+            dy += terms.vertical[i] * Math.sin(theta) - terms.harmonic[i] * Math.cos(2 * theta);
+        }
+        dy += this.baseLevel + this.getStormChop(x0, z0, t, terms.chop);
+        target.x = dx;
+        target.y = dy;
+        target.z = dz;
+        return target;
+    }
+
+    // Find the rest point whose displaced position lands on world x,z
+    getRestPosition(x, z, t = this.time) {
+        let x0 = x;
+        let z0 = z;
+        for (let i = 0; i < INVERT_ITERATIONS; i++) {
+            const terms = this.computeLocalTerms(x0, z0);
+            let dx = 0;
+            let dz = 0;
+            for (let w = 0; w < this.waves.length; w++) {
+                const wave = this.waves[w];
+                const theta = wave.k * (wave.dirX * x0 + wave.dirZ * z0) - wave.omega * t + wave.phase;
+                const horizontal = terms.horizontal[w] * Math.cos(theta);
+                dx += horizontal * wave.dirX;
+                dz += horizontal * wave.dirZ;
+            }
+            x0 = x - dx;
+            z0 = z - dz;
+        }
+        return { x: x0, z: z0 };
+    }
+
+    // Ocean surface height at world x,z (on the displaced surface the mesh draws)
+    getHeight(x, z, t = this.time) {
+        const rest = this.getRestPosition(x, z, t);
+        return this.getDisplacement(rest.x, rest.z, t, this._displacement).y;
+    }
+
+    // Height of the storm chop at a rest point, already scaled by its local strength
+    getStormChop(x0, z0, t, strength) {
+        if (strength <= 0) return 0;
+        let height = 0;
+        for (const wave of this.stormWaves) {
+            const theta = wave.k * (wave.dirX * x0 + wave.dirZ * z0) - wave.omega * t + wave.phase;
+            height += wave.amplitude * Math.sin(theta);
+        }
+        return height * strength;
+    }
+
+    // Analytic surface normal at world x,z (points upward, unit length)
+    getNormal(x, z, t = this.time, target = { x: 0, y: 0, z: 0 }) {
+        const rest = this.getRestPosition(x, z, t);
+        const terms = this.computeLocalTerms(rest.x, rest.z);
+        let nx = 0;
+        let ny = 1;
+        let nz = 0;
+        for (let i = 0; i < this.waves.length; i++) {
+            const wave = this.waves[i];
+            const theta = wave.k * (wave.dirX * rest.x + wave.dirZ * rest.z) - wave.omega * t + wave.phase;
+            // Slope of vertical * sin(theta) - harmonic * cos(2 theta) along the wave direction
+            const slope = wave.k * (terms.vertical[i] * Math.cos(theta) + 2 * terms.harmonic[i] * Math.sin(2 * theta));
+            nx -= wave.dirX * slope;
+            nz -= wave.dirZ * slope;
+            ny -= wave.k * terms.horizontal[i] * Math.sin(theta);
+        }
+        if (terms.chop > 0) {
+            for (const wave of this.stormWaves) {
+                const theta = wave.k * (wave.dirX * rest.x + wave.dirZ * rest.z) - wave.omega * t + wave.phase;
+                const slope = wave.k * wave.amplitude * Math.cos(theta) * terms.chop;
+                nx -= wave.dirX * slope;
+                nz -= wave.dirZ * slope;
+            }
+        }
+        const length = Math.sqrt(nx * nx + ny * ny + nz * nz);
+        target.x = nx / length;
+        target.y = ny / length;
+        target.z = nz / length;
+        return target;
+    }
+
+    // Velocity of the water particle on the surface at world x,z (orbital motion)
+    getVelocity(x, z, t = this.time, target = { x: 0, y: 0, z: 0 }) {
+        const rest = this.getRestPosition(x, z, t);
+        const terms = this.computeLocalTerms(rest.x, rest.z);
+        let vx = 0;
+        let vy = 0;
+        let vz = 0;
+        for (let i = 0; i < this.waves.length; i++) {
+            const wave = this.waves[i];
+            const theta = wave.k * (wave.dirX * rest.x + wave.dirZ * rest.z) - wave.omega * t + wave.phase;
+            const horizontal = terms.horizontal[i] * wave.omega * Math.sin(theta);
+            vx += horizontal * wave.dirX;
+            vz += horizontal * wave.dirZ;
+            vy -= wave.omega * (terms.vertical[i] * Math.cos(theta) + 2 * terms.harmonic[i] * Math.sin(2 * theta));
+        }
+        if (terms.chop > 0) {
+            for (const wave of this.stormWaves) {
+                const theta = wave.k * (wave.dirX * rest.x + wave.dirZ * rest.z) - wave.omega * t + wave.phase;
+                vy -= wave.amplitude * wave.omega * Math.cos(theta) * terms.chop;
+            }
+        }
+        target.x = vx;
+        target.y = vy;
+        target.z = vz;
+        return target;
+    }
+
+    // Water depth at world x,z from the full-resolution seabed (Infinity with no terrain)
+    getWaterDepth(x, z) {
+        if (!this.depthField) return Infinity;
+        return this.baseLevel - this.depthField.getSeabedHeight(x, z);
+    }
+
+    // Speed multiplier for a hull at world x,z: 1 in open water, down to SHALLOW_DRAG_MIN_FACTOR over shoals
+    getShallowWaterSpeedFactor(x, z) {
+        const depth = this.getWaterDepth(x, z);
+        const t = Math.max(0, Math.min(1, (depth - SHALLOW_DRAG_MIN_DEPTH) / (SHALLOW_DRAG_DEPTH - SHALLOW_DRAG_MIN_DEPTH)));
+        return SHALLOW_DRAG_MIN_FACTOR + (1 - SHALLOW_DRAG_MIN_FACTOR) * t * t * (3 - 2 * t);
+    }
+}
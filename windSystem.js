@@ -0,0 +1,140 @@
+// windSystem.js - Global wind, points of sail and the no-go zone
+// The prevailing wind is a pure function of a seed and real time since the host's
+// oceanSync.startTime, so it shifts slowly and identically on every peer; only the seed is
+// replicated. Storm cells add their own swirling wind on top (see StormSystem.getWindAt).
+// Ship speed is sail setting x polar curve (how well a ship sails at each angle to the wind)
+// x wind strength. Pointing closer than NO_GO_ANGLE to the wind stops the ship, so reaching
+// an upwind target means tacking.
+import * as THREE from 'https://cdn.skypack.dev/three@0.134.0';
+import { seededRandom } from './seededRandom.js';
+
+export const NO_GO_ANGLE = 40 * Math.PI / 180; // Closer to the wind than this the sails only flap
+export const CLOSE_HAULED_ANGLE = 50 * Math.PI / 180; // Best practical upwind heading (used by AI tacking)
+
+const WIND_MIN_SPEED = 6.0; // Range of the seeded mean wind speed
+const WIND_MAX_SPEED = 10.0;
+const WIND_REFERENCE_SPEED = 8.0; // Wind speed at which sail speeds match the sail mode table
+const WIND_MIN_STRENGTH = 0.25; // Strength factor limits (light airs still move a ship a little)
+const WIND_MAX_STRENGTH = 1.5;
+
+// Polar curve: speed fraction by angle between the bow and the wind's source (degrees)
+const POLAR_CURVE = [
+    [0, 0],
+    [40, 0], // No-go zone (in irons)
+    [45, 0.55], // Close hauled
+    [60, 0.75],
+    [90, 0.95], // Beam reach
+    [110, 1.0],
+    [135, 0.9], // Broad reach
+    [160, 0.75],
+    [180, 0.65] // Running downwind
+];
+
+// Speed fraction for a ship sailing at angleToWind (radians, 0 = bow straight into the wind)
+export function getPolarFactor(angleToWind) {
+    const degrees = Math.min(180, Math.abs(angleToWind) * 180 / Math.PI);
+    for (let i = 1; i < POLAR_CURVE.length; i++) {
+        const [a1, f1] = POLAR_CURVE[i];
+        if (degrees <= a1) {
+            const [a0, f0] = POLAR_CURVE[i - 1];
+            return f0 + (f1 - f0) * (degrees - a0) / (a1 - a0);
+        }
+    }
+    return POLAR_CURVE[POLAR_CURVE.length - 1][1];
+}
+
+// Sailing term for an angle to the wind (for the HUD)
+export function getPointOfSail(angleToWind) {
+    const degrees = Math.abs(angleToWind) * 180 / Math.PI;
+    if (degrees < NO_GO_ANGLE * 180 / Math.PI) return 'In irons';
+    if (degrees < 60) return 'Close hauled';
+    if (degrees < 110) return 'Beam reach';
+    if (degrees < 155) return 'Broad reach';
+    return 'Running';
+}
+
+export class WindSystem {
+    constructor(config = { seed: Math.floor(Math.random() * 1000000) + 1 }) {
+        this.seed = 1;
+        this.baseDirection = 0; // Seeded prevailing direction (radians, the way the wind blows)
+        this.meanSpeed = WIND_REFERENCE_SPEED;
+        this.phases = [0, 0, 0, 0];
+        this.direction = 0; // Current global wind direction...
+        this.speed = WIND_REFERENCE_SPEED; // ...and speed
+        this.wind = new THREE.Vector2(); // Current global wind velocity (x, z)
+        this.stormField = null; // Optional { getWindAt(x, z, target) } provider (see StormSystem)
+        this._stormWind = new THREE.Vector2();
+        this._local = new THREE.Vector2();
+        this._configKey = null;
+        this.configure(config);
+    }
+
+    // Apply a wind configuration (per session - the host's config is replicated to clients)
+    // config: { seed }
+    configure(config = {}) {
+        const key = JSON.stringify(config);
+        if (key === this._configKey) return false; // Unchanged
+
+        this._configKey = key;
+        this.seed = config.seed || 1;
+        const rand = seededRandom(this.seed);
+        this.baseDirection = rand() * Math.PI * 2;
+        this.meanSpeed = WIND_MIN_SPEED + rand() * (WIND_MAX_SPEED - WIND_MIN_SPEED);
+        this.phases = [rand(), rand(), rand(), rand()].map(p => p * Math.PI * 2);
+        console.log('[WindSystem] Configured wind seed', this.seed);
+        return true;
+    }
+
+    // Serializable copy of the current configuration (for network replication)
+    getConfig() {
+        return { seed: this.seed };
+    }
+
+    // Attach a storm provider whose local wind adds to the global wind (null to detach)
+    setStormField(stormField) {
+        this.stormField = stormField;
+    }
+
+    // Move the global wind to its value at elapsedSeconds since the ocean start time.
+    // Slow overlapping swings (minutes long) in direction and strength.
+    update(elapsedSeconds) {
+        const t = elapsedSeconds * Math.PI * 2;
+        this.direction = this.baseDirection
+            + 0.6 * Math.sin(t / 900 + this.phases[0])
+            + 0.25 * Math.sin(t / 310 + this.phases[1]);
+        this.speed = this.meanSpeed * (1
+            + 0.3 * Math.sin(t / 600 + this.phases[2])
+            + 0.15 * Math.sin(t / 170 + this.phases[3]));
+        this.wind.set(Math.cos(this.direction) * this.speed, Math.sin(this.direction) * this.speed);
+        return this.wind;
+    }
+
+    // Wind velocity at world x,z (global wind plus any storm), written into target.x / target.y (= z)
+    getWindAt(x, z, target = new THREE.Vector2()) {
+        target.copy(this.wind);
+        if (this.stormField) {
+            target.add(this.stormField.getWindAt(x, z, this._stormWind));
+        }
+        return target;
+    }
+
+    // Angle between a heading (forwardX, forwardZ) and the direction the wind comes from at x,z
+    getAngleToWind(x, z, forwardX, forwardZ) {
+        const wind = this.getWindAt(x, z, this._local);
+        const speed = wind.length();
+        if (speed < 1e-6) return Math.PI; // Dead calm: no no-go zone
+        const length = Math.sqrt(forwardX * forwardX + forwardZ * forwardZ) || 1;
+        const cos = -(forwardX * wind.x + forwardZ * wind.y) / (length * speed);
+        return Math.acos(Math.max(-1, Math.min(1, cos)));
+    }
+
+    // Multiplier for a ship's sail speed at x,z heading (forwardX, forwardZ): polar curve x wind strength
+    getSailFactor(x, z, forwardX, forwardZ) {
+        const angle = this.getAngleToWind(x, z, forwardX, forwardZ);
+        const strength = this._local.length() / WIND_REFERENCE_SPEED; // Wind sampled by getAngleToWind
+        return getPolarFactor(angle) * Math.max(WIND_MIN_STRENGTH, Math.min(WIND_MAX_STRENGTH, strength));
+    }
+}
+
+// Shared instance used by every ship
+export const windSystem = new WindSystem();